@@ -8,6 +8,14 @@ const { errorHandler } = require("./middleware/error.middleware");
 const authRoutes = require("./routes/auth.routes");
 const orderRoutes = require('./routes/order.routes');
 const paymentRoutes = require('./routes/payment.routes');
+const adminRoutes = require('./routes/admin.routes');
+const userRoutes = require('./routes/user.routes');
+const productRoutes = require('./routes/product.routes');
+const cartRoutes = require('./routes/cart.routes');
+const couponRoutes = require('./routes/coupon.routes');
+const shippingRoutes = require('./routes/shipping.routes');
+const returnRoutes = require('./routes/return.routes');
+const shipmentRoutes = require('./routes/shipment.routes');
 const logger = require("./utils/logger");
 const cookieParser = require("cookie-parser");
 const connectDB = require("./config/db");
@@ -51,6 +59,14 @@ app.use((req, res, next) => {
 app.use("/api/auth", authRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/shipments', shipmentRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Homepage route
 app.get("/", (req, res) => {
@@ -30,6 +30,82 @@ const appConfig = {
           merchantInfo: 'Your Company Name',
           platform: 'MERN Stack Application'
         }
+      },
+
+      // Authorize-then-capture for high-value orders
+      manualCapture: {
+        // Orders of at least this amount are only authorized at checkout and
+        // captured later (0 = capture every payment automatically)
+        minAmount: Number(process.env.MANUAL_CAPTURE_MIN_AMOUNT) || 0,
+        // Authorizations still open after this many hours are captured or
+        // voided by the settle-authorizations job. Keep it below the
+        // auto-refund period set in the Razorpay dashboard (5 days by default)
+        settleAfterHours: Number(process.env.MANUAL_CAPTURE_SETTLE_AFTER_HOURS) || 72
+      }
+    },
+    
+    // GST settings
+    tax: {
+      // State the goods ship from; same-state orders pay CGST+SGST, others IGST
+      sellerState: process.env.SELLER_STATE || 'Karnataka',
+      sellerGstin: process.env.SELLER_GSTIN,
+      // Whether catalog prices already include GST (products can override)
+      pricesIncludeTax: process.env.PRICES_INCLUDE_TAX === 'true'
+    },
+    
+    // Shipping settings
+    shipping: {
+      // Fee used when no shipping rule matches the address
+      defaultFee: Number(process.env.DEFAULT_SHIPPING_FEE) || 0,
+      // Carrier tracking webhooks (POST /api/shipments/webhook/:carrier)
+      carriers: {
+        // Local fake carrier; its webhook is rejected unless a secret is set
+        fake: {
+          webhookSecret: process.env.FAKE_CARRIER_WEBHOOK_SECRET
+        }
+      }
+    },
+    
+    // Order settings
+    orders: {
+      // Unpaid orders expire after this many minutes
+      pendingTtlMinutes: Number(process.env.ORDER_PENDING_TTL_MINUTES) || 24 * 60,
+      // Paid orders can be cancelled (and refunded) by the customer for this
+      // many minutes after payment, as long as they haven't shipped
+      cancellationWindowMinutes: Number(process.env.ORDER_CANCELLATION_WINDOW_MINUTES) || 60,
+      // Refund payments that arrive for expired/cancelled orders instead of
+      // only flagging them for review
+      autoRefundLatePayments: process.env.AUTO_REFUND_LATE_PAYMENTS !== 'false'
+    },
+    
+    // Cash on delivery settings
+    cod: {
+      enabled: process.env.COD_ENABLED !== 'false',
+      // Largest order total accepted for COD
+      maxOrderValue: Number(process.env.COD_MAX_ORDER_VALUE) || 50000,
+      // Customers with this many COD parcels returned undelivered lose COD
+      maxRefusals: Number(process.env.COD_MAX_REFUSALS) || 2
+    },
+    
+    // Scheduled jobs
+    jobs: {
+      enabled: process.env.JOBS_ENABLED !== 'false',
+      expireOrdersIntervalMinutes: Number(process.env.EXPIRE_ORDERS_INTERVAL_MINUTES) || 5,
+      settleAuthorizationsIntervalMinutes: Number(process.env.SETTLE_AUTHORIZATIONS_INTERVAL_MINUTES) || 60
+    },
+    
+    // Mail settings
+    mail: {
+      transport: process.env.MAIL_TRANSPORT || 'console', // console | file | smtp
+      from: process.env.MAIL_FROM || 'Razorpay MERN Integration <no-reply@localhost>',
+      fileDir: process.env.MAIL_FILE_DIR || 'mail-outbox',
+      smtp: {
+        host: process.env.SMTP_HOST || 'localhost',
+        port: Number(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
       }
     },
     
@@ -40,6 +116,13 @@ const appConfig = {
         max: 100 // limit each IP to 100 requests per windowMs
       },
       helmet: true, // Enable security headers
+      // Enforce 2FA for roles flagged requireTwoFactor
+      adminTwoFactorRequired: process.env.ADMIN_2FA_REQUIRED !== 'false'
+    },
+
+    // Two-factor authentication settings
+    twoFactor: {
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Razorpay MERN Integration'
     }
   };
   
@@ -1,5 +1,7 @@
 // server/config/db.js
 const mongoose = require('mongoose');
+const Role = require('../models/role.model');
+const Order = require('../models/order.model');
 
 const connectDB = async () => {
   try {
@@ -9,6 +11,15 @@ const connectDB = async () => {
     });
     
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Make sure the built-in roles exist
+    await Role.seedDefaults();
+
+    // Orders from before the stored amount was added
+    const backfilled = await Order.backfillAmounts();
+    if (backfilled) {
+      console.log(`Backfilled the amount of ${backfilled} order(s)`);
+    }
   } catch (error) {
     console.error(`Error connecting to MongoDB: ${error.message}`);
     process.exit(1);
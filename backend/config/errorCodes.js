@@ -6,6 +6,41 @@ const errorCodes = {
       message: 'Authentication failed',
       statusCode: 401
     },
+    ACCOUNT_LOCKED: {
+      code: 'ACCOUNT_LOCKED',
+      message: 'Account temporarily locked due to too many failed login attempts',
+      statusCode: 423
+    },
+    ACCOUNT_SUSPENDED: {
+      code: 'ACCOUNT_SUSPENDED',
+      message: 'This account has been suspended',
+      statusCode: 403
+    },
+    TWO_FACTOR_INVALID: {
+      code: 'TWO_FACTOR_INVALID',
+      message: 'Invalid two-factor authentication code',
+      statusCode: 401
+    },
+    TWO_FACTOR_REQUIRED: {
+      code: 'TWO_FACTOR_REQUIRED',
+      message: 'Two-factor authentication must be enabled for this action',
+      statusCode: 403
+    },
+    EMAIL_NOT_VERIFIED: {
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to continue',
+      statusCode: 403
+    },
+    VERIFICATION_TOKEN_INVALID: {
+      code: 'VERIFICATION_TOKEN_INVALID',
+      message: 'Email verification link is invalid or has expired',
+      statusCode: 400
+    },
+    RESET_TOKEN_INVALID: {
+      code: 'RESET_TOKEN_INVALID',
+      message: 'Password reset token is invalid or has expired',
+      statusCode: 400
+    },
     
     // Payment errors
     PAYMENT_CREATION_FAILED: {
@@ -18,6 +53,11 @@ const errorCodes = {
       message: 'Payment verification failed',
       statusCode: 400
     },
+    PAYMENT_NOT_FOUND: {
+      code: 'PAYMENT_NOT_FOUND',
+      message: 'Payment not found',
+      statusCode: 404
+    },
     PAYMENT_CAPTURE_FAILED: {
       code: 'PAYMENT_CAPTURE_FAILED',
       message: 'Failed to capture payment',
@@ -28,6 +68,11 @@ const errorCodes = {
       message: 'Failed to process refund',
       statusCode: 400
     },
+    REFUND_AMOUNT_EXCEEDED: {
+      code: 'REFUND_AMOUNT_EXCEEDED',
+      message: 'Refund amount exceeds the refundable balance of the payment',
+      statusCode: 400
+    },
     
     // Order errors
     ORDER_CREATION_FAILED: {
@@ -40,6 +85,131 @@ const errorCodes = {
       message: 'Order not found',
       statusCode: 404
     },
+    INVALID_STATUS_TRANSITION: {
+      code: 'INVALID_STATUS_TRANSITION',
+      message: 'Order cannot move to this status',
+      statusCode: 409
+    },
+    CANCELLATION_WINDOW_CLOSED: {
+      code: 'CANCELLATION_WINDOW_CLOSED',
+      message: 'This order can no longer be cancelled',
+      statusCode: 409
+    },
+    AMOUNT_MISMATCH: {
+      code: 'AMOUNT_MISMATCH',
+      message: 'Payment amount does not match order amount',
+      statusCode: 400
+    },
+    COD_NOT_AVAILABLE: {
+      code: 'COD_NOT_AVAILABLE',
+      message: 'Cash on delivery is not available for this order',
+      statusCode: 400
+    },
+    
+    // Return errors
+    RETURN_NOT_FOUND: {
+      code: 'RETURN_NOT_FOUND',
+      message: 'Return request not found',
+      statusCode: 404
+    },
+    RETURN_NOT_ALLOWED: {
+      code: 'RETURN_NOT_ALLOWED',
+      message: 'Only delivered orders can be returned',
+      statusCode: 400
+    },
+    RETURN_ALREADY_REQUESTED: {
+      code: 'RETURN_ALREADY_REQUESTED',
+      message: 'A return has already been requested for this order',
+      statusCode: 409
+    },
+    RETURN_QUANTITY_EXCEEDED: {
+      code: 'RETURN_QUANTITY_EXCEEDED',
+      message: 'More units requested than can be returned',
+      statusCode: 400
+    },
+    INVALID_RETURN_TRANSITION: {
+      code: 'INVALID_RETURN_TRANSITION',
+      message: 'Return cannot move to this status',
+      statusCode: 409
+    },
+    
+    // Catalog errors
+    PRODUCT_NOT_FOUND: {
+      code: 'PRODUCT_NOT_FOUND',
+      message: 'Product not found',
+      statusCode: 404
+    },
+    PRODUCT_UNAVAILABLE: {
+      code: 'PRODUCT_UNAVAILABLE',
+      message: 'Product is not available for sale',
+      statusCode: 400
+    },
+    OUT_OF_STOCK: {
+      code: 'OUT_OF_STOCK',
+      message: 'Not enough stock for this product',
+      statusCode: 409
+    },
+    
+    // Cart errors
+    CART_EMPTY: {
+      code: 'CART_EMPTY',
+      message: 'Your cart is empty',
+      statusCode: 400
+    },
+    CART_LIMIT_EXCEEDED: {
+      code: 'CART_LIMIT_EXCEEDED',
+      message: 'Your cart has too many items',
+      statusCode: 400
+    },
+    
+    // Shipping errors
+    SHIPPING_UNAVAILABLE: {
+      code: 'SHIPPING_UNAVAILABLE',
+      message: 'We do not deliver to this address',
+      statusCode: 400
+    },
+    SHIPMENT_NOT_FOUND: {
+      code: 'SHIPMENT_NOT_FOUND',
+      message: 'Shipment not found',
+      statusCode: 404
+    },
+    SHIPMENT_NOT_ALLOWED: {
+      code: 'SHIPMENT_NOT_ALLOWED',
+      message: 'Only paid or confirmed orders can be shipped',
+      statusCode: 400
+    },
+    SHIPMENT_QUANTITY_EXCEEDED: {
+      code: 'SHIPMENT_QUANTITY_EXCEEDED',
+      message: 'More units than are left to ship',
+      statusCode: 400
+    },
+    INVALID_SHIPMENT_TRANSITION: {
+      code: 'INVALID_SHIPMENT_TRANSITION',
+      message: 'Shipment cannot move to this status',
+      statusCode: 409
+    },
+    
+    // Coupon errors
+    COUPON_NOT_FOUND: {
+      code: 'COUPON_NOT_FOUND',
+      message: 'Coupon not found',
+      statusCode: 404
+    },
+    COUPON_INVALID: {
+      code: 'COUPON_INVALID',
+      message: 'Coupon code is invalid or has expired',
+      statusCode: 400
+    },
+    COUPON_NOT_APPLICABLE: {
+      code: 'COUPON_NOT_APPLICABLE',
+      message: 'Coupon cannot be applied to this order',
+      statusCode: 400
+    },
+    COUPON_LIMIT_REACHED: {
+      code: 'COUPON_LIMIT_REACHED',
+      message: 'Coupon usage limit has been reached',
+      statusCode: 400
+    },
     
     // General errors
     VALIDATION_ERROR: {
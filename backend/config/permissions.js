@@ -0,0 +1,80 @@
+// server/config/permissions.js
+
+/**
+ * Named permissions
+ * Format: <resource>:<action>[:<scope>] where scope "any" means records
+ * belonging to other users. Customers don't need permissions for their own
+ * orders and payments; those routes check ownership instead.
+ */
+const PERMISSIONS = {
+  ORDERS_READ_ANY: 'orders:read:any',
+  ORDERS_UPDATE_ANY: 'orders:update:any',
+  ORDERS_EXPORT: 'orders:export',
+  PAYMENTS_READ_ANY: 'payments:read:any',
+  PAYMENTS_CAPTURE: 'payments:capture',
+  REFUNDS_CREATE: 'refunds:create',
+  RETURNS_MANAGE: 'returns:manage',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  PRODUCTS_MANAGE: 'products:manage',
+  COUPONS_MANAGE: 'coupons:manage',
+  SHIPPING_MANAGE: 'shipping:manage',
+  SHIPMENTS_MANAGE: 'shipments:manage',
+  COD_COLLECT: 'cod:collect',
+  AUDIT_READ: 'audit:read',
+};
+
+/**
+ * Roles seeded into the database on startup
+ * Custom roles are left untouched so changes made through the API persist;
+ * system roles also gain any permissions added here in later releases.
+ */
+const DEFAULT_ROLES = [
+  {
+    name: 'user',
+    description: 'Customer',
+    permissions: [],
+    requireTwoFactor: false,
+    isSystem: true,
+  },
+  {
+    name: 'admin',
+    description: 'Full access',
+    permissions: Object.values(PERMISSIONS),
+    requireTwoFactor: true,
+    isSystem: true,
+  },
+  {
+    name: 'support',
+    description: 'Support agent: reads orders, issues refunds and handles returns',
+    permissions: [
+      PERMISSIONS.ORDERS_READ_ANY,
+      PERMISSIONS.PAYMENTS_READ_ANY,
+      PERMISSIONS.REFUNDS_CREATE,
+      PERMISSIONS.RETURNS_MANAGE,
+      PERMISSIONS.USERS_READ,
+    ],
+    requireTwoFactor: true,
+    isSystem: false,
+  },
+  {
+    name: 'courier',
+    description: 'Delivery staff: records cash collected on delivery',
+    permissions: [PERMISSIONS.COD_COLLECT],
+    requireTwoFactor: false,
+    isSystem: false,
+  },
+  {
+    name: 'finance',
+    description: 'Finance staff: exports only',
+    permissions: [PERMISSIONS.ORDERS_EXPORT],
+    requireTwoFactor: true,
+    isSystem: false,
+  },
+];
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+};
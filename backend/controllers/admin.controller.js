@@ -0,0 +1,606 @@
+// server/controllers/admin.controller.js
+const User = require("../models/user.model");
+const Order = require("../models/order.model");
+const Payment = require("../models/payment.model");
+const Role = require("../models/role.model");
+const Session = require("../models/session.model");
+const AuditLog = require("../models/auditLog.model");
+const errorCodes = require("../config/errorCodes");
+const logger = require("../utils/logger");
+const { createPagination, escapeRegex } = require("../utils/helper");
+const { USER, AUDIT_ACTIONS } = require("../utils/constants");
+
+/**
+ * Shape the lock state of a user for admin responses
+ */
+const formatLockState = (user) => ({
+  userId: user._id,
+  name: user.name,
+  email: user.email,
+  isLocked: user.isLocked,
+  lockedUntil: user.isLocked ? user.lockUntil : null,
+  failedLoginAttempts: user.failedLoginAttempts,
+  lockCount: user.lockCount,
+  lastFailedLoginAt: user.lastFailedLoginAt || null,
+});
+
+/**
+ * Shape a user for admin responses
+ */
+const formatUser = (user) => ({
+  userId: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  role: user.role,
+  status: user.status,
+  suspension: user.isSuspended ? user.suspension : null,
+  verified: user.verified,
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  isLocked: user.isLocked,
+  createdAt: user.createdAt,
+});
+
+const userNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: errorCodes.VALIDATION_ERROR,
+    message: "User not found",
+  });
+
+/**
+ * List users with search, filters and pagination
+ * @route GET /api/admin/users
+ * @access Private (users:read)
+ */
+exports.getUsers = async (req, res) => {
+  try {
+    const { page, limit, search, role, status } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (status) filter.status = status;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), "i");
+      filter.$or = [{ email: pattern }, { name: pattern }, { phone: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: users.length,
+      pagination: createPagination(page, limit, total),
+      data: users.map(formatUser),
+    });
+  } catch (error) {
+    console.error("Get users error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve users",
+    });
+  }
+};
+
+/**
+ * Get a single user
+ * @route GET /api/admin/users/:userId
+ * @access Private (users:read)
+ */
+exports.getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const [orderCount, activeSessions] = await Promise.all([
+      Order.countDocuments({ user: user._id }),
+      Session.countDocuments({
+        user: user._id,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() },
+      }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...formatUser(user),
+        addresses: user.addresses,
+        orderCount,
+        activeSessions,
+      },
+    });
+  } catch (error) {
+    console.error("Get user error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve user",
+    });
+  }
+};
+
+/**
+ * Change the role of a user
+ * @route PATCH /api/admin/users/:userId/role
+ * @access Private (users:manage)
+ */
+exports.changeUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    // Stops an admin from accidentally removing their own access
+    if (userId === String(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "You cannot change your own role",
+      });
+    }
+
+    if (!(await Role.exists({ name: role }))) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: `Role "${role}" does not exist`,
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.USER_ROLE_CHANGED,
+      targetType: "User",
+      targetId: user._id,
+      details: { from: previousRole, to: role },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "User role updated successfully",
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error("Change user role error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to change user role",
+    });
+  }
+};
+
+/**
+ * Suspend a user and sign them out everywhere
+ * @route POST /api/admin/users/:userId/suspend
+ * @access Private (users:manage)
+ */
+exports.suspendUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    if (userId === String(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "You cannot suspend your own account",
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (user.isSuspended) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "User is already suspended",
+      });
+    }
+
+    user.status = USER.STATUS.SUSPENDED;
+    user.suspension = {
+      reason,
+      suspendedAt: new Date(),
+      suspendedBy: req.user.id,
+    };
+    await user.save({ validateBeforeSave: false });
+
+    await Session.revokeAllForUser(user._id, "suspended");
+
+    logger.info(`User ${user.email} suspended by ${req.user.email}`);
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.USER_SUSPENDED,
+      targetType: "User",
+      targetId: user._id,
+      details: { reason },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "User suspended successfully",
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error("Suspend user error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to suspend user",
+    });
+  }
+};
+
+/**
+ * Lift a suspension
+ * @route POST /api/admin/users/:userId/reactivate
+ * @access Private (users:manage)
+ */
+exports.reactivateUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (!user.isSuspended) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "User is not suspended",
+      });
+    }
+
+    const previousSuspension = user.suspension;
+    user.status = USER.STATUS.ACTIVE;
+    user.suspension = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`User ${user.email} reactivated by ${req.user.email}`);
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.USER_REACTIVATED,
+      targetType: "User",
+      targetId: user._id,
+      details: {
+        suspendedAt: previousSuspension && previousSuspension.suspendedAt,
+        reason: previousSuspension && previousSuspension.reason,
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "User reactivated successfully",
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error("Reactivate user error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to reactivate user",
+    });
+  }
+};
+
+/**
+ * List the orders of a user
+ * @route GET /api/admin/users/:userId/orders
+ * @access Private (orders:read:any)
+ */
+exports.getUserOrders = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const filter = { user: req.params.userId };
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: orders.length,
+      pagination: createPagination(page, limit, total),
+      data: orders,
+    });
+  } catch (error) {
+    console.error("Get user orders error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve user orders",
+    });
+  }
+};
+
+/**
+ * List the payments of a user
+ * @route GET /api/admin/users/:userId/payments
+ * @access Private (payments:read:any)
+ */
+exports.getUserPayments = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const filter = { user: req.params.userId };
+
+    const [payments, total] = await Promise.all([
+      Payment.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Payment.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: payments.length,
+      pagination: createPagination(page, limit, total),
+      data: payments,
+    });
+  } catch (error) {
+    console.error("Get user payments error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve user payments",
+    });
+  }
+};
+
+/**
+ * List audit log entries, newest first
+ * @route GET /api/admin/audit-logs
+ * @access Private (audit:read)
+ */
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { page, limit, action, actor, targetId } = req.query;
+
+    const filter = {};
+    if (action) filter.action = action;
+    if (actor) filter.actor = actor;
+    if (targetId) filter.targetId = targetId;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: logs.length,
+      pagination: createPagination(page, limit, total),
+      data: logs,
+    });
+  } catch (error) {
+    console.error("Get audit logs error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve audit logs",
+    });
+  }
+};
+
+/**
+ * List accounts that are currently locked out
+ * @route GET /api/admin/users/locked
+ * @access Private (users:read)
+ */
+exports.getLockedUsers = async (req, res) => {
+  try {
+    const users = await User.find({ lockUntil: { $gt: new Date() } }).sort({
+      lockUntil: -1,
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users.map(formatLockState),
+    });
+  } catch (error) {
+    console.error("Get locked users error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve locked users",
+    });
+  }
+};
+
+/**
+ * Get the lock state of a user
+ * @route GET /api/admin/users/:userId/lock
+ * @access Private (users:read)
+ */
+exports.getUserLockStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "User not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatLockState(user),
+    });
+  } catch (error) {
+    console.error("Get user lock status error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve lock status",
+    });
+  }
+};
+
+/**
+ * Unlock a user and clear their failed login attempts
+ * @route POST /api/admin/users/:userId/unlock
+ * @access Private (users:manage)
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    await User.resetLoginAttempts(userId);
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "User not found",
+      });
+    }
+
+    logger.info(`User ${user.email} unlocked by ${req.user.email}`);
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.USER_UNLOCKED,
+      targetType: "User",
+      targetId: user._id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "User unlocked successfully",
+      data: formatLockState(user),
+    });
+  } catch (error) {
+    console.error("Unlock user error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to unlock user",
+    });
+  }
+};
+
+/**
+ * Escape a value for a CSV cell
+ */
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Export orders as CSV
+ * @route GET /api/admin/orders/export
+ * @access Private (orders:export)
+ */
+exports.exportOrders = async (req, res) => {
+  try {
+    const { from, to, status } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const columns = [
+      "orderId",
+      "userId",
+      "status",
+      "totalAmount",
+      "tax",
+      "includedTax",
+      "cgst",
+      "sgst",
+      "igst",
+      "shippingFee",
+      "discount",
+      "finalAmount",
+      "currency",
+      "razorpayOrderId",
+      "createdAt",
+    ];
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.ORDERS_EXPORTED,
+      targetType: "Order",
+      details: { from, to, status },
+    });
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="orders-${Date.now()}.csv"`
+    );
+    res.write(`${columns.join(",")}\n`);
+
+    // Stream with a cursor so large exports don't load into memory
+    const cursor = Order.find(filter).sort({ createdAt: 1 }).cursor();
+    for await (const order of cursor) {
+      const row = [
+        order._id,
+        order.user,
+        order.status,
+        order.totalAmount,
+        order.tax,
+        order.includedTax,
+        order.taxBreakdown && order.taxBreakdown.cgst,
+        order.taxBreakdown && order.taxBreakdown.sgst,
+        order.taxBreakdown && order.taxBreakdown.igst,
+        order.shippingFee,
+        order.discount,
+        order.finalAmount,
+        order.currency,
+        order.razorpayOrderId,
+        order.createdAt,
+      ];
+      res.write(`${row.map(toCsvCell).join(",")}\n`);
+    }
+
+    return res.end();
+  } catch (error) {
+    console.error("Export orders error:", error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to export orders",
+    });
+  }
+};
@@ -1,33 +1,179 @@
 // server/controllers/auth.controller.js
+const mongoose = require('mongoose');
 const User = require('../models/user.model');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const errorCodes = require('../config/errorCodes');
+const logger = require('../utils/logger');
+const mailer = require('../utils/mailer');
+const Session = require('../models/session.model');
+const Cart = require('../models/cart.model');
+const { hashToken, getClientInfo } = require('../utils/helper');
+const {
+  SUCCESS_MESSAGES,
+  JWT,
+  EMAIL_TEMPLATES,
+  EMAIL_VERIFICATION,
+  PASSWORD_RESET,
+  TWO_FACTOR,
+  CART,
+} = require('../utils/constants');
+const appConfig = require('../config/app');
+const totp = require('../utils/totp');
 
 /**
- * Generate JWT Token and set it in HTTP-only cookie
+ * Cookie options shared by the access and refresh token cookies
  */
-const generateTokenResponse = (user, res) => {
-  const token = jwt.sign(
-    { id: user._id, role: user.role },
+const cookieOptions = (overrides = {}) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'Strict',
+  ...overrides,
+});
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+const signAccessToken = (user, session) => {
+  return jwt.sign(
+    { id: user._id, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || JWT.ACCESS_EXPIRES_IN }
+  );
+};
+
+/**
+ * Set access and refresh tokens in HTTP-only cookies
+ */
+const setAuthCookies = (res, accessToken, session, refreshToken) => {
+  res.cookie('token', accessToken, cookieOptions({
+    maxAge: JWT.ACCESS_COOKIE_MAX_AGE,
+  }));
+
+  // The refresh token is only ever sent to the auth routes
+  res.cookie('refreshToken', refreshToken, cookieOptions({
+    path: '/api/auth',
+    expires: session.expiresAt,
+  }));
+};
+
+/**
+ * Clear the auth cookies
+ */
+const clearAuthCookies = (res) => {
+  res.cookie('token', '', cookieOptions({ expires: new Date(0) }));
+  res.cookie('refreshToken', '', cookieOptions({
+    path: '/api/auth',
+    expires: new Date(0),
+  }));
+};
+
+/**
+ * Move the guest cart named by the cart cookie into the user's cart
+ * A failed merge is logged only; it must never block the login
+ */
+const mergeGuestCart = async (user, req, res) => {
+  const cartToken = req.cookies && req.cookies[CART.COOKIE_NAME];
+  if (!cartToken) return;
+
+  try {
+    await Cart.mergeAnonymous(cartToken, user._id);
+  } catch (error) {
+    logger.error(`Failed to merge guest cart for ${user.email}: ${error.message}`);
+  }
+  res.clearCookie(CART.COOKIE_NAME);
+};
+
+/**
+ * Start a new session, set the auth cookies and return the tokens
+ */
+const generateTokenResponse = async (user, req, res) => {
+  const { session, refreshToken } = await Session.createForUser(
+    user._id,
+    getClientInfo(req)
+  );
+
+  const token = signAccessToken(user, session);
+  setAuthCookies(res, token, session, refreshToken);
+  await mergeGuestCart(user, req, res);
+
+  return { token, refreshToken };
+};
+
+/**
+ * Respond with a short-lived challenge token instead of a session
+ * Used wherever a password alone would otherwise sign in a user with 2FA on;
+ * tokens are only issued by verifyTwoFactorLogin.
+ */
+const sendTwoFactorChallenge = (res, user, message = 'Two-factor authentication required') => {
+  const challengeToken = jwt.sign(
+    { id: user._id, purpose: TWO_FACTOR.CHALLENGE_PURPOSE },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: TWO_FACTOR.CHALLENGE_EXPIRES_IN }
   );
 
-  // Convert JWT_COOKIE_EXPIRE to a number and ensure it's valid
-  const cookieExpireDays = Number(process.env.JWT_COOKIE_EXPIRE) || 7;
+  return res.status(200).json({
+    success: true,
+    message,
+    data: {
+      twoFactorRequired: true,
+      challengeToken,
+    },
+  });
+};
+
+/**
+ * Respond with AUTH_FAILED for a login that didn't go through
+ */
+const sendInvalidCredentials = (res) => {
+  return res.status(401).json({
+    success: false,
+    error: errorCodes.AUTH_FAILED,
+    message: 'Invalid email or password',
+  });
+};
+
+/**
+ * Respond with ACCOUNT_LOCKED and tell the client when to retry
+ */
+const sendAccountLocked = (res, user) => {
+  const retryAfter = user.lockRemainingSeconds();
+  res.set('Retry-After', String(retryAfter));
 
-  // Set token in an HTTP-only cookie
-  res.cookie('token', token, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'Strict',
-    expires: new Date(Date.now() + cookieExpireDays * 24 * 60 * 60 * 1000),
+  return res.status(errorCodes.ACCOUNT_LOCKED.statusCode).json({
+    success: false,
+    error: errorCodes.ACCOUNT_LOCKED,
+    message: errorCodes.ACCOUNT_LOCKED.message,
+    data: {
+      lockedUntil: user.lockUntil,
+      retryAfter,
+    },
   });
+};
 
-  return token;
+/**
+ * Respond with ACCOUNT_SUSPENDED
+ */
+const sendAccountSuspended = (res) => {
+  return res.status(errorCodes.ACCOUNT_SUSPENDED.statusCode).json({
+    success: false,
+    error: errorCodes.ACCOUNT_SUSPENDED,
+    message: errorCodes.ACCOUNT_SUSPENDED.message,
+  });
 };
 
+/**
+ * Send the welcome email containing the verification link
+ */
+const sendVerificationEmail = (user, req) => {
+  const token = user.generateEmailVerificationToken();
+  const verifyUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email/${token}`;
+
+  return mailer.sendTemplate(EMAIL_TEMPLATES.WELCOME, user.email, {
+    name: user.name,
+    verifyUrl,
+  });
+};
 
 /**
  * Register a new user
@@ -50,8 +196,15 @@ exports.register = async (req, res) => {
     // Create user (password hashing handled in the model pre-save hook)
     const user = await User.create({ name, email, password });
 
-    // Generate token and set cookie
-    const token = generateTokenResponse(user, res);
+    // A mail failure shouldn't fail the registration; the user can resend
+    try {
+      await sendVerificationEmail(user, req);
+    } catch (mailError) {
+      logger.error(`Failed to send verification email to ${user.email}: ${mailError.message}`);
+    }
+
+    // Start a session and set cookies
+    const { token, refreshToken } = await generateTokenResponse(user, req, res);
 
     return res.status(201).json({
       success: true,
@@ -61,8 +214,10 @@ exports.register = async (req, res) => {
           id: user._id,
           name: user.name,
           email: user.email,
+          verified: user.verified,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -86,16 +241,40 @@ exports.login = async (req, res) => {
 
     // Check if user exists
     const user = await User.findOne({ email }).select('+password');
+
+    // A locked account is rejected before the password is even checked. It
+    // gets the same answer as a wrong password, so a lockout doesn't tell
+    // anyone that the email is registered.
+    if (user && user.isLocked) {
+      return sendInvalidCredentials(res);
+    }
+
     if (!user || !(await bcrypt.compare(password, user.password))) {
-      return res.status(401).json({
-        success: false,
-        error: errorCodes.AUTH_FAILED,
-        message: 'Invalid email or password',
-      });
+      if (user) {
+        const updatedUser = await User.registerFailedLogin(user._id);
+        if (updatedUser && updatedUser.isLocked) {
+          logger.warn(`Account ${user.email} locked after repeated failed logins`);
+        }
+      }
+
+      return sendInvalidCredentials(res);
+    }
+
+    if (user.failedLoginAttempts || user.lockCount) {
+      await User.resetLoginAttempts(user._id);
+    }
+
+    if (user.isSuspended) {
+      return sendAccountSuspended(res);
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge token
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user);
     }
 
-    // Generate token and set cookie
-    const token = generateTokenResponse(user, res);
+    // Start a session and set cookies
+    const { token, refreshToken } = await generateTokenResponse(user, req, res);
 
     return res.status(200).json({
       success: true,
@@ -107,6 +286,7 @@ exports.login = async (req, res) => {
           email: user.email,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -121,19 +301,187 @@ exports.login = async (req, res) => {
 
 /**
  * Logout user
+ * Revokes the current session so its refresh token can't be used again
  * @route POST /api/auth/logout
  * @access Private
  */
-exports.logout = (req, res) => {
-  res.cookie('token', '', {
-    httpOnly: true,
-    expires: new Date(0),
-  });
+exports.logout = async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sessionId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
 
-  return res.status(200).json({
-    success: true,
-    message: 'Logged out successfully',
-  });
+    clearAuthCookies(res);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to logout',
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * @route POST /api/auth/refresh
+ * @access Public (requires refresh token)
+ */
+exports.refreshToken = async (req, res) => {
+  try {
+    const presentedToken =
+      (req.cookies && req.cookies.refreshToken) || req.body.refreshToken;
+
+    if (!presentedToken) {
+      return res.status(401).json({
+        success: false,
+        error: errorCodes.AUTH_FAILED,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const result = await Session.rotate(presentedToken, getClientInfo(req));
+
+    if (!result || result.reuseDetected) {
+      if (result && result.reuseDetected) {
+        logger.warn(`Refresh token reuse detected, session ${result.session._id} revoked`);
+      }
+
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        error: errorCodes.AUTH_FAILED,
+        message: 'Invalid or expired refresh token',
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+
+    if (!user) {
+      await result.session.revoke('user_deleted');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        error: errorCodes.AUTH_FAILED,
+        message: 'User no longer exists',
+      });
+    }
+
+    if (user.isSuspended) {
+      await result.session.revoke('suspended');
+      clearAuthCookies(res);
+      return sendAccountSuspended(res);
+    }
+
+    const token = signAccessToken(user, result.session);
+    setAuthCookies(res, token, result.session, result.refreshToken);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token,
+        refreshToken: result.refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to refresh token',
+    });
+  }
+};
+
+/**
+ * List the active sessions of the current user
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        id: session._id,
+        device: session.device,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.user.sessionId),
+      })),
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to retrieve sessions',
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * @route DELETE /api/auth/sessions/:id
+ * @access Private
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: 'Invalid session ID',
+      });
+    }
+
+    const session = await Session.findOne({ _id: id, user: req.user.id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: 'Session not found',
+      });
+    }
+
+    await session.revoke('user_revoked');
+
+    if (String(session._id) === String(req.user.sessionId)) {
+      clearAuthCookies(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to revoke session',
+    });
+  }
 };
 
 /**
@@ -166,3 +514,581 @@ exports.getMe = async (req, res) => {
     });
   }
 };
+
+/**
+ * Update the current user's profile
+ * @route PATCH /api/auth/profile
+ * @access Private
+ */
+exports.updateProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.AUTH_FAILED,
+        message: 'User not found',
+      });
+    }
+
+    const { name, phone } = req.body;
+    if (name !== undefined) user.name = name;
+    if (phone !== undefined) user.phone = phone;
+
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: user,
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to update profile',
+    });
+  }
+};
+
+/**
+ * Change password (requires the current password)
+ * Signs out every other session and starts a fresh one
+ * @route POST /api/auth/change-password
+ * @access Private
+ */
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user || !(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        error: errorCodes.AUTH_FAILED,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    // passwordChangedAt is set by the pre-save hook
+    user.password = newPassword;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_change');
+
+    // The new password alone doesn't get around 2FA
+    if (user.twoFactor && user.twoFactor.enabled) {
+      clearAuthCookies(res);
+      return sendTwoFactorChallenge(
+        res,
+        user,
+        'Password changed successfully. Two-factor authentication required'
+      );
+    }
+
+    const { token, refreshToken } = await generateTokenResponse(user, req, res);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to change password',
+    });
+  }
+};
+
+/**
+ * Request a password reset link
+ * Always responds with the same message so it can't be used to probe emails
+ * @route POST /api/auth/forgot-password
+ * @access Public
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+
+      try {
+        await mailer.sendTemplate(EMAIL_TEMPLATES.PASSWORD_RESET, user.email, {
+          name: user.name,
+          resetUrl,
+          expiresInMinutes: PASSWORD_RESET.EXPIRES_IN_MINUTES,
+        });
+      } catch (mailError) {
+        // Don't leave a usable token behind if the link never went out
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+        logger.error(`Failed to send password reset email: ${mailError.message}`);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `${SUCCESS_MESSAGES.PASSWORD_RESET_EMAIL} if an account exists for this email`,
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to process password reset request',
+    });
+  }
+};
+
+/**
+ * Reset password using a reset token
+ * @route POST /api/auth/reset-password/:token
+ * @access Public
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: Date.now() },
+    }).select('+passwordResetToken +passwordResetExpires');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.RESET_TOKEN_INVALID,
+        message: errorCodes.RESET_TOKEN_INVALID.message,
+      });
+    }
+
+    // Tokens are single-use; passwordChangedAt is set by the pre-save hook
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every existing session before starting a fresh one
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    // A reset link proves access to the email, not the second factor
+    if (user.twoFactor && user.twoFactor.enabled) {
+      clearAuthCookies(res);
+      return sendTwoFactorChallenge(
+        res,
+        user,
+        `${SUCCESS_MESSAGES.PASSWORD_RESET}. Two-factor authentication required`
+      );
+    }
+
+    const { token: authToken, refreshToken } = await generateTokenResponse(user, req, res);
+
+    return res.status(200).json({
+      success: true,
+      message: SUCCESS_MESSAGES.PASSWORD_RESET,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+        },
+        token: authToken,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to reset password',
+    });
+  }
+};
+
+/**
+ * Verify email address from the link sent at registration
+ * @route GET /api/auth/verify-email/:token
+ * @access Public
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== EMAIL_VERIFICATION.TOKEN_PURPOSE) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VERIFICATION_TOKEN_INVALID,
+        message: errorCodes.VERIFICATION_TOKEN_INVALID.message,
+      });
+    }
+
+    // The link is only valid for the email it was sent to
+    const user = await User.findOne({ _id: decoded.id, email: decoded.email });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VERIFICATION_TOKEN_INVALID,
+        message: errorCodes.VERIFICATION_TOKEN_INVALID.message,
+      });
+    }
+
+    if (!user.verified) {
+      user.verified = true;
+      user.verifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        email: user.email,
+        verified: true,
+      },
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to verify email',
+    });
+  }
+};
+
+/**
+ * Resend the verification email to the current user
+ * @route POST /api/auth/resend-verification
+ * @access Private
+ */
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.AUTH_FAILED,
+        message: 'User not found',
+      });
+    }
+
+    if (user.verified) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: 'Email is already verified',
+      });
+    }
+
+    await sendVerificationEmail(user, req);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to send verification email',
+    });
+  }
+};
+
+/**
+ * Complete a login with a TOTP or recovery code
+ * @route POST /api/auth/login/2fa
+ * @access Public (requires challenge token)
+ */
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== TWO_FACTOR.CHALLENGE_PURPOSE) {
+      return res.status(401).json({
+        success: false,
+        error: errorCodes.AUTH_FAILED,
+        message: 'Login challenge is invalid or has expired',
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(
+      '+twoFactor.secret +twoFactor.lastUsedStep'
+    );
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: errorCodes.AUTH_FAILED,
+        message: 'User no longer exists',
+      });
+    }
+
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
+    if (user.isSuspended) {
+      return sendAccountSuspended(res);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (!(await User.verifyTwoFactor(user, { code, recoveryCode }))) {
+      const updatedUser = await User.registerFailedLogin(user._id);
+      if (updatedUser && updatedUser.isLocked) {
+        return sendAccountLocked(res, updatedUser);
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: errorCodes.TWO_FACTOR_INVALID,
+        message: errorCodes.TWO_FACTOR_INVALID.message,
+      });
+    }
+
+    if (user.failedLoginAttempts || user.lockCount) {
+      await User.resetLoginAttempts(user._id);
+    }
+
+    const { token, refreshToken } = await generateTokenResponse(user, req, res);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+        },
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to complete login',
+    });
+  }
+};
+
+/**
+ * Start two-factor enrolment
+ * @route POST /api/auth/2fa/setup
+ * @access Private
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = user.startTwoFactorSetup();
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app and confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: totp.buildOtpAuthUri({
+          secret,
+          accountName: user.email,
+          issuer: appConfig.twoFactor.issuer,
+        }),
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to start two-factor setup',
+    });
+  }
+};
+
+/**
+ * Confirm two-factor enrolment and issue recovery codes
+ * @route POST /api/auth/2fa/enable
+ * @access Private
+ */
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      '+twoFactor.pendingSecret'
+    );
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const recoveryCodes = user.confirmTwoFactorSetup(req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.TWO_FACTOR_INVALID,
+        message: 'Invalid code or two-factor setup was not started',
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe, they will not be shown again',
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to enable two-factor authentication',
+    });
+  }
+};
+
+/**
+ * Disable two-factor authentication (requires password and a code)
+ * @route POST /api/auth/2fa/disable
+ * @access Private
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id).select(
+      '+password +twoFactor.secret +twoFactor.lastUsedStep'
+    );
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (
+      !(await user.comparePassword(password)) ||
+      !(await User.verifyTwoFactor(user, { code, recoveryCode }))
+    ) {
+      return res.status(401).json({
+        success: false,
+        error: errorCodes.TWO_FACTOR_INVALID,
+        message: 'Invalid password or two-factor code',
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to disable two-factor authentication',
+    });
+  }
+};
+
+/**
+ * Replace the recovery codes (requires a current TOTP code)
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      '+twoFactor.secret +twoFactor.lastUsedStep'
+    );
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!(await User.verifyTwoFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({
+        success: false,
+        error: errorCodes.TWO_FACTOR_INVALID,
+        message: errorCodes.TWO_FACTOR_INVALID.message,
+      });
+    }
+
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: 'Failed to regenerate recovery codes',
+    });
+  }
+};
@@ -0,0 +1,435 @@
+// server/controllers/cart.controller.js
+const crypto = require("crypto");
+const Cart = require("../models/cart.model");
+const Product = require("../models/product.model");
+const Order = require("../models/order.model");
+const User = require("../models/user.model");
+const errorCodes = require("../config/errorCodes");
+const AppError = require("../utils/appError");
+const { razorpayInstance } = require("../config/razorpay");
+const {
+  quoteOrder,
+  toOrderFields,
+  applyCoupon,
+  assertClientAmount,
+} = require("../utils/pricing");
+const orderEvents = require("../utils/orderEvents");
+const { roundAmount } = require("../utils/helper");
+const { CART } = require("../utils/constants");
+
+/**
+ * Cookie options for the guest cart token
+ */
+const cartCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "Lax",
+  maxAge: CART.ANONYMOUS_TTL_DAYS * 24 * 60 * 60 * 1000,
+});
+
+/**
+ * Load the cart of the request: the user's cart when logged in, otherwise
+ * the guest cart named by the cookie. With `create`, a missing cart is started.
+ */
+const loadCart = async (req, res, { create = false } = {}) => {
+  if (req.user) {
+    return create
+      ? Cart.findOrCreateForUser(req.user.id)
+      : Cart.findOne({ user: req.user.id });
+  }
+
+  const token = req.cookies && req.cookies[CART.COOKIE_NAME];
+  if (token) {
+    const cart = await Cart.findAnonymous(token);
+    if (cart || !create) return cart;
+  }
+
+  if (!create) return null;
+
+  const newToken = crypto.randomBytes(24).toString("hex");
+  res.cookie(CART.COOKIE_NAME, newToken, cartCookieOptions());
+  return Cart.createAnonymous(newToken);
+};
+
+/**
+ * Re-price the cart and re-check its coupon
+ * A coupon that no longer applies is removed and reported as a change.
+ * @returns {Promise<Object>} { changes, coupon }
+ */
+const refreshCart = async (cart, req) => {
+  const changes = await cart.reprice();
+
+  let coupon = null;
+  if (cart.couponCode) {
+    try {
+      const { discount } = await applyCoupon(cart.couponCode, {
+        items: cart.items,
+        userId: req.user && req.user.id,
+      });
+      coupon = { code: cart.couponCode, discount };
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+
+      changes.push({
+        type: "coupon_removed",
+        code: cart.couponCode,
+        reason: error.message,
+      });
+      cart.couponCode = undefined;
+    }
+  }
+
+  return { changes, coupon };
+};
+
+/**
+ * Shape a cart for responses
+ * @param {Object} cart - Cart document or null
+ * @param {Object} state - changes and coupon from refreshCart
+ */
+const formatCart = (cart, { changes = [], coupon = null } = {}) => {
+  const subtotal = cart ? cart.subtotal : 0;
+  const discount = coupon ? coupon.discount : 0;
+
+  return {
+    items: cart
+      ? cart.items.map((item) => ({
+          productId: item.product,
+          sku: item.sku,
+          name: item.name,
+          price: item.price,
+          quantity: item.quantity,
+          lineTotal: roundAmount(item.price * item.quantity),
+        }))
+      : [],
+    itemCount: cart ? cart.itemCount : 0,
+    subtotal,
+    coupon,
+    discount,
+    total: roundAmount(subtotal - discount),
+    changes,
+  };
+};
+
+/**
+ * Send an AppError or a generic 500
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toResponse());
+  }
+  return res.status(500).json({
+    success: false,
+    error: errorCodes.SERVER_ERROR,
+    message: error.message || fallbackMessage,
+  });
+};
+
+const itemNotInCart = (res) =>
+  res.status(404).json({
+    success: false,
+    error: errorCodes.VALIDATION_ERROR,
+    message: "Item is not in the cart",
+  });
+
+/**
+ * Get the cart, re-priced against the current catalog
+ * @route GET /api/cart
+ * @access Public (guest cart) / Private (user cart)
+ */
+exports.getCart = async (req, res) => {
+  try {
+    const cart = await loadCart(req, res);
+
+    let state;
+    if (cart) {
+      state = await refreshCart(cart, req);
+      if (state.changes.length) await cart.save();
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatCart(cart, state),
+    });
+  } catch (error) {
+    console.error("Get cart error:", error);
+    return sendError(res, error, "Failed to retrieve cart");
+  }
+};
+
+/**
+ * Add a product to the cart
+ * @route POST /api/cart/items
+ * @access Public (guest cart) / Private (user cart)
+ */
+exports.addItem = async (req, res) => {
+  try {
+    const { productId, quantity } = req.body;
+
+    const product = await Product.findById(productId);
+    if (!product || !product.active) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.PRODUCT_NOT_FOUND,
+        message: errorCodes.PRODUCT_NOT_FOUND.message,
+      });
+    }
+
+    const cart = await loadCart(req, res, { create: true });
+    cart.addItem(product, quantity);
+    const state = await refreshCart(cart, req);
+    await cart.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Item added to cart",
+      data: formatCart(cart, state),
+    });
+  } catch (error) {
+    console.error("Add cart item error:", error);
+    return sendError(res, error, "Failed to add item to cart");
+  }
+};
+
+/**
+ * Change the quantity of a cart line
+ * @route PATCH /api/cart/items/:productId
+ * @access Public (guest cart) / Private (user cart)
+ */
+exports.updateItem = async (req, res) => {
+  try {
+    const cart = await loadCart(req, res);
+    const item = cart && cart.findItem(req.params.productId);
+
+    if (!item) {
+      return itemNotInCart(res);
+    }
+
+    item.quantity = req.body.quantity;
+    const state = await refreshCart(cart, req);
+    await cart.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Cart updated",
+      data: formatCart(cart, state),
+    });
+  } catch (error) {
+    console.error("Update cart item error:", error);
+    return sendError(res, error, "Failed to update cart");
+  }
+};
+
+/**
+ * Remove a product from the cart
+ * @route DELETE /api/cart/items/:productId
+ * @access Public (guest cart) / Private (user cart)
+ */
+exports.removeItem = async (req, res) => {
+  try {
+    const cart = await loadCart(req, res);
+
+    if (!cart || !cart.removeItem(req.params.productId)) {
+      return itemNotInCart(res);
+    }
+
+    const state = await refreshCart(cart, req);
+    await cart.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Item removed from cart",
+      data: formatCart(cart, state),
+    });
+  } catch (error) {
+    console.error("Remove cart item error:", error);
+    return sendError(res, error, "Failed to remove item from cart");
+  }
+};
+
+/**
+ * Empty the cart
+ * @route DELETE /api/cart
+ * @access Public (guest cart) / Private (user cart)
+ */
+exports.clearCart = async (req, res) => {
+  try {
+    const cart = await loadCart(req, res);
+
+    if (cart) {
+      cart.items = [];
+      cart.couponCode = undefined;
+      await cart.save();
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Cart cleared",
+      data: formatCart(cart),
+    });
+  } catch (error) {
+    console.error("Clear cart error:", error);
+    return sendError(res, error, "Failed to clear cart");
+  }
+};
+
+/**
+ * Apply a coupon code to the cart
+ * @route POST /api/cart/coupon
+ * @access Public (guest cart) / Private (user cart)
+ */
+exports.applyCoupon = async (req, res) => {
+  try {
+    const cart = await loadCart(req, res);
+
+    if (!cart || !cart.items.length) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.CART_EMPTY,
+        message: errorCodes.CART_EMPTY.message,
+      });
+    }
+
+    // Throws when the code doesn't apply, leaving the cart unchanged
+    await cart.reprice();
+    const { coupon } = await applyCoupon(req.body.code, {
+      items: cart.items,
+      userId: req.user && req.user.id,
+    });
+
+    cart.couponCode = coupon.code;
+    const state = await refreshCart(cart, req);
+    await cart.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Coupon applied",
+      data: formatCart(cart, state),
+    });
+  } catch (error) {
+    console.error("Apply coupon error:", error);
+    return sendError(res, error, "Failed to apply coupon");
+  }
+};
+
+/**
+ * Remove the coupon from the cart
+ * @route DELETE /api/cart/coupon
+ * @access Public (guest cart) / Private (user cart)
+ */
+exports.removeCoupon = async (req, res) => {
+  try {
+    const cart = await loadCart(req, res);
+
+    let state;
+    if (cart) {
+      cart.couponCode = undefined;
+      state = await refreshCart(cart, req);
+      await cart.save();
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Coupon removed",
+      data: formatCart(cart, state),
+    });
+  } catch (error) {
+    console.error("Remove coupon error:", error);
+    return sendError(res, error, "Failed to remove coupon");
+  }
+};
+
+/**
+ * Turn the cart into an order and a Razorpay order
+ * Everything is priced again on the server; the client may send the amount it
+ * showed the customer, which must still match.
+ * @route POST /api/cart/checkout
+ * @access Private (verified email)
+ */
+exports.checkout = async (req, res) => {
+  try {
+    const { addressId, amount, notes, savePaymentMethod = false } = req.body;
+    let { shippingAddress } = req.body;
+
+    const cart = await Cart.findOne({ user: req.user.id });
+    const state = cart ? await refreshCart(cart, req) : undefined;
+    if (state && state.changes.length) await cart.save();
+
+    if (!cart || !cart.items.length) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.CART_EMPTY,
+        message: errorCodes.CART_EMPTY.message,
+        data: formatCart(cart, state),
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (addressId) {
+      shippingAddress = user.getShippingAddress(addressId);
+
+      if (!shippingAddress) {
+        return res.status(400).json({
+          success: false,
+          error: errorCodes.VALIDATION_ERROR,
+          message: "Address not found",
+        });
+      }
+    }
+
+    const quote = await quoteOrder({
+      items: cart.toOrderItems(),
+      couponCode: cart.couponCode,
+      userId: user._id,
+      shippingAddress,
+    });
+    assertClientAmount(amount, quote.finalAmount);
+
+    const order = new Order({
+      user: user._id,
+      ...toOrderFields(quote),
+      shippingAddress,
+      notes,
+      status: "pending",
+    });
+
+    const customerId = await user.ensureRazorpayCustomer(razorpayInstance);
+
+    // Saves the order only once Razorpay has accepted it
+    await orderEvents.onOrderPlaced(order);
+    let razorpayOrder;
+    try {
+      razorpayOrder = await order.createRazorpayOrder(razorpayInstance, {
+        customerId,
+      });
+    } catch (error) {
+      await orderEvents.onOrderAborted(order);
+      throw error;
+    }
+
+    cart.items = [];
+    cart.couponCode = undefined;
+    await cart.save();
+
+    return res.status(201).json({
+      success: true,
+      message: "Order created successfully",
+      data: {
+        orderId: order._id,
+        razorpayOrderId: razorpayOrder.id,
+        amount: order.finalAmount,
+        currency: order.currency,
+        receipt: order.receipt,
+        key: process.env.RAZORPAY_KEY_ID,
+        customerId,
+        savePaymentMethod,
+        savedPaymentMethods: user.getCheckoutPaymentMethods(),
+        changes: state.changes,
+      },
+    });
+  } catch (error) {
+    console.error("Checkout error:", error);
+    return sendError(res, error, "Failed to check out");
+  }
+};
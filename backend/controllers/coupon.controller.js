@@ -0,0 +1,330 @@
+// server/controllers/coupon.controller.js
+const Coupon = require("../models/coupon.model");
+const CouponRedemption = require("../models/couponRedemption.model");
+const Cart = require("../models/cart.model");
+const AuditLog = require("../models/auditLog.model");
+const errorCodes = require("../config/errorCodes");
+const AppError = require("../utils/appError");
+const { priceItems, applyCoupon } = require("../utils/pricing");
+const { createPagination, escapeRegex, roundAmount } = require("../utils/helper");
+const { AUDIT_ACTIONS, COUPON } = require("../utils/constants");
+
+const couponNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: errorCodes.VALIDATION_ERROR,
+    message: "Coupon not found",
+  });
+
+/**
+ * Send an AppError or a generic 500
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toResponse());
+  }
+  return res.status(500).json({
+    success: false,
+    error: errorCodes.SERVER_ERROR,
+    message: error.message || fallbackMessage,
+  });
+};
+
+/**
+ * Check a coupon code against some items or the customer's cart
+ * Nothing is reserved; the use is only claimed when the order is placed.
+ * @route POST /api/coupons/validate
+ * @access Private
+ */
+exports.validateCoupon = async (req, res) => {
+  try {
+    let { items } = req.body;
+
+    if (!items) {
+      const cart = await Cart.findOne({ user: req.user.id });
+      if (!cart || !cart.items.length) {
+        return res.status(400).json({
+          success: false,
+          error: errorCodes.CART_EMPTY,
+          message: errorCodes.CART_EMPTY.message,
+        });
+      }
+      items = cart.toOrderItems();
+    }
+
+    const priced = await priceItems(items);
+    const { coupon, discount } = await applyCoupon(req.body.code, {
+      items: priced.items,
+      userId: req.user.id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Coupon is valid",
+      data: {
+        code: coupon.code,
+        type: coupon.type,
+        description: coupon.description,
+        subtotal: priced.totalAmount,
+        discount,
+        total: roundAmount(priced.totalAmount - discount),
+        expiresAt: coupon.expiresAt || null,
+      },
+    });
+  } catch (error) {
+    console.error("Validate coupon error:", error);
+    return sendError(res, error, "Failed to validate coupon");
+  }
+};
+
+/**
+ * List coupons
+ * @route GET /api/admin/coupons
+ * @access Private (coupons:manage)
+ */
+exports.getCoupons = async (req, res) => {
+  try {
+    const { page, limit, search, active } = req.query;
+
+    const filter = {};
+    if (active !== undefined) filter.active = active;
+    if (search) filter.code = new RegExp(escapeRegex(search), "i");
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Coupon.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: coupons.length,
+      pagination: createPagination(page, limit, total),
+      data: coupons,
+    });
+  } catch (error) {
+    console.error("Get coupons error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve coupons",
+    });
+  }
+};
+
+/**
+ * Create a coupon
+ * @route POST /api/admin/coupons
+ * @access Private (coupons:manage)
+ */
+exports.createCoupon = async (req, res) => {
+  try {
+    if (await Coupon.exists({ code: req.body.code.toUpperCase() })) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "A coupon with this code already exists",
+      });
+    }
+
+    const coupon = await Coupon.create({ ...req.body, createdBy: req.user.id });
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.COUPON_CREATED,
+      targetType: "Coupon",
+      targetId: coupon._id,
+      details: { code: coupon.code, type: coupon.type, value: coupon.value },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Coupon created successfully",
+      data: coupon,
+    });
+  } catch (error) {
+    console.error("Create coupon error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to create coupon",
+    });
+  }
+};
+
+/**
+ * Update a coupon
+ * Orders already placed keep the discount they were quoted.
+ * @route PATCH /api/admin/coupons/:couponId
+ * @access Private (coupons:manage)
+ */
+exports.updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.couponId);
+
+    if (!coupon) {
+      return couponNotFound(res);
+    }
+
+    const previous = {};
+    for (const field of Object.keys(req.body)) {
+      previous[field] = coupon[field];
+    }
+
+    coupon.set(req.body);
+
+    if (
+      coupon.type === COUPON.TYPES.PERCENTAGE &&
+      (coupon.value <= 0 || coupon.value > 100)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "Percentage must be between 1 and 100",
+      });
+    }
+
+    await coupon.save();
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.COUPON_UPDATED,
+      targetType: "Coupon",
+      targetId: coupon._id,
+      details: { from: previous, to: req.body },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Coupon updated successfully",
+      data: coupon,
+    });
+  } catch (error) {
+    console.error("Update coupon error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to update coupon",
+    });
+  }
+};
+
+/**
+ * Deactivate a coupon
+ * Coupons are never deleted so their usage history stays intact.
+ * @route DELETE /api/admin/coupons/:couponId
+ * @access Private (coupons:manage)
+ */
+exports.deactivateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndUpdate(
+      req.params.couponId,
+      { active: false },
+      { new: true }
+    );
+
+    if (!coupon) {
+      return couponNotFound(res);
+    }
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.COUPON_DEACTIVATED,
+      targetType: "Coupon",
+      targetId: coupon._id,
+      details: { code: coupon.code },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Coupon deactivated successfully",
+      data: coupon,
+    });
+  } catch (error) {
+    console.error("Deactivate coupon error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to deactivate coupon",
+    });
+  }
+};
+
+/**
+ * Usage report for a coupon: uses and discount by status, plus recent uses
+ * @route GET /api/admin/coupons/:couponId/usage
+ * @access Private (coupons:manage)
+ */
+exports.getCouponUsage = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.couponId);
+
+    if (!coupon) {
+      return couponNotFound(res);
+    }
+
+    const [byStatus, uniqueUsers, recent] = await Promise.all([
+      CouponRedemption.aggregate([
+        { $match: { coupon: coupon._id } },
+        {
+          $group: {
+            _id: "$status",
+            count: { $sum: 1 },
+            totalDiscount: { $sum: "$discount" },
+          },
+        },
+      ]),
+      CouponRedemption.distinct("user", {
+        coupon: coupon._id,
+        status: COUPON.REDEMPTION_STATUS.REDEEMED,
+      }),
+      CouponRedemption.find({ coupon: coupon._id })
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .populate("user", "name email"),
+    ]);
+
+    const summary = Object.values(COUPON.REDEMPTION_STATUS).reduce(
+      (acc, status) => {
+        const row = byStatus.find((item) => item._id === status);
+        acc[status] = {
+          count: row ? row.count : 0,
+          totalDiscount: row ? roundAmount(row.totalDiscount) : 0,
+        };
+        return acc;
+      },
+      {}
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        couponId: coupon._id,
+        code: coupon.code,
+        usedCount: coupon.usedCount,
+        usageLimit: coupon.usageLimit || null,
+        remaining: coupon.usageLimit
+          ? Math.max(coupon.usageLimit - coupon.usedCount, 0)
+          : null,
+        uniqueCustomers: uniqueUsers.length,
+        byStatus: summary,
+        recent: recent.map((redemption) => ({
+          order: redemption.order,
+          user: redemption.user,
+          discount: redemption.discount,
+          status: redemption.status,
+          createdAt: redemption.createdAt,
+          redeemedAt: redemption.redeemedAt || null,
+          releasedAt: redemption.releasedAt || null,
+          releasedReason: redemption.releasedReason || null,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get coupon usage error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve coupon usage",
+    });
+  }
+};
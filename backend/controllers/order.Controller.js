@@ -1,40 +1,111 @@
 const mongoose = require("mongoose");
+const { razorpayInstance } = require("../config/razorpay");
 const Order = require("../models/order.model");
 const Payment = require("../models/payment.model");
+const ReturnRequest = require("../models/returnRequest.model");
+const Shipment = require("../models/shipment.model");
+const appConfig = require("../config/app");
 const errorCodes = require("../config/errorCodes");
 const userModel = require("../models/user.model");
+const AuditLog = require("../models/auditLog.model");
+const { hasPermission } = require("../middleware/auth.middleware");
+const { PERMISSIONS } = require("../config/permissions");
+const { AUDIT_ACTIONS, ORDER } = require("../utils/constants");
+const { quoteOrder, toOrderFields, assertClientAmount } = require("../utils/pricing");
+const { assertCodEligible } = require("../utils/cod");
+const orderEvents = require("../utils/orderEvents");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+const { createPagination, escapeRegex } = require("../utils/helper");
+
+/**
+ * The successful payment of an order, or else its latest attempt
+ */
+const findOrderPayment = (order) =>
+  order.payment
+    ? Payment.findById(order.payment)
+    : Payment.findOne({ order: order._id }).sort({ createdAt: -1 });
+
+/**
+ * Refund a paid order that has just been cancelled
+ * A failed refund is recorded on the order and flagged for review, so the
+ * cancellation itself still succeeds.
+ */
+const refundCancelledOrder = async (order, reason) => {
+  if (!order.payment) return;
 
-exports.createOrder = async (req, res) => {
   try {
-    console.log("User from middleware:", req.user); // Debugging log
+    await order.initiateRefund(razorpayInstance, reason);
+  } catch (error) {
+    logger.error(`Failed to refund cancelled order ${order._id}: ${error.message}`);
+  }
+};
 
-    if (!req.user || !req.user.id) {
-      return res.status(401).json({
-        success: false,
-        error: "AUTH_ERROR",
-        message: "User not authenticated",
-      });
+/**
+ * Create an order priced from the product catalog
+ * @route POST /api/orders
+ * @access Private
+ */
+exports.createOrder = async (req, res) => {
+  try {
+    const { items, totalAmount, paymentMethod, addressId, couponCode } = req.body;
+    let { shippingAddress } = req.body;
+
+    // Use a saved address from the user's address book when given
+    if (addressId) {
+      const user = await userModel.findById(req.user.id);
+      shippingAddress = user && user.getShippingAddress(addressId);
+
+      if (!shippingAddress) {
+        return res.status(400).json({
+          success: false,
+          error: errorCodes.VALIDATION_ERROR,
+          message: "Address not found",
+        });
+      }
     }
-    const { items, totalAmount, paymentMethod, shippingAddress } = req.body;
 
-    if (!items || !totalAmount || !paymentMethod || !shippingAddress) {
-      return res.status(400).json({
-        success: false,
-        error: "VALIDATION_ERROR",
-        message: "All fields are required to create an order.",
-      });
+    // Line prices and the total always come from the catalog
+    const quote = await quoteOrder({
+      items,
+      couponCode,
+      userId: req.user.id,
+      shippingAddress,
+      paymentMethod,
+    });
+    assertClientAmount(totalAmount, quote.totalAmount);
+
+    const cod = paymentMethod === ORDER.PAYMENT_METHODS.COD;
+    if (cod) {
+      await assertCodEligible(quote, req.user);
     }
 
     const newOrder = new Order({
       user: req.user.id,
-      items,
-      totalAmount,
+      ...toOrderFields(quote),
       paymentMethod,
       shippingAddress,
-      status: "pending", // Default status
+      status: ORDER.STATUS.PENDING, // Default status
     });
 
-    await newOrder.save();
+    await orderEvents.onOrderPlaced(newOrder);
+    try {
+      await newOrder.save();
+    } catch (error) {
+      await orderEvents.onOrderAborted(newOrder);
+      throw error;
+    }
+
+    // COD orders need no Razorpay payment; they are paid on delivery
+    if (cod) {
+      newOrder.transitionTo(ORDER.STATUS.CONFIRMED, {
+        actor: req.user.id,
+        source: ORDER.STATUS_SOURCES.CUSTOMER,
+        reason: "Cash on delivery",
+      });
+      await newOrder.save();
+      await orderEvents.onOrderConfirmed(newOrder);
+    }
 
     return res.status(201).json({
       success: true,
@@ -43,32 +114,106 @@ exports.createOrder = async (req, res) => {
     });
   } catch (error) {
     console.error("Create order error:", error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     return res.status(500).json({
       success: false,
-      error: "SERVER_ERROR",
+      error: errorCodes.SERVER_ERROR,
       message: error.message || "Failed to create order",
     });
   }
 };
 
 /**
- * Get all orders for the authenticated user
+ * Build the Mongo filter for an order listing from validated query params
+ */
+const buildOrderFilter = ({ status, from, to, minAmount, maxAmount, search }) => {
+  const filter = {};
+
+  if (status) filter.status = status;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    filter.amount = {};
+    if (minAmount !== undefined) filter.amount.$gte = minAmount;
+    if (maxAmount !== undefined) filter.amount.$lte = maxAmount;
+  }
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), "i");
+    filter.$or = [{ "items.name": pattern }, { receipt: pattern }];
+  }
+
+  return filter;
+};
+
+/**
+ * Run a paginated order listing and send the response
+ */
+const sendOrderPage = async (res, filter, { page, limit, sort }) => {
+  const sortField = sort.replace(/^-/, "");
+  const sortOrder = { [sortField]: sort.startsWith("-") ? -1 : 1 };
+  if (sortField !== "createdAt") sortOrder.createdAt = -1;
+
+  const [orders, total] = await Promise.all([
+    Order.find(filter)
+      .sort(sortOrder)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Order.countDocuments(filter),
+  ]);
+
+  return res.status(200).json({
+    success: true,
+    count: orders.length,
+    pagination: createPagination(page, limit, total),
+    data: orders,
+  });
+};
+
+/**
+ * Get the orders of the authenticated user
+ * Supports page/limit, status, from/to, minAmount/maxAmount, search and sort.
  * @route GET /api/orders
  * @access Private
  */
 exports.getOrders = async (req, res) => {
   try {
-    const orders = await Order.find({ user: req.user.id }).sort({
-      createdAt: -1,
+    const filter = { ...buildOrderFilter(req.query), user: req.user.id };
+    return await sendOrderPage(res, filter, req.query);
+  } catch (error) {
+    console.error("Get orders error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve orders",
     });
+  }
+};
 
-    return res.status(200).json({
-      success: true,
-      count: orders.length,
-      data: orders,
-    });
+/**
+ * List orders across all customers
+ * Same filters as GET /api/orders, plus userId and needsReview.
+ * @route GET /api/admin/orders
+ * @access Private (orders:read:any)
+ */
+exports.getAllOrders = async (req, res) => {
+  try {
+    const filter = buildOrderFilter(req.query);
+    if (req.query.userId) filter.user = req.query.userId;
+    if (req.query.needsReview !== undefined) {
+      filter.needsReview = req.query.needsReview;
+    }
+
+    return await sendOrderPage(res, filter, req.query);
   } catch (error) {
-    console.error("Get orders error:", error);
+    console.error("Get all orders error:", error);
     return res.status(500).json({
       success: false,
       error: errorCodes.SERVER_ERROR,
@@ -80,7 +225,7 @@ exports.getOrders = async (req, res) => {
 /**
  * Get order by ID
  * @route GET /api/orders/:orderId
- * @access Private
+ * @access Private (owner, or orders:read:any)
  */
 exports.getOrderById = async (req, res) => {
   try {
@@ -97,7 +242,13 @@ exports.getOrderById = async (req, res) => {
       });
     }
 
-    const order = await Order.findOne({ _id: validOrderId, user: req.user.id });
+    // Staff with orders:read:any can look up any customer's order
+    const filter = { _id: validOrderId };
+    if (!hasPermission(req.user, PERMISSIONS.ORDERS_READ_ANY)) {
+      filter.user = req.user.id;
+    }
+
+    const order = await Order.findOne(filter);
 
     if (!order) {
       return res.status(404).json({
@@ -108,7 +259,7 @@ exports.getOrderById = async (req, res) => {
     }
 
     // Get associated payment if exists
-    const payment = await Payment.findOne({ order: order._id });
+    const payment = await findOrderPayment(order);
 
     return res.status(200).json({
       success: true,
@@ -192,7 +343,7 @@ exports.getOrderStatus = async (req, res) => {
       });
     }
 
-    const payment = await Payment.findOne({ order: order._id });
+    const payment = await findOrderPayment(order);
 
     return res.status(200).json({
       success: true,
@@ -201,7 +352,7 @@ exports.getOrderStatus = async (req, res) => {
         status: order.status,
         paymentStatus: payment ? payment.status : "pending",
         paymentMethod: payment ? payment.method : null,
-        amount: order.amount,
+        amount: order.finalAmount,
         currency: order.currency,
         createdAt: order.createdAt,
         updatedAt: order.updatedAt,
@@ -218,13 +369,16 @@ exports.getOrderStatus = async (req, res) => {
 };
 
 /**
- * Cancel order (if not paid yet)
- * @route POST /api/orders/:orderId/cancel
+ * Cancel order
+ * Unpaid orders are cancelled; paid ones are cancelled and refunded in full
+ * within the cancellation window; shipped ones get a return request instead.
+ * @route PATCH /api/orders/:orderId/cancel
  * @access Private
  */
 exports.cancelOrder = async (req, res) => {
   try {
     const { orderId } = req.params;
+    const { reason } = req.body;
     const order = await Order.findOne({ _id: orderId, user: req.user.id });
 
     if (!order) {
@@ -235,7 +389,30 @@ exports.cancelOrder = async (req, res) => {
       });
     }
 
-    if (["paid", "refunded"].includes(order.status)) {
+    // Goods that have left the warehouse come back through a return
+    if (
+      [ORDER.STATUS.SHIPPED, ORDER.STATUS.DELIVERED].includes(order.status) ||
+      (order.status === ORDER.STATUS.PROCESSING &&
+        (await Shipment.isDispatched(order._id)))
+    ) {
+      const returnRequest = await ReturnRequest.requestForOrder(order, reason);
+
+      return res.status(201).json({
+        success: true,
+        message: "Order has already shipped, so a return was requested instead",
+        data: { order, returnRequest },
+      });
+    }
+
+    if (
+      ![
+        ORDER.STATUS.PENDING,
+        ORDER.STATUS.PAYMENT_FAILED,
+        ORDER.STATUS.CONFIRMED,
+        ORDER.STATUS.PAID,
+        ORDER.STATUS.PROCESSING,
+      ].includes(order.status)
+    ) {
       return res.status(400).json({
         success: false,
         error: errorCodes.VALIDATION_ERROR,
@@ -243,16 +420,48 @@ exports.cancelOrder = async (req, res) => {
       });
     }
 
-    order.status = "cancelled";
+    // Paid orders are refunded, but only shortly after payment
+    const paid = Boolean(order.payment);
+    if (paid && !order.isWithinCancellationWindow()) {
+      throw new AppError(
+        errorCodes.CANCELLATION_WINDOW_CLOSED,
+        `Paid orders can only be cancelled within ${appConfig.orders.cancellationWindowMinutes} minutes of payment`
+      );
+    }
+
+    order.transitionTo(ORDER.STATUS.CANCELLED, {
+      actor: req.user.id,
+      source: ORDER.STATUS_SOURCES.CUSTOMER,
+      reason,
+    });
     await order.save();
+    await orderEvents.onOrderCancelled(order);
+
+    if (!paid) {
+      return res.status(200).json({
+        success: true,
+        message: "Order cancelled successfully",
+        data: order,
+      });
+    }
+
+    await refundCancelledOrder(order, reason || "Cancelled by customer");
 
     return res.status(200).json({
       success: true,
-      message: "Order cancelled successfully",
+      message: {
+        [ORDER.REFUND_STATUS.FAILED]:
+          "Order cancelled. The refund could not be started and will be processed manually",
+        [ORDER.REFUND_STATUS.AUTHORIZATION_RELEASED]:
+          "Order cancelled. The payment was never charged; the amount held by your bank will be released within a few days",
+      }[order.refund.status] || "Order cancelled and refund initiated",
       data: order,
     });
   } catch (error) {
     console.error("Cancel order error:", error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     return res.status(500).json({
       success: false,
       error: errorCodes.SERVER_ERROR,
@@ -262,14 +471,14 @@ exports.cancelOrder = async (req, res) => {
 };
 
 /**
- * Update order status (Admin only)
+ * Update order status
  * @route PUT /api/orders/:orderId/status
- * @access Admin
+ * @access Private (orders:update:any)
  */
 exports.updateOrderStatus = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     const order = await Order.findById(orderId);
 
@@ -281,9 +490,43 @@ exports.updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Update order status
-    order.status = status;
-    await order.save();
+    // Goods already on their way come back through a return; cancelling
+    // would restock and refund them while the parcel is still out
+    if (
+      status === ORDER.STATUS.CANCELLED &&
+      order.status === ORDER.STATUS.PROCESSING &&
+      (await Shipment.isDispatched(order._id))
+    ) {
+      throw new AppError(
+        errorCodes.INVALID_STATUS_TRANSITION,
+        "Order has shipments on their way and can only come back through a return",
+        { from: order.status, to: status }
+      );
+    }
+
+    // Only moves allowed by the order state machine
+    const previousStatus = order.status;
+    const changed = order.transitionTo(status, {
+      actor: req.user.id,
+      source: ORDER.STATUS_SOURCES.ADMIN,
+      reason,
+    });
+
+    if (changed) {
+      await order.save();
+
+      if (status === ORDER.STATUS.CANCELLED) {
+        await orderEvents.onOrderCancelled(order);
+        await refundCancelledOrder(order, reason || "Cancelled by admin");
+      }
+
+      await AuditLog.record(req, {
+        action: AUDIT_ACTIONS.ORDER_STATUS_UPDATED,
+        targetType: "Order",
+        targetId: order._id,
+        details: { from: previousStatus, to: status, reason },
+      });
+    }
 
     return res.status(200).json({
       success: true,
@@ -292,10 +535,66 @@ exports.updateOrderStatus = async (req, res) => {
     });
   } catch (error) {
     console.error("Update order status error:", error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     return res.status(500).json({
       success: false,
       error: errorCodes.SERVER_ERROR,
       message: error.message || "Failed to update order status"
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get the status history of an order
+ * @route GET /api/orders/:orderId/history
+ * @access Private (owner, or orders:read:any)
+ */
+exports.getOrderHistory = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "Invalid order ID",
+      });
+    }
+
+    const filter = { _id: orderId };
+    if (!hasPermission(req.user, PERMISSIONS.ORDERS_READ_ANY)) {
+      filter.user = req.user.id;
+    }
+
+    const order = await Order.findOne(filter)
+      .select("status statusHistory")
+      .populate("statusHistory.actor", "name email");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.ORDER_NOT_FOUND,
+        message: "Order not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      count: order.statusHistory.length,
+      data: {
+        orderId: order._id,
+        status: order.status,
+        history: order.statusHistory,
+      },
+    });
+  } catch (error) {
+    console.error("Get order history error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve order history",
+    });
+  }
+};
@@ -3,69 +3,244 @@ const {
   razorpayInstance,
   validatePaymentVerification,
 } = require("../config/razorpay");
+const mongoose = require("mongoose");
 const Order = require("../models/order.model");
 const Payment = require("../models/payment.model");
+const ReturnRequest = require("../models/returnRequest.model");
+const User = require("../models/user.model");
+const AuditLog = require("../models/auditLog.model");
+const appConfig = require("../config/app");
 const errorCodes = require("../config/errorCodes");
-const { generateReceiptNumber } = require("../utils/helper");
+const { PERMISSIONS } = require("../config/permissions");
+const { hasPermission } = require("../middleware/auth.middleware");
+const logger = require("../utils/logger");
+const { formatAmountForRazorpay } = require("../utils/helper");
+const { USER, ORDER, RAZORPAY, AUDIT_ACTIONS } = require("../utils/constants");
+const { assertClientAmount } = require("../utils/pricing");
+const orderEvents = require("../utils/orderEvents");
+const AppError = require("../utils/appError");
 
 /**
- * Create a new Razorpay order
+ * Save the card/UPI token used for a payment to the user's payment methods
+ * Failures are logged only; they must never fail the payment itself
+ */
+const syncPaymentMethodFromPayment = async (userId, paymentDetails) => {
+  try {
+    if (
+      !paymentDetails.token_id ||
+      !Object.values(USER.PAYMENT_METHOD_TYPES).includes(paymentDetails.method)
+    ) {
+      return;
+    }
+
+    const user = await User.findById(userId);
+    const customerId = paymentDetails.customer_id || (user && user.razorpayCustomerId);
+    if (!user || !customerId) return;
+
+    const token = await razorpayInstance.customers.fetchToken(
+      customerId,
+      paymentDetails.token_id
+    );
+
+    user.upsertPaymentMethod(token);
+    await user.save({ validateBeforeSave: false });
+  } catch (error) {
+    logger.error(`Failed to sync payment method for user ${userId}: ${error.message}`);
+  }
+};
+
+/**
+ * Move an order to a status reported by Razorpay
+ * Webhooks can arrive late or out of order, so a move the state machine
+ * doesn't allow is logged and skipped instead of failing the request.
+ * @returns {Promise<Boolean>} Whether the status changed
+ */
+const moveOrderTo = async (order, status, reason) => {
+  if (order.status === status) return false;
+
+  if (!order.canTransitionTo(status)) {
+    logger.warn(
+      `Ignoring order ${order._id} status change ${order.status} -> ${status}`
+    );
+    return false;
+  }
+
+  order.transitionTo(status, { source: ORDER.STATUS_SOURCES.PAYMENT, reason });
+  await order.save();
+  return true;
+};
+
+// Match a local payment ID or a Razorpay payment ID
+const paymentFilter = (paymentId) =>
+  mongoose.Types.ObjectId.isValid(paymentId)
+    ? { _id: paymentId }
+    : { razorpayPaymentId: paymentId };
+
+/**
+ * Find the payment named by :paymentId (local or Razorpay payment ID)
+ * Customers only see their own payments; staff need payments:read:any.
+ * @returns {Query} Payment query
+ */
+const findPayment = (req) => {
+  const filter = paymentFilter(req.params.paymentId);
+
+  if (!hasPermission(req.user, PERMISSIONS.PAYMENTS_READ_ANY)) {
+    filter.user = req.user.id;
+  }
+
+  return Payment.findOne(filter);
+};
+
+/**
+ * Deal with a payment for an order that can no longer be paid
+ * (expired, cancelled or already paid by another payment). A captured
+ * payment is refunded in full, and an authorized one voided, when
+ * orders.autoRefundLatePayments is on; otherwise, or if the refund fails,
+ * the order is flagged for review. Doesn't save the order.
+ */
+const handleLatePayment = async (order, payment) => {
+  logger.warn(
+    `Payment ${payment.razorpayPaymentId} received for order ${order._id} in status ${order.status}`
+  );
+
+  // Already refunded or voided on an earlier delivery of the same event
+  if (payment.refunds.length || payment.status === "voided") return;
+
+  if (appConfig.orders.autoRefundLatePayments && payment.status === "authorized") {
+    await payment.voidAuthorization(`Order was ${order.status} when the payment arrived`);
+    return;
+  }
+
+  if (appConfig.orders.autoRefundLatePayments && payment.status === "captured") {
+    const reason = `Order was ${order.status} when the payment arrived`;
+    try {
+      const refund = await razorpayInstance.payments.refund(
+        payment.razorpayPaymentId,
+        {
+          amount: formatAmountForRazorpay(payment.amount),
+          notes: {
+            reason,
+            orderId: order._id.toString(),
+          },
+        }
+      );
+
+      await Payment.saveRefund(payment, (current) =>
+        current.recordRefund(refund, { reason })
+      );
+      return;
+    } catch (error) {
+      logger.error(
+        `Failed to refund late payment ${payment.razorpayPaymentId}: ${error.message}`
+      );
+    }
+  }
+
+  order.needsReview = true;
+  order.reviewReason = `Payment ${payment.razorpayPaymentId} received while order was ${order.status}`;
+};
+
+/**
+ * Link a successful payment to its order and mark the order paid
+ * Checkout verification and the payment.authorized/captured webhooks all
+ * land here; whichever comes first marks the order paid, even if the payment
+ * is only authorized and captured later, and the rest do nothing.
+ * @returns {Promise<Boolean>} Whether the order was marked paid now
+ */
+const markOrderPaid = async (order, payment) => {
+  if (order.payment && order.payment.equals(payment._id)) return false;
+
+  if (!order.canTransitionTo(ORDER.STATUS.PAID)) {
+    order.addPaymentAttempt(payment);
+    await handleLatePayment(order, payment);
+    await order.save();
+    return false;
+  }
+
+  await order.updateOrderAfterPayment(payment);
+  await orderEvents.onOrderPaid(order);
+  return true;
+};
+
+/**
+ * Create the Razorpay order for an existing local order
+ * Orders are placed with POST /api/orders (or cart checkout); this starts
+ * payment for one. A pending order keeps its Razorpay order, so retries reuse
+ * it and the charged amount can't change.
  * @route POST /api/payments/create-order
  * @access Private
  */
 exports.createOrder = async (req, res) => {
   try {
     const {
-      amount,
-      currency = "INR",
+      orderId,
+      amount: clientAmount,
       notes = {},
-      shippingAddress,
-      totalAmount,
+      savePaymentMethod = false,
     } = req.body;
 
-    // Generate a unique receipt number
-    const receipt = generateReceiptNumber();
-
-    // Create order in Razorpay
-    const options = {
-      amount: Math.round(amount * 100),
-      currency,
-      receipt,
-      notes: {
-        ...notes,
-        userId: req.user.id,
-      },
-      payment_capture: 1,
-    };
+    const order = await Order.findOne({ _id: orderId, user: req.user.id });
 
-    const razorpayOrder = await razorpayInstance.orders.create(options);
-
-    // Save order details to database
-    const order = await Order.create({
-      orderId: razorpayOrder.id,
-      amount: amount,
-      currency,
-      receipt,
-      user: req.user.id, // Changed from userId to user
-      status: "pending", // Use a valid status from your enum
-      notes: JSON.stringify(notes), // Convert notes to string if needed
-      totalAmount: totalAmount || amount, // Use provided totalAmount or fallback to amount
-      shippingAddress: shippingAddress || {}, // Use provided shipping address
-    });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.ORDER_NOT_FOUND,
+        message: "Order not found",
+      });
+    }
+
+    if (
+      ![ORDER.STATUS.PENDING, ORDER.STATUS.PAYMENT_FAILED].includes(order.status)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: `Cannot pay for order with status: ${order.status}`,
+      });
+    }
+
+    // The charged amount is the one stored when the order was placed
+    assertClientAmount(clientAmount, order.finalAmount);
+
+    // Create the Razorpay customer on first checkout so methods can be saved
+    const user = await User.findById(req.user.id);
+    const customerId = await user.ensureRazorpayCustomer(razorpayInstance);
+
+    if (order.status === ORDER.STATUS.PAYMENT_FAILED) {
+      order.transitionTo(ORDER.STATUS.PENDING, {
+        actor: req.user.id,
+        source: ORDER.STATUS_SOURCES.CUSTOMER,
+        reason: "Payment retried",
+      });
+      await order.save();
+    }
+
+    if (!order.razorpayOrderId) {
+      await order.createRazorpayOrder(razorpayInstance, { customerId, notes });
+    }
 
     return res.status(201).json({
       success: true,
       message: "Order created successfully",
       data: {
-        orderId: razorpayOrder.id,
-        amount: amount,
-        currency,
-        receipt,
+        orderId: order._id,
+        razorpayOrderId: order.razorpayOrderId,
+        amount: order.finalAmount,
+        currency: order.currency,
+        receipt: order.receipt,
         key: process.env.RAZORPAY_KEY_ID,
+        // Pass to Razorpay Checkout: saved methods are offered for one-click
+        // payment and `save` asks Checkout to tokenise the new card/UPI ID
+        customerId,
+        savePaymentMethod,
+        savedPaymentMethods: user.getCheckoutPaymentMethods(),
       },
     });
   } catch (error) {
     console.error("Order creation error:", error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     return res.status(500).json({
       success: false,
       error: errorCodes.ORDER_CREATION_FAILED,
@@ -113,12 +288,13 @@ exports.verifyPayment = async (req, res) => {
       razorpay_payment_id
     );
 
-    // Update order status in database
-    const order = await Order.findOneAndUpdate(
-      { orderId: razorpay_order_id },
-      { status: "paid" },
-      { new: true }
-    );
+    // Keep the user's saved methods in sync with any token created at checkout
+    await syncPaymentMethodFromPayment(req.user.id, paymentDetails);
+
+    const order = await Order.findOne({
+      razorpayOrderId: razorpay_order_id,
+      user: req.user.id,
+    });
 
     if (!order) {
       return res.status(404).json({
@@ -128,31 +304,32 @@ exports.verifyPayment = async (req, res) => {
       });
     }
 
-    // Create payment record
-    const payment = await Payment.create({
-      orderId: razorpay_order_id,
-      paymentId: razorpay_payment_id,
-      signature: razorpay_signature,
-      amount: paymentDetails.amount / 100, // Convert from smallest currency unit
-      currency: paymentDetails.currency,
-      status: paymentDetails.status,
-      method: paymentDetails.method,
-      userId: req.user.id,
-      email: paymentDetails.email,
-      contact: paymentDetails.contact,
-      paymentDetails: paymentDetails,
-    });
+    // Record the attempt and link it to the order
+    const payment = await Payment.recordRazorpayPayment(
+      order,
+      paymentDetails,
+      razorpay_signature
+    );
+
+    if (["authorized", "captured"].includes(payment.status)) {
+      await markOrderPaid(order, payment);
+    } else {
+      order.addPaymentAttempt(payment);
+      await order.save();
+    }
 
     return res.status(200).json({
       success: true,
       message: "Payment verified successfully",
       data: {
-        orderId: razorpay_order_id,
+        orderId: order._id,
+        razorpayOrderId: razorpay_order_id,
         paymentId: razorpay_payment_id,
-        amount: paymentDetails.amount / 100,
-        currency: paymentDetails.currency,
-        status: paymentDetails.status,
-        method: paymentDetails.method,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        method: payment.method,
+        orderStatus: order.status,
         receipt: order.receipt,
       },
     });
@@ -166,113 +343,341 @@ exports.verifyPayment = async (req, res) => {
   }
 };
 
+/**
+ * Record cash collected on delivery of a COD order
+ * The cash is handed over at the door, so a shipped order becomes delivered.
+ * @route POST /api/admin/orders/:orderId/cod-collection
+ * @access Private (cod:collect)
+ */
+exports.collectCodPayment = async (req, res) => {
+  try {
+    const { amount, reference } = req.body;
 
-// Add this to your payment routes file (e.g., routes/payment.routes.js)
+    const order = await Order.findById(req.params.orderId);
 
-// For testing purposes only - not for production
-router.get("/test-signature", authMiddleware.protect, (req, res) => {
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.ORDER_NOT_FOUND,
+        message: "Order not found",
+      });
+    }
+
+    if (order.paymentMethod !== ORDER.PAYMENT_METHODS.COD) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "Order is not a cash-on-delivery order",
+      });
+    }
+
+    if (![ORDER.STATUS.SHIPPED, ORDER.STATUS.DELIVERED].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: `Cannot collect cash for order with status: ${order.status}`,
+      });
+    }
+
+    if (order.payment) {
+      return res.status(409).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "Cash has already been collected for this order",
+      });
+    }
+
+    assertClientAmount(amount, order.finalAmount);
+
+    const payment = await Payment.recordCodCollection(order, {
+      amount,
+      collectedBy: req.user.id,
+      reference,
+    });
+
+    order.payment = payment._id;
+    order.paidAt = payment.cod.collectedAt;
+    order.addPaymentAttempt(payment);
+    if (order.canTransitionTo(ORDER.STATUS.DELIVERED)) {
+      order.transitionTo(ORDER.STATUS.DELIVERED, {
+        actor: req.user.id,
+        source: ORDER.STATUS_SOURCES.ADMIN,
+        reason: "Cash collected on delivery",
+      });
+    }
+    await order.save();
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.COD_COLLECTED,
+      targetType: "Order",
+      targetId: order._id,
+      details: { payment: payment._id, amount, reference },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Cash collection recorded successfully",
+      data: {
+        orderId: order._id,
+        paymentId: payment._id,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        method: payment.method,
+        orderStatus: order.status,
+        receipt: order.receipt,
+      },
+    });
+  } catch (error) {
+    console.error("COD collection error:", error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    // Another collection for the same order won the race
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "Cash has already been collected for this order",
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to record cash collection",
+    });
+  }
+};
+
+/**
+ * Capture an authorized payment of a manual-capture order
+ * The amount must be the order total, so a payment authorized for a
+ * different amount is never captured.
+ * @route POST /api/payments/:paymentId/capture
+ * @access Private (payments:capture)
+ */
+exports.capturePayment = async (req, res) => {
   try {
-    const orderId = req.query.orderId || "order_Q4noHWsqA9vNnC";
-    const paymentId = req.query.paymentId || "pay_test_" + Date.now();
-    const secret = process.env.RAZORPAY_KEY_SECRET;
-    
-    // Generate test signature
-    const signature = crypto
-      .createHmac('sha256', secret)
-      .update(orderId + "|" + paymentId)
-      .digest('hex');
-    
-    // Return the verification data that you can use in your next request
+    const payment = await Payment.findOne(paymentFilter(req.params.paymentId));
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.PAYMENT_NOT_FOUND,
+        message: "Payment not found",
+      });
+    }
+
+    if (payment.status !== "authorized") {
+      return res.status(409).json({
+        success: false,
+        error: errorCodes.PAYMENT_CAPTURE_FAILED,
+        message: `Cannot capture payment with status: ${payment.status}`,
+      });
+    }
+
+    const order = await Order.findById(payment.order);
+
+    // Payments that didn't pay their order are voided, not captured
+    if (!order || !order.payment || !order.payment.equals(payment._id)) {
+      return res.status(409).json({
+        success: false,
+        error: errorCodes.PAYMENT_CAPTURE_FAILED,
+        message: "Payment is not the payment of its order",
+      });
+    }
+
+    assertClientAmount(req.body.amount, order.finalAmount);
+
+    if (formatAmountForRazorpay(payment.amount) !== formatAmountForRazorpay(order.finalAmount)) {
+      throw new AppError(
+        errorCodes.AMOUNT_MISMATCH,
+        "Authorized amount does not match the order total",
+        { authorizedAmount: payment.amount, expectedAmount: order.finalAmount }
+      );
+    }
+
+    try {
+      await payment.capture();
+    } catch (error) {
+      throw new AppError(
+        errorCodes.PAYMENT_CAPTURE_FAILED,
+        (error.error && error.error.description) || error.message
+      );
+    }
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.PAYMENT_CAPTURED,
+      targetType: "Payment",
+      targetId: payment._id,
+      details: { order: order._id, amount: payment.amount },
+    });
+
     return res.status(200).json({
       success: true,
-      message: "Test verification data generated",
+      message: "Payment captured successfully",
       data: {
-        razorpay_order_id: orderId,
-        razorpay_payment_id: paymentId,
-        razorpay_signature: signature
-      }
+        orderId: order._id,
+        paymentId: payment.razorpayPaymentId,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        capturedAt: payment.capturedAt,
+      },
     });
   } catch (error) {
-    console.error("Test signature generation error:", error);
+    console.error("Payment capture error:", error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     return res.status(500).json({
       success: false,
-      error: "TEST_ERROR",
-      message: error.message || "Failed to generate test signature"
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to capture payment",
     });
   }
-});
+};
 
 /**
- * Process refund
- * @route POST /api/payments/refund
- * @access Private
+ * Refund a captured payment in full or in part
+ * Without an amount the whole refundable balance is refunded. Every refund
+ * goes into the payment's refund ledger; the refund webhooks finish it.
+ * Cash-on-delivery payments are paid back by staff and recorded with the
+ * reference of that transfer.
+ * @route POST /api/payments/:paymentId/refund
+ * @access Private (refunds:create)
  */
 exports.processRefund = async (req, res) => {
   try {
-    const { paymentId, amount, notes = {} } = req.body;
+    const { amount, speed = "normal", reason, reference, notes = {} } = req.body;
 
-    // Validate required fields
-    if (!paymentId) {
-      return res.status(400).json({
+    let payment = await Payment.findOne(paymentFilter(req.params.paymentId));
+
+    if (!payment) {
+      return res.status(404).json({
         success: false,
-        error: errorCodes.VALIDATION_ERROR,
-        message: "Payment ID is required for refund",
+        error: errorCodes.PAYMENT_NOT_FOUND,
+        message: "Payment not found",
       });
     }
 
-    // Fetch payment details from database
-    const payment = await Payment.findOne({ paymentId });
+    // Cash-on-delivery money is paid back by staff and only recorded here
+    const isOffline = payment.method === "cod";
 
-    if (!payment) {
-      return res.status(404).json({
+    if (!isOffline && !payment.canRefund()) {
+      return res.status(409).json({
+        success: false,
+        error: errorCodes.PAYMENT_REFUND_FAILED,
+        message: `Cannot refund payment with status: ${payment.status}`,
+      });
+    }
+
+    if (isOffline && !reference) {
+      return res.status(400).json({
         success: false,
         error: errorCodes.VALIDATION_ERROR,
-        message: "Payment not found",
+        message: "Reference of the money paid back is required for cash-on-delivery refunds",
       });
     }
 
-    // Initialize refund options
-    const refundOptions = {
-      payment_id: paymentId,
-      notes: {
-        ...notes,
-        userId: req.user.id,
-      },
+    const refundAmount = amount === undefined ? payment.refundableAmount : amount;
+
+    // Checked again on the current balance if another refund was saved first
+    const checkRefundable = ({ refundableAmount }) => {
+      if (
+        refundableAmount <= 0 ||
+        formatAmountForRazorpay(refundAmount) > formatAmountForRazorpay(refundableAmount)
+      ) {
+        throw new AppError(errorCodes.REFUND_AMOUNT_EXCEEDED, undefined, {
+          refundableAmount,
+        });
+      }
     };
 
-    // If amount is specified, add it to options
-    if (amount) {
-      refundOptions.amount = Math.round(amount * 100); // Convert to smallest currency unit
-    }
+    checkRefundable(payment);
 
-    // Process refund through Razorpay
-    const refund = await razorpayInstance.payments.refund(refundOptions);
+    let record;
+    if (isOffline) {
+      record = (current) => {
+        checkRefundable(current);
+        return current.recordOfflineRefund(refundAmount, {
+          reference,
+          reason,
+          requestedBy: req.user.id,
+        });
+      };
+    } else {
+      let refund;
+      try {
+        refund = await razorpayInstance.payments.refund(payment.razorpayPaymentId, {
+          amount: formatAmountForRazorpay(refundAmount),
+          speed: RAZORPAY.REFUND_SPEEDS[speed],
+          notes: {
+            ...notes,
+            ...(reason && { reason }),
+            orderId: payment.order.toString(),
+            userId: req.user.id,
+          },
+        });
+      } catch (error) {
+        throw new AppError(
+          errorCodes.PAYMENT_REFUND_FAILED,
+          (error.error && error.error.description) || error.message
+        );
+      }
 
-    // Update payment record with refund details
-    payment.refunds.push(refund);
-    payment.status =
-      amount && amount < payment.amount ? "partially_refunded" : "refunded";
-    await payment.save();
+      // Razorpay checks refunds against its own balance and has made this
+      // one, so it is recorded even if another refund was saved first
+      record = (current) =>
+        current.recordRefund(refund, {
+          speed,
+          reason,
+          requestedBy: req.user.id,
+        });
+    }
+    let entry;
+    ({ payment, entry } = await Payment.saveRefund(payment, record));
 
-    // Update order status
-    await Order.findOneAndUpdate(
-      { orderId: payment.orderId },
-      { status: payment.status },
-      { new: true }
-    );
+    // Instant refunds can be processed already; a full one refunds the order
+    if (payment.status === "refunded") {
+      const order = await Order.findById(payment.order);
+      if (order) await moveOrderTo(order, ORDER.STATUS.REFUNDED, reason || "Refunded");
+    }
 
-    return res.status(200).json({
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.REFUND_CREATED,
+      targetType: "Payment",
+      targetId: payment._id,
+      details: {
+        order: payment.order,
+        refundId: entry.razorpayRefundId,
+        amount: entry.amount,
+        ...(isOffline ? { offline: true, reference } : { speed }),
+        reason,
+      },
+    });
+
+    return res.status(201).json({
       success: true,
-      message: "Refund processed successfully",
+      message: "Refund initiated successfully",
       data: {
-        refundId: refund.id,
-        paymentId,
-        amount: refund.amount / 100, // Convert from smallest currency unit
-        status: refund.status,
+        refundId: entry.razorpayRefundId,
+        paymentId: payment.razorpayPaymentId,
+        amount: entry.amount,
+        status: entry.status,
+        speed: entry.speed,
+        offline: entry.offline,
+        reference: entry.reference,
+        paymentStatus: payment.status,
+        refundedAmount: payment.refundedAmount,
+        refundableAmount: payment.refundableAmount,
       },
     });
   } catch (error) {
     console.error("Refund processing error:", error);
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     return res.status(500).json({
       success: false,
       error: errorCodes.PAYMENT_REFUND_FAILED,
@@ -291,9 +696,18 @@ exports.getPaymentDetails = async (req, res) => {
     const { paymentId } = req.params;
 
     // Fetch payment from database
-    const payment = await Payment.findOne({ paymentId });
+    const payment = await findPayment(req);
 
     if (!payment) {
+      // Payments not recorded locally are only looked up for staff
+      if (!hasPermission(req.user, PERMISSIONS.PAYMENTS_READ_ANY)) {
+        return res.status(404).json({
+          success: false,
+          error: errorCodes.PAYMENT_NOT_FOUND,
+          message: "Payment not found",
+        });
+      }
+
       // Try to fetch from Razorpay
       try {
         const razorpayPayment = await razorpayInstance.payments.fetch(
@@ -318,7 +732,7 @@ exports.getPaymentDetails = async (req, res) => {
       } catch (razorpayError) {
         return res.status(404).json({
           success: false,
-          error: errorCodes.VALIDATION_ERROR,
+          error: errorCodes.PAYMENT_NOT_FOUND,
           message: "Payment not found",
         });
       }
@@ -328,14 +742,14 @@ exports.getPaymentDetails = async (req, res) => {
       success: true,
       message: "Payment details retrieved successfully",
       data: {
-        paymentId: payment.paymentId,
-        orderId: payment.orderId,
+        id: payment._id,
+        paymentId: payment.razorpayPaymentId,
+        orderId: payment.order,
+        razorpayOrderId: payment.razorpayOrderId,
         amount: payment.amount,
         currency: payment.currency,
         status: payment.status,
         method: payment.method,
-        email: payment.email,
-        contact: payment.contact,
         createdAt: payment.createdAt,
         refunds: payment.refunds,
       },
@@ -357,24 +771,19 @@ exports.getPaymentDetails = async (req, res) => {
  */
 exports.generateReceipt = async (req, res) => {
   try {
-    const { paymentId } = req.params;
-
     // Fetch payment from database
-    const payment = await Payment.findOne({ paymentId }).populate(
-      "userId",
-      "name email"
-    );
+    const payment = await findPayment(req).populate("user", "name email");
 
     if (!payment) {
       return res.status(404).json({
         success: false,
-        error: errorCodes.VALIDATION_ERROR,
+        error: errorCodes.PAYMENT_NOT_FOUND,
         message: "Payment not found",
       });
     }
 
     // Fetch order details
-    const order = await Order.findOne({ orderId: payment.orderId });
+    const order = await Order.findById(payment.order);
 
     if (!order) {
       return res.status(404).json({
@@ -388,10 +797,11 @@ exports.generateReceipt = async (req, res) => {
     const receiptData = {
       receiptNumber: order.receipt,
       date: payment.createdAt,
-      customerName: payment.userId?.name || "Customer",
-      customerEmail: payment.userId?.email || payment.email,
-      orderId: payment.orderId,
-      paymentId: payment.paymentId,
+      customerName: payment.user?.name || "Customer",
+      customerEmail: payment.user?.email,
+      orderId: order._id,
+      razorpayOrderId: payment.razorpayOrderId,
+      paymentId: payment.razorpayPaymentId,
       amount: payment.amount,
       currency: payment.currency,
       status: payment.status,
@@ -451,43 +861,32 @@ exports.handleWebhook = async (req, res) => {
     switch (event.event) {
       case "payment.authorized":
         // Payment has been authorized but not captured yet
-        console.log("Payment authorized:", event.payload.payment.entity.id);
+        await updatePaymentStatus(event.payload.payment.entity, "authorized");
         break;
 
       case "payment.captured":
         // Payment has been captured
-        await updatePaymentStatus(
-          event.payload.payment.entity.id,
-          event.payload.payment.entity.order_id,
-          "captured"
-        );
+        await updatePaymentStatus(event.payload.payment.entity, "captured");
         break;
 
       case "payment.failed":
         // Payment has failed
-        await updatePaymentStatus(
-          event.payload.payment.entity.id,
-          event.payload.payment.entity.order_id,
-          "failed"
-        );
+        await updatePaymentStatus(event.payload.payment.entity, "failed");
         break;
 
       case "refund.created":
         // Refund has been initiated
-        await updateRefundStatus(
-          event.payload.refund.entity.id,
-          event.payload.refund.entity.payment_id,
-          "created"
-        );
+        await updateRefundStatus(event.payload.refund.entity, "pending");
         break;
 
       case "refund.processed":
         // Refund has been processed
-        await updateRefundStatus(
-          event.payload.refund.entity.id,
-          event.payload.refund.entity.payment_id,
-          "processed"
-        );
+        await updateRefundStatus(event.payload.refund.entity, "processed");
+        break;
+
+      case "refund.failed":
+        // Refund has failed; the money stays with us
+        await updateRefundStatus(event.payload.refund.entity, "failed");
         break;
 
       default:
@@ -509,22 +908,38 @@ exports.handleWebhook = async (req, res) => {
 };
 
 // Helper function to update payment status
-async function updatePaymentStatus(paymentId, orderId, status) {
+async function updatePaymentStatus(paymentEntity, status) {
   try {
+    const order = await Order.findOne({
+      razorpayOrderId: paymentEntity.order_id,
+    });
+
+    if (!order) {
+      logger.warn(
+        `No order for Razorpay order ${paymentEntity.order_id} (payment ${paymentEntity.id})`
+      );
+      return null;
+    }
+
     // Update payment in database
-    const payment = await Payment.findOneAndUpdate(
-      { paymentId },
-      { status },
-      { new: true, upsert: true }
-    );
+    const payment = await Payment.recordRazorpayPayment(order, {
+      ...paymentEntity,
+      status,
+    });
 
     // Update order status
-    if (orderId) {
-      await Order.findOneAndUpdate(
-        { orderId },
-        { status: status === "captured" ? "paid" : status },
-        { new: true }
-      );
+    if (["authorized", "captured"].includes(status)) {
+      await markOrderPaid(order, payment);
+    } else if (status === "failed") {
+      order.addPaymentAttempt(payment);
+      if (!order.payment && order.canTransitionTo(ORDER.STATUS.PAYMENT_FAILED)) {
+        order.transitionTo(ORDER.STATUS.PAYMENT_FAILED, {
+          source: ORDER.STATUS_SOURCES.PAYMENT,
+          reason: paymentEntity.error_description || "Payment failed",
+        });
+      }
+      await order.save();
+      await orderEvents.onPaymentFailed(order);
     }
 
     return payment;
@@ -535,47 +950,53 @@ async function updatePaymentStatus(paymentId, orderId, status) {
 }
 
 // Helper function to update refund status
-async function updateRefundStatus(refundId, paymentId, status) {
+async function updateRefundStatus(refundEntity, status) {
   try {
+    const refundId = refundEntity.id;
+
     // Find payment
-    const payment = await Payment.findOne({ paymentId });
+    let payment = await Payment.findOne({
+      razorpayPaymentId: refundEntity.payment_id,
+    });
 
     if (!payment) {
       throw new Error("Payment not found");
     }
 
-    // Check if refund exists and update it
-    const refundIndex = payment.refunds.findIndex(
-      (refund) => refund.id === refundId
-    );
+    // Refunds made from the Razorpay dashboard are added to the ledger here
+    ({ payment } = await Payment.saveRefund(payment, (current) =>
+      current.recordRefund({ ...refundEntity, status })
+    ));
 
-    if (refundIndex !== -1) {
-      payment.refunds[refundIndex].status = status;
-    } else {
-      // Fetch refund details from Razorpay
-      const refundDetails = await razorpayInstance.refunds.fetch(refundId);
-      payment.refunds.push(refundDetails);
+    // Refund of a received return
+    const returnRequest = await ReturnRequest.findOne({
+      "refund.razorpayRefundId": refundId,
+    });
+    if (returnRequest && returnRequest.setRefundStatus(status)) {
+      await returnRequest.save();
     }
 
-    // Update payment status based on refund
-    if (status === "processed") {
-      const totalRefunded = payment.refunds.reduce(
-        (sum, refund) => sum + (refund.amount || 0) / 100,
-        0
-      );
-
-      payment.status =
-        totalRefunded >= payment.amount ? "refunded" : "partially_refunded";
-
-      // Update order status
-      await Order.findOneAndUpdate(
-        { orderId: payment.orderId },
-        { status: payment.status },
-        { new: true }
-      );
+    const order = await Order.findById(payment.order);
+
+    const releasedAuthorization =
+      order &&
+      order.refund &&
+      order.refund.status === ORDER.REFUND_STATUS.AUTHORIZATION_RELEASED &&
+      order.payment &&
+      order.payment.equals(payment._id);
+
+    if (releasedAuthorization) {
+      // Razorpay auto-refunded the authorization voided on cancellation
+      order.refund.razorpayRefundId = refundId;
+      if (order.setRefundStatus(status)) await order.save();
+    } else if (order && order.refund && order.refund.razorpayRefundId === refundId) {
+      // The refund started when the order was cancelled
+      if (order.setRefundStatus(status)) await order.save();
+    } else if (order && payment.status === "refunded") {
+      // Only a full refund changes the order status
+      await moveOrderTo(order, ORDER.STATUS.REFUNDED, "Refunded");
     }
 
-    await payment.save();
     return payment;
   } catch (error) {
     console.error("Update refund status error:", error);
@@ -585,27 +1006,34 @@ async function updateRefundStatus(refundId, paymentId, status) {
 
 /**
  * Get refund status
+ * Customers only see refunds of their own payments; staff need
+ * payments:read:any and can also look up refunds not recorded locally.
  * @route GET /api/payments/refund/:refundId
  * @access Private
  */
 exports.getRefundStatus = async (req, res) => {
   try {
     const { refundId } = req.params;
+    const canReadAny = hasPermission(req.user, PERMISSIONS.PAYMENTS_READ_ANY);
 
-    if (!refundId) {
-      return res.status(400).json({
+    // Find payment with this refund
+    const filter = { "refunds.razorpayRefundId": refundId };
+    if (!canReadAny) {
+      filter.user = req.user.id;
+    }
+    const payment = await Payment.findOne(filter);
+
+    if (!payment && !canReadAny) {
+      return res.status(404).json({
         success: false,
         error: errorCodes.VALIDATION_ERROR,
-        message: "Refund ID is required",
+        message: "Refund not found",
       });
     }
 
     // Fetch refund details from Razorpay
     const refundDetails = await razorpayInstance.refunds.fetch(refundId);
 
-    // Find payment with this refund
-    const payment = await Payment.findOne({ "refunds.id": refundId });
-
     if (!payment) {
       return res.status(200).json({
         success: true,
@@ -620,16 +1048,25 @@ exports.getRefundStatus = async (req, res) => {
       });
     }
 
+    const entry = payment.refunds.find(
+      ({ razorpayRefundId }) => razorpayRefundId === refundId
+    );
+
     return res.status(200).json({
       success: true,
       message: "Refund details retrieved successfully",
       data: {
         refundId: refundDetails.id,
         paymentId: refundDetails.payment_id,
-        orderId: payment.orderId,
+        orderId: payment.order,
         amount: refundDetails.amount / 100, // Convert from smallest currency unit
         status: refundDetails.status,
+        speed: entry.speed,
+        reason: entry.reason,
         createdAt: refundDetails.created_at,
+        paymentStatus: payment.status,
+        refundedAmount: payment.refundedAmount,
+        refundableAmount: payment.refundableAmount,
       },
     });
   } catch (error) {
@@ -652,7 +1089,7 @@ exports.getUserPayments = async (req, res) => {
     const userId = req.user.id;
 
     // Find all payments for this user
-    const payments = await Payment.find({ userId })
+    const payments = await Payment.find({ user: userId })
       .sort({ createdAt: -1 }) // Sort by creation date, newest first
       .select("-__v"); // Exclude version field
 
@@ -661,8 +1098,9 @@ exports.getUserPayments = async (req, res) => {
       message: "User payments retrieved successfully",
       count: payments.length,
       data: payments.map((payment) => ({
-        paymentId: payment.paymentId,
-        orderId: payment.orderId,
+        id: payment._id,
+        paymentId: payment.razorpayPaymentId,
+        orderId: payment.order,
         amount: payment.amount,
         currency: payment.currency,
         status: payment.status,
@@ -0,0 +1,363 @@
+// server/controllers/product.controller.js
+const Product = require("../models/product.model");
+const AuditLog = require("../models/auditLog.model");
+const errorCodes = require("../config/errorCodes");
+const { createPagination, escapeRegex } = require("../utils/helper");
+const { AUDIT_ACTIONS } = require("../utils/constants");
+
+/**
+ * Find products matching the listing query
+ */
+const listProducts = async ({ page, limit, search, active }) => {
+  const filter = {};
+  if (active !== undefined) filter.active = active;
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), "i");
+    filter.$or = [{ name: pattern }, { sku: pattern }];
+  }
+
+  const [products, total] = await Promise.all([
+    Product.find(filter)
+      .sort({ name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Product.countDocuments(filter),
+  ]);
+
+  return {
+    success: true,
+    count: products.length,
+    pagination: createPagination(page, limit, total),
+    data: products,
+  };
+};
+
+const productNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: errorCodes.PRODUCT_NOT_FOUND,
+    message: errorCodes.PRODUCT_NOT_FOUND.message,
+  });
+
+/**
+ * List products that are on sale
+ * @route GET /api/products
+ * @access Public
+ */
+exports.getProducts = async (req, res) => {
+  try {
+    const result = await listProducts({ ...req.query, active: true });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error("Get products error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve products",
+    });
+  }
+};
+
+/**
+ * Get a product that is on sale
+ * @route GET /api/products/:productId
+ * @access Public
+ */
+exports.getProduct = async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.productId,
+      active: true,
+    });
+
+    if (!product) {
+      return productNotFound(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: product,
+    });
+  } catch (error) {
+    console.error("Get product error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve product",
+    });
+  }
+};
+
+/**
+ * List all products, including archived ones
+ * @route GET /api/admin/products
+ * @access Private (products:manage)
+ */
+exports.getAllProducts = async (req, res) => {
+  try {
+    const result = await listProducts(req.query);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error("Get all products error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve products",
+    });
+  }
+};
+
+/**
+ * Create a product
+ * @route POST /api/admin/products
+ * @access Private (products:manage)
+ */
+exports.createProduct = async (req, res) => {
+  try {
+    if (await Product.exists({ sku: req.body.sku.toUpperCase() })) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "A product with this SKU already exists",
+      });
+    }
+
+    const product = await Product.create(req.body);
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.PRODUCT_CREATED,
+      targetType: "Product",
+      targetId: product._id,
+      details: { sku: product.sku, price: product.price, stock: product.stock },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Product created successfully",
+      data: product,
+    });
+  } catch (error) {
+    console.error("Create product error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to create product",
+    });
+  }
+};
+
+/**
+ * Update a product
+ * Existing orders keep the price they were placed at.
+ * @route PATCH /api/admin/products/:productId
+ * @access Private (products:manage)
+ */
+exports.updateProduct = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+
+    if (!product) {
+      return productNotFound(res);
+    }
+
+    if (
+      req.body.sku &&
+      (await Product.exists({
+        sku: req.body.sku.toUpperCase(),
+        _id: { $ne: product._id },
+      }))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "A product with this SKU already exists",
+      });
+    }
+
+    const previous = {};
+    for (const field of Object.keys(req.body)) {
+      previous[field] = product[field];
+    }
+
+    product.set(req.body);
+    await product.save();
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.PRODUCT_UPDATED,
+      targetType: "Product",
+      targetId: product._id,
+      details: { from: previous, to: req.body },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Product updated successfully",
+      data: product,
+    });
+  } catch (error) {
+    console.error("Update product error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to update product",
+    });
+  }
+};
+
+/**
+ * Archive a product
+ * Products are never deleted because past orders reference them.
+ * @route DELETE /api/admin/products/:productId
+ * @access Private (products:manage)
+ */
+exports.archiveProduct = async (req, res) => {
+  try {
+    const product = await Product.findByIdAndUpdate(
+      req.params.productId,
+      { active: false },
+      { new: true }
+    );
+
+    if (!product) {
+      return productNotFound(res);
+    }
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.PRODUCT_ARCHIVED,
+      targetType: "Product",
+      targetId: product._id,
+      details: { sku: product.sku },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Product archived successfully",
+      data: product,
+    });
+  } catch (error) {
+    console.error("Archive product error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to archive product",
+    });
+  }
+};
+
+/**
+ * Add or remove stock of a product
+ * Stock can't drop below the units reserved by unpaid orders. Adjusting stock
+ * turns on inventory tracking for the product.
+ * @route POST /api/admin/products/:productId/stock
+ * @access Private (products:manage)
+ */
+exports.adjustStock = async (req, res) => {
+  try {
+    const { adjustment, reason } = req.body;
+
+    const product = await Product.findOneAndUpdate(
+      {
+        _id: req.params.productId,
+        $expr: { $gte: [{ $add: ["$stock", adjustment] }, "$reserved"] },
+      },
+      { $inc: { stock: adjustment }, $set: { trackInventory: true } },
+      { new: true }
+    );
+
+    if (!product) {
+      const current = await Product.findById(req.params.productId);
+
+      if (!current) {
+        return productNotFound(res);
+      }
+
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: `Stock can't drop below the ${current.reserved} units reserved by unpaid orders`,
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.PRODUCT_STOCK_ADJUSTED,
+      targetType: "Product",
+      targetId: product._id,
+      details: {
+        sku: product.sku,
+        adjustment,
+        reason,
+        stock: product.stock,
+        reserved: product.reserved,
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Stock adjusted successfully",
+      data: {
+        productId: product._id,
+        sku: product.sku,
+        stock: product.stock,
+        reserved: product.reserved,
+        available: product.available,
+      },
+    });
+  } catch (error) {
+    console.error("Adjust stock error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to adjust stock",
+    });
+  }
+};
+
+/**
+ * List tracked products whose available stock is at or below their
+ * low-stock threshold, emptiest first
+ * @route GET /api/admin/products/low-stock
+ * @access Private (products:manage)
+ */
+exports.getLowStockProducts = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+
+    const filter = {
+      trackInventory: true,
+      $expr: {
+        $lte: [{ $subtract: ["$stock", "$reserved"] }, "$lowStockThreshold"],
+      },
+    };
+
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .sort({ stock: 1, name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Product.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: products.length,
+      pagination: createPagination(page, limit, total),
+      data: products.map((product) => ({
+        productId: product._id,
+        sku: product.sku,
+        name: product.name,
+        active: product.active,
+        stock: product.stock,
+        reserved: product.reserved,
+        available: product.available,
+        lowStockThreshold: product.lowStockThreshold,
+      })),
+    });
+  } catch (error) {
+    console.error("Get low stock products error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve low stock products",
+    });
+  }
+};
@@ -0,0 +1,437 @@
+// server/controllers/return.controller.js
+const { razorpayInstance } = require("../config/razorpay");
+const ReturnRequest = require("../models/returnRequest.model");
+const Order = require("../models/order.model");
+const Payment = require("../models/payment.model");
+const AuditLog = require("../models/auditLog.model");
+const errorCodes = require("../config/errorCodes");
+const { PERMISSIONS } = require("../config/permissions");
+const { hasPermission } = require("../middleware/auth.middleware");
+const AppError = require("../utils/appError");
+const { AUDIT_ACTIONS, ORDER, RETURN } = require("../utils/constants");
+const { createPagination } = require("../utils/helper");
+
+/**
+ * Send an AppError or a generic 500
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toResponse());
+  }
+  return res.status(500).json({
+    success: false,
+    error: errorCodes.SERVER_ERROR,
+    message: error.message || fallbackMessage,
+  });
+};
+
+/**
+ * Find the return named by :returnId
+ * Customers only see their own returns; staff need returns:manage.
+ * @throws {AppError} RETURN_NOT_FOUND
+ */
+const findReturn = async (req) => {
+  const filter = { _id: req.params.returnId };
+  if (!hasPermission(req.user, PERMISSIONS.RETURNS_MANAGE)) {
+    filter.user = req.user.id;
+  }
+
+  const returnRequest = await ReturnRequest.findOne(filter);
+  if (!returnRequest) {
+    throw new AppError(errorCodes.RETURN_NOT_FOUND);
+  }
+  return returnRequest;
+};
+
+/**
+ * Refund a received return
+ * A failure is recorded on the return and can be retried, so it doesn't
+ * fail the request.
+ */
+const refundReturn = async (returnRequest) => {
+  const order = await Order.findById(returnRequest.order);
+
+  try {
+    await returnRequest.issueRefund(razorpayInstance, order);
+  } catch (error) {
+    // Logged and recorded on returnRequest.refund by issueRefund
+  }
+};
+
+const refundMessage = (returnRequest) => {
+  if (returnRequest.refund.status === ORDER.REFUND_STATUS.FAILED) {
+    return `Refund failed: ${returnRequest.refund.error}`;
+  }
+  if (returnRequest.refund.manual) {
+    return "Cash-on-delivery refund to be paid back and recorded manually";
+  }
+  return "Refund initiated";
+};
+
+/**
+ * Page through return requests matching a filter, newest first
+ */
+const sendReturnPage = async (res, filter, { page, limit }) => {
+  const [returns, total] = await Promise.all([
+    ReturnRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    ReturnRequest.countDocuments(filter),
+  ]);
+
+  return res.status(200).json({
+    success: true,
+    count: returns.length,
+    pagination: createPagination(page, limit, total),
+    data: returns,
+  });
+};
+
+/**
+ * Request a return of some units of a delivered order
+ * @route POST /api/returns
+ * @access Private
+ */
+exports.createReturn = async (req, res) => {
+  try {
+    const { orderId, items, comment, photos } = req.body;
+
+    const order = await Order.findOne({ _id: orderId, user: req.user.id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.ORDER_NOT_FOUND,
+        message: "Order not found",
+      });
+    }
+
+    if (order.status !== ORDER.STATUS.DELIVERED) {
+      throw new AppError(errorCodes.RETURN_NOT_ALLOWED);
+    }
+
+    const returnRequest = await ReturnRequest.requestReturn(order, {
+      items,
+      comment,
+      photos,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Return requested successfully",
+      data: returnRequest,
+    });
+  } catch (error) {
+    console.error("Create return error:", error);
+    return sendError(res, error, "Failed to request return");
+  }
+};
+
+/**
+ * List the logged-in user's return requests
+ * @route GET /api/returns
+ * @access Private
+ */
+exports.getReturns = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const filter = { user: req.user.id };
+    if (status) filter.status = status;
+
+    return await sendReturnPage(res, filter, req.query);
+  } catch (error) {
+    console.error("Get returns error:", error);
+    return sendError(res, error, "Failed to retrieve returns");
+  }
+};
+
+/**
+ * Get a return request
+ * @route GET /api/returns/:returnId
+ * @access Private (owner, or returns:manage)
+ */
+exports.getReturn = async (req, res) => {
+  try {
+    const returnRequest = await findReturn(req);
+
+    return res.status(200).json({
+      success: true,
+      data: returnRequest,
+    });
+  } catch (error) {
+    console.error("Get return error:", error);
+    return sendError(res, error, "Failed to retrieve return");
+  }
+};
+
+/**
+ * Record how an approved return is being sent back
+ * @route PATCH /api/returns/:returnId/shipment
+ * @access Private (owner, or returns:manage)
+ */
+exports.addReturnShipment = async (req, res) => {
+  try {
+    const { carrier, trackingNumber } = req.body;
+    const returnRequest = await findReturn(req);
+
+    returnRequest.transitionTo(RETURN.STATUS.SHIPPED);
+    returnRequest.returnShipment = {
+      carrier,
+      trackingNumber,
+      shippedAt: new Date(),
+    };
+    await returnRequest.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Return shipment recorded successfully",
+      data: returnRequest,
+    });
+  } catch (error) {
+    console.error("Add return shipment error:", error);
+    return sendError(res, error, "Failed to record return shipment");
+  }
+};
+
+/**
+ * List return requests across all customers
+ * @route GET /api/admin/returns
+ * @access Private (returns:manage)
+ */
+exports.getAllReturns = async (req, res) => {
+  try {
+    const { status, userId, orderId } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (userId) filter.user = userId;
+    if (orderId) filter.order = orderId;
+
+    return await sendReturnPage(res, filter, req.query);
+  } catch (error) {
+    console.error("Get all returns error:", error);
+    return sendError(res, error, "Failed to retrieve returns");
+  }
+};
+
+/**
+ * Approve or reject a requested return
+ */
+const reviewReturn = async (req, status, action) => {
+  const returnRequest = await findReturn(req);
+
+  returnRequest.transitionTo(status);
+  returnRequest.reviewedBy = req.user.id;
+  returnRequest.reviewedAt = new Date();
+  returnRequest.reviewNote = req.body.note;
+  await returnRequest.save();
+
+  await AuditLog.record(req, {
+    action,
+    targetType: "ReturnRequest",
+    targetId: returnRequest._id,
+    details: { order: returnRequest.order, note: req.body.note },
+  });
+
+  return returnRequest;
+};
+
+/**
+ * Approve a return request
+ * @route POST /api/admin/returns/:returnId/approve
+ * @access Private (returns:manage)
+ */
+exports.approveReturn = async (req, res) => {
+  try {
+    const returnRequest = await reviewReturn(
+      req,
+      RETURN.STATUS.APPROVED,
+      AUDIT_ACTIONS.RETURN_APPROVED
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Return approved successfully",
+      data: returnRequest,
+    });
+  } catch (error) {
+    console.error("Approve return error:", error);
+    return sendError(res, error, "Failed to approve return");
+  }
+};
+
+/**
+ * Reject a return request
+ * @route POST /api/admin/returns/:returnId/reject
+ * @access Private (returns:manage)
+ */
+exports.rejectReturn = async (req, res) => {
+  try {
+    const returnRequest = await reviewReturn(
+      req,
+      RETURN.STATUS.REJECTED,
+      AUDIT_ACTIONS.RETURN_REJECTED
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Return rejected",
+      data: returnRequest,
+    });
+  } catch (error) {
+    console.error("Reject return error:", error);
+    return sendError(res, error, "Failed to reject return");
+  }
+};
+
+/**
+ * Mark a return as received, restock it and refund it
+ * @route POST /api/admin/returns/:returnId/receive
+ * @access Private (returns:manage)
+ */
+exports.receiveReturn = async (req, res) => {
+  try {
+    const { restock, note } = req.body;
+    const returnRequest = await findReturn(req);
+
+    // Saved before restocking so a second receive fails on the version check
+    returnRequest.transitionTo(RETURN.STATUS.RECEIVED);
+    returnRequest.receivedAt = new Date();
+    await returnRequest.save();
+
+    if (restock) {
+      await returnRequest.restock();
+      await returnRequest.save();
+    }
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.RETURN_RECEIVED,
+      targetType: "ReturnRequest",
+      targetId: returnRequest._id,
+      details: {
+        order: returnRequest.order,
+        restock,
+        refundAmount: returnRequest.refundAmount,
+        note,
+      },
+    });
+
+    await refundReturn(returnRequest);
+
+    return res.status(200).json({
+      success: true,
+      message: `Return received. ${refundMessage(returnRequest)}`,
+      data: returnRequest,
+    });
+  } catch (error) {
+    console.error("Receive return error:", error);
+    return sendError(res, error, "Failed to receive return");
+  }
+};
+
+/**
+ * Retry the refund of a received return whose refund failed
+ * @route POST /api/admin/returns/:returnId/refund
+ * @access Private (returns:manage)
+ */
+exports.retryReturnRefund = async (req, res) => {
+  try {
+    const returnRequest = await findReturn(req);
+
+    if (
+      returnRequest.status !== RETURN.STATUS.RECEIVED ||
+      returnRequest.refund.status !== ORDER.REFUND_STATUS.FAILED
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "Only received returns with a failed refund can be refunded again",
+      });
+    }
+
+    await refundReturn(returnRequest);
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.RETURN_REFUND_RETRIED,
+      targetType: "ReturnRequest",
+      targetId: returnRequest._id,
+      details: {
+        order: returnRequest.order,
+        refundAmount: returnRequest.refundAmount,
+        refundStatus: returnRequest.refund.status,
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: refundMessage(returnRequest),
+      data: returnRequest,
+    });
+  } catch (error) {
+    console.error("Retry return refund error:", error);
+    return sendError(res, error, "Failed to refund return");
+  }
+};
+
+/**
+ * Record the refund of a cash-on-delivery return paid back by staff
+ * A full refund of the order's payment moves the order to refunded.
+ * @route POST /api/admin/returns/:returnId/manual-refund
+ * @access Private (returns:manage)
+ */
+exports.settleManualReturnRefund = async (req, res) => {
+  try {
+    const { reference, note } = req.body;
+    const returnRequest = await findReturn(req);
+
+    if (
+      returnRequest.status !== RETURN.STATUS.RECEIVED ||
+      !returnRequest.refund.manual
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "Only received cash-on-delivery returns are refunded manually",
+      });
+    }
+
+    const order = await Order.findById(returnRequest.order);
+    await returnRequest.settleManualRefund(order, {
+      reference,
+      requestedBy: req.user.id,
+    });
+
+    const payment = await Payment.findById(order.payment);
+    if (payment.status === "refunded" && order.canTransitionTo(ORDER.STATUS.REFUNDED)) {
+      order.transitionTo(ORDER.STATUS.REFUNDED, {
+        actor: req.user.id,
+        source: ORDER.STATUS_SOURCES.ADMIN,
+        reason: "Return refunded manually",
+      });
+      await order.save();
+    }
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.RETURN_REFUND_SETTLED,
+      targetType: "ReturnRequest",
+      targetId: returnRequest._id,
+      details: {
+        order: returnRequest.order,
+        amount: returnRequest.refund.amount,
+        reference,
+        note,
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Manual refund recorded",
+      data: returnRequest,
+    });
+  } catch (error) {
+    console.error("Manual return refund error:", error);
+    return sendError(res, error, "Failed to record manual refund");
+  }
+};
@@ -0,0 +1,198 @@
+// server/controllers/role.controller.js
+const Role = require("../models/role.model");
+const User = require("../models/user.model");
+const AuditLog = require("../models/auditLog.model");
+const errorCodes = require("../config/errorCodes");
+const { PERMISSIONS } = require("../config/permissions");
+const { AUDIT_ACTIONS } = require("../utils/constants");
+
+/**
+ * List all available permissions
+ * @route GET /api/admin/permissions
+ * @access Private (roles:manage)
+ */
+exports.getPermissions = (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: Object.values(PERMISSIONS),
+  });
+};
+
+/**
+ * List roles
+ * @route GET /api/admin/roles
+ * @access Private (roles:manage)
+ */
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles,
+    });
+  } catch (error) {
+    console.error("Get roles error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve roles",
+    });
+  }
+};
+
+/**
+ * Create a role
+ * @route POST /api/admin/roles
+ * @access Private (roles:manage)
+ */
+exports.createRole = async (req, res) => {
+  try {
+    const { name, description, permissions, requireTwoFactor } = req.body;
+
+    if (await Role.exists({ name })) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "Role already exists",
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      requireTwoFactor,
+    });
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.ROLE_CREATED,
+      targetType: "Role",
+      targetId: role.name,
+      details: { permissions: role.permissions, requireTwoFactor: role.requireTwoFactor },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      data: role,
+    });
+  } catch (error) {
+    console.error("Create role error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to create role",
+    });
+  }
+};
+
+/**
+ * Update a role's description, permissions or 2FA requirement
+ * @route PUT /api/admin/roles/:roleName
+ * @access Private (roles:manage)
+ */
+exports.updateRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.roleName });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "Role not found",
+      });
+    }
+
+    const { description, permissions, requireTwoFactor } = req.body;
+    const previous = {
+      permissions: [...role.permissions],
+      requireTwoFactor: role.requireTwoFactor,
+    };
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    if (requireTwoFactor !== undefined) role.requireTwoFactor = requireTwoFactor;
+
+    await role.save();
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.ROLE_UPDATED,
+      targetType: "Role",
+      targetId: role.name,
+      details: {
+        from: previous,
+        to: { permissions: role.permissions, requireTwoFactor: role.requireTwoFactor },
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Role updated successfully",
+      data: role,
+    });
+  } catch (error) {
+    console.error("Update role error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to update role",
+    });
+  }
+};
+
+/**
+ * Delete a role that is not a system role and has no members
+ * @route DELETE /api/admin/roles/:roleName
+ * @access Private (roles:manage)
+ */
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.roleName });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "Role not found",
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "System roles cannot be deleted",
+      });
+    }
+
+    if (await User.exists({ role: role.name })) {
+      return res.status(400).json({
+        success: false,
+        error: errorCodes.VALIDATION_ERROR,
+        message: "Role is still assigned to users",
+      });
+    }
+
+    await role.deleteOne();
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.ROLE_DELETED,
+      targetType: "Role",
+      targetId: role.name,
+      details: { permissions: role.permissions },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Role deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete role error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to delete role",
+    });
+  }
+};
@@ -0,0 +1,269 @@
+// server/controllers/shipment.controller.js
+const mongoose = require("mongoose");
+const Shipment = require("../models/shipment.model");
+const Order = require("../models/order.model");
+const AuditLog = require("../models/auditLog.model");
+const errorCodes = require("../config/errorCodes");
+const { PERMISSIONS } = require("../config/permissions");
+const { hasPermission } = require("../middleware/auth.middleware");
+const AppError = require("../utils/appError");
+const logger = require("../utils/logger");
+const { getCarrier } = require("../utils/carriers");
+const { AUDIT_ACTIONS, ORDER } = require("../utils/constants");
+const { createPagination } = require("../utils/helper");
+
+/**
+ * Send an AppError or a generic 500
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({
+      success: false,
+      error: errorCodes.VALIDATION_ERROR,
+      message: "Invalid order ID",
+    });
+  }
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toResponse());
+  }
+  // Same carrier and tracking number as an existing shipment
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: errorCodes.VALIDATION_ERROR,
+      message: "A shipment with this tracking number already exists",
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    error: errorCodes.SERVER_ERROR,
+    message: error.message || fallbackMessage,
+  });
+};
+
+/**
+ * Create a shipment for some or all of an order's items
+ * @route POST /api/admin/orders/:orderId/shipments
+ * @access Private (shipments:manage)
+ */
+exports.createShipment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.ORDER_NOT_FOUND,
+        message: "Order not found",
+      });
+    }
+
+    const shipment = await Shipment.createForOrder(order, req.body);
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.SHIPMENT_CREATED,
+      targetType: "Shipment",
+      targetId: shipment._id,
+      details: {
+        order: order._id,
+        carrier: shipment.carrier,
+        trackingNumber: shipment.trackingNumber,
+        items: shipment.items.map(({ orderItem, quantity }) => ({ orderItem, quantity })),
+      },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Shipment created successfully",
+      data: shipment,
+    });
+  } catch (error) {
+    console.error("Create shipment error:", error);
+    return sendError(res, error, "Failed to create shipment");
+  }
+};
+
+/**
+ * Update a shipment's tracking details or status
+ * Status changes update the order the same way carrier events do.
+ * @route PATCH /api/admin/shipments/:shipmentId
+ * @access Private (shipments:manage)
+ */
+exports.updateShipment = async (req, res) => {
+  try {
+    const { status, description, location, ...fields } = req.body;
+
+    const shipment = await Shipment.findById(req.params.shipmentId);
+
+    if (!shipment) {
+      throw new AppError(errorCodes.SHIPMENT_NOT_FOUND);
+    }
+
+    const previousStatus = shipment.status;
+    shipment.set(fields);
+    if (status) {
+      shipment.transitionTo(status, {
+        description,
+        location,
+        source: ORDER.STATUS_SOURCES.ADMIN,
+      });
+    }
+    await shipment.save();
+
+    if (shipment.status !== previousStatus) {
+      await Shipment.syncOrder(shipment.order, {
+        source: ORDER.STATUS_SOURCES.ADMIN,
+        reason: `Shipment ${shipment.trackingNumber} ${shipment.status}`,
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.SHIPMENT_UPDATED,
+      targetType: "Shipment",
+      targetId: shipment._id,
+      details: { order: shipment.order, from: previousStatus, ...req.body },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Shipment updated successfully",
+      data: shipment,
+    });
+  } catch (error) {
+    console.error("Update shipment error:", error);
+    return sendError(res, error, "Failed to update shipment");
+  }
+};
+
+/**
+ * List shipments across all orders
+ * @route GET /api/admin/shipments
+ * @access Private (shipments:manage)
+ */
+exports.getShipments = async (req, res) => {
+  try {
+    const { page, limit, status, carrier, orderId, trackingNumber } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (carrier) filter.carrier = carrier;
+    if (orderId) filter.order = orderId;
+    if (trackingNumber) filter.trackingNumber = trackingNumber;
+
+    const [shipments, total] = await Promise.all([
+      Shipment.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Shipment.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: shipments.length,
+      pagination: createPagination(page, limit, total),
+      data: shipments,
+    });
+  } catch (error) {
+    console.error("Get shipments error:", error);
+    return sendError(res, error, "Failed to retrieve shipments");
+  }
+};
+
+/**
+ * Get the shipments of an order
+ * @route GET /api/orders/:orderId/shipments
+ * @access Private (owner, or orders:read:any)
+ */
+exports.getOrderShipments = async (req, res) => {
+  try {
+    const filter = { _id: req.params.orderId };
+    if (!hasPermission(req.user, PERMISSIONS.ORDERS_READ_ANY)) {
+      filter.user = req.user.id;
+    }
+
+    if (!(await Order.exists(filter))) {
+      return res.status(404).json({
+        success: false,
+        error: errorCodes.ORDER_NOT_FOUND,
+        message: "Order not found",
+      });
+    }
+
+    const shipments = await Shipment.find({ order: req.params.orderId }).sort({
+      createdAt: 1,
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: shipments.length,
+      data: shipments,
+    });
+  } catch (error) {
+    console.error("Get order shipments error:", error);
+    return sendError(res, error, "Failed to retrieve shipments");
+  }
+};
+
+/**
+ * Receive tracking updates from a carrier
+ * Events for unknown tracking numbers are logged and acknowledged so the
+ * carrier doesn't keep retrying them.
+ * @route POST /api/shipments/webhook/:carrier
+ * @access Public (verified by the carrier adapter)
+ */
+exports.handleCarrierWebhook = async (req, res) => {
+  try {
+    const carrierName = req.params.carrier.toLowerCase();
+    const carrier = getCarrier(carrierName);
+
+    if (!carrier) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown carrier",
+      });
+    }
+
+    if (!carrier.verifyWebhook(req)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid signature",
+      });
+    }
+
+    const events = carrier.parseWebhook(req);
+    const orders = new Set();
+
+    for (const { trackingNumber, ...event } of events) {
+      const shipment = await Shipment.findOne({ carrier: carrierName, trackingNumber });
+
+      if (!shipment) {
+        logger.warn(`No ${carrierName} shipment with tracking number ${trackingNumber}`);
+        continue;
+      }
+
+      if (shipment.applyEvent({ ...event, source: ORDER.STATUS_SOURCES.CARRIER })) {
+        orders.add(shipment.order.toString());
+      }
+      await shipment.save();
+    }
+
+    for (const orderId of orders) {
+      await Shipment.syncOrder(orderId, {
+        source: ORDER.STATUS_SOURCES.CARRIER,
+        reason: `Tracking update from ${carrierName}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Webhook received",
+    });
+  } catch (error) {
+    console.error("Carrier webhook error:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || "Failed to process webhook",
+    });
+  }
+};
@@ -0,0 +1,238 @@
+// server/controllers/shipping.controller.js
+const ShippingRule = require("../models/shippingRule.model");
+const Cart = require("../models/cart.model");
+const User = require("../models/user.model");
+const AuditLog = require("../models/auditLog.model");
+const errorCodes = require("../config/errorCodes");
+const AppError = require("../utils/appError");
+const { priceItems } = require("../utils/pricing");
+const { quoteShipping } = require("../utils/shipping");
+const { AUDIT_ACTIONS, CART } = require("../utils/constants");
+
+const ruleNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: errorCodes.VALIDATION_ERROR,
+    message: "Shipping rule not found",
+  });
+
+/**
+ * Send an AppError or a generic 500
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json(error.toResponse());
+  }
+  return res.status(500).json({
+    success: false,
+    error: errorCodes.SERVER_ERROR,
+    message: error.message || fallbackMessage,
+  });
+};
+
+/**
+ * Cart of the request: the user's cart, or the guest cart named by the cookie
+ */
+const findCart = async (req) => {
+  if (req.user) {
+    return Cart.findOne({ user: req.user.id });
+  }
+
+  const token = req.cookies && req.cookies[CART.COOKIE_NAME];
+  return token ? Cart.findAnonymous(token) : null;
+};
+
+/**
+ * Quote shipping for some items or the cart before paying
+ * Uses the same rules as order creation, so the fee matches what is charged.
+ * @route POST /api/shipping/quote
+ * @access Public (addressId needs a logged-in user)
+ */
+exports.quoteShipping = async (req, res) => {
+  try {
+    const { addressId, paymentMethod } = req.body;
+    let { items, shippingAddress } = req.body;
+
+    if (addressId) {
+      const user = req.user && (await User.findById(req.user.id));
+      shippingAddress = user && user.getShippingAddress(addressId);
+
+      if (!shippingAddress) {
+        return res.status(400).json({
+          success: false,
+          error: errorCodes.VALIDATION_ERROR,
+          message: "Address not found",
+        });
+      }
+    }
+
+    if (!items) {
+      const cart = await findCart(req);
+      if (!cart || !cart.items.length) {
+        return res.status(400).json({
+          success: false,
+          error: errorCodes.CART_EMPTY,
+          message: errorCodes.CART_EMPTY.message,
+        });
+      }
+      items = cart.toOrderItems();
+    }
+
+    const priced = await priceItems(items);
+    const { shippingFee, details } = await quoteShipping({
+      items: priced.items,
+      subtotal: priced.totalAmount,
+      shippingAddress,
+      paymentMethod,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        subtotal: priced.totalAmount,
+        weight: details.weight,
+        baseFee: details.baseFee,
+        codSurcharge: details.codSurcharge,
+        shippingFee,
+        rule: details.ruleName || null,
+      },
+    });
+  } catch (error) {
+    console.error("Quote shipping error:", error);
+    return sendError(res, error, "Failed to quote shipping");
+  }
+};
+
+/**
+ * List shipping rules in the order they are tried
+ * @route GET /api/admin/shipping-rules
+ * @access Private (shipping:manage)
+ */
+exports.getShippingRules = async (req, res) => {
+  try {
+    const rules = await ShippingRule.find().sort({ priority: 1, createdAt: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+  } catch (error) {
+    console.error("Get shipping rules error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve shipping rules",
+    });
+  }
+};
+
+/**
+ * Create a shipping rule
+ * @route POST /api/admin/shipping-rules
+ * @access Private (shipping:manage)
+ */
+exports.createShippingRule = async (req, res) => {
+  try {
+    const rule = await ShippingRule.create(req.body);
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.SHIPPING_RULE_CREATED,
+      targetType: "ShippingRule",
+      targetId: rule._id,
+      details: req.body,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Shipping rule created successfully",
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Create shipping rule error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to create shipping rule",
+    });
+  }
+};
+
+/**
+ * Update a shipping rule
+ * Orders already placed keep the fee they were quoted.
+ * @route PATCH /api/admin/shipping-rules/:ruleId
+ * @access Private (shipping:manage)
+ */
+exports.updateShippingRule = async (req, res) => {
+  try {
+    const rule = await ShippingRule.findById(req.params.ruleId);
+
+    if (!rule) {
+      return ruleNotFound(res);
+    }
+
+    const previous = {};
+    for (const field of Object.keys(req.body)) {
+      previous[field] = rule[field];
+    }
+
+    rule.set(req.body);
+    await rule.save();
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.SHIPPING_RULE_UPDATED,
+      targetType: "ShippingRule",
+      targetId: rule._id,
+      details: { from: previous, to: req.body },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Shipping rule updated successfully",
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Update shipping rule error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to update shipping rule",
+    });
+  }
+};
+
+/**
+ * Delete a shipping rule
+ * Orders keep the rule name and fee breakdown they were placed with.
+ * @route DELETE /api/admin/shipping-rules/:ruleId
+ * @access Private (shipping:manage)
+ */
+exports.deleteShippingRule = async (req, res) => {
+  try {
+    const rule = await ShippingRule.findByIdAndDelete(req.params.ruleId);
+
+    if (!rule) {
+      return ruleNotFound(res);
+    }
+
+    await AuditLog.record(req, {
+      action: AUDIT_ACTIONS.SHIPPING_RULE_DELETED,
+      targetType: "ShippingRule",
+      targetId: rule._id,
+      details: { name: rule.name },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Shipping rule deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete shipping rule error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to delete shipping rule",
+    });
+  }
+};
@@ -0,0 +1,284 @@
+// server/controllers/user.controller.js
+const User = require("../models/user.model");
+const errorCodes = require("../config/errorCodes");
+const logger = require("../utils/logger");
+const { razorpayInstance } = require("../config/razorpay");
+
+/**
+ * Find an address of the user or send a 404
+ */
+const findAddressOr404 = (user, addressId, res) => {
+  const address = user.addresses.id(addressId);
+  if (!address) {
+    res.status(404).json({
+      success: false,
+      error: errorCodes.VALIDATION_ERROR,
+      message: "Address not found",
+    });
+  }
+  return address;
+};
+
+/**
+ * List the current user's addresses
+ * @route GET /api/users/me/addresses
+ * @access Private
+ */
+exports.getAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      count: user.addresses.length,
+      data: user.addresses,
+    });
+  } catch (error) {
+    console.error("Get addresses error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve addresses",
+    });
+  }
+};
+
+/**
+ * Add an address
+ * The first address always becomes the default
+ * @route POST /api/users/me/addresses
+ * @access Private
+ */
+exports.addAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    user.addresses.push(req.body);
+    const address = user.addresses[user.addresses.length - 1];
+    if (req.body.isDefault) {
+      user.setDefaultAddress(address._id);
+    }
+
+    await user.save();
+
+    return res.status(201).json({
+      success: true,
+      message: "Address added successfully",
+      data: user.addresses.id(address._id),
+    });
+  } catch (error) {
+    console.error("Add address error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to add address",
+    });
+  }
+};
+
+/**
+ * Update an address
+ * @route PATCH /api/users/me/addresses/:addressId
+ * @access Private
+ */
+exports.updateAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = findAddressOr404(user, req.params.addressId, res);
+    if (!address) return;
+
+    const { isDefault, ...fields } = req.body;
+    address.set(fields);
+
+    // isDefault: false is ignored; make another address the default instead
+    if (isDefault) {
+      user.setDefaultAddress(address._id);
+    }
+
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Address updated successfully",
+      data: address,
+    });
+  } catch (error) {
+    console.error("Update address error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to update address",
+    });
+  }
+};
+
+/**
+ * Make an address the default
+ * @route PATCH /api/users/me/addresses/:addressId/default
+ * @access Private
+ */
+exports.setDefaultAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = findAddressOr404(user, req.params.addressId, res);
+    if (!address) return;
+
+    user.setDefaultAddress(address._id);
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Default address updated successfully",
+      data: user.addresses,
+    });
+  } catch (error) {
+    console.error("Set default address error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to set default address",
+    });
+  }
+};
+
+/**
+ * Delete an address
+ * If it was the default, the first remaining address becomes the default
+ * @route DELETE /api/users/me/addresses/:addressId
+ * @access Private
+ */
+exports.deleteAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = findAddressOr404(user, req.params.addressId, res);
+    if (!address) return;
+
+    address.deleteOne();
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Address deleted successfully",
+      data: user.addresses,
+    });
+  } catch (error) {
+    console.error("Delete address error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to delete address",
+    });
+  }
+};
+
+/**
+ * Find a saved payment method of the user or send a 404
+ */
+const findPaymentMethodOr404 = (user, methodId, res) => {
+  const method = user.paymentMethods.id(methodId);
+  if (!method) {
+    res.status(404).json({
+      success: false,
+      error: errorCodes.VALIDATION_ERROR,
+      message: "Payment method not found",
+    });
+  }
+  return method;
+};
+
+/**
+ * List saved payment methods
+ * @route GET /api/users/me/payment-methods
+ * @access Private
+ */
+exports.getPaymentMethods = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      count: user.paymentMethods.length,
+      data: user.paymentMethods,
+    });
+  } catch (error) {
+    console.error("Get payment methods error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to retrieve payment methods",
+    });
+  }
+};
+
+/**
+ * Make a saved payment method the default
+ * @route PATCH /api/users/me/payment-methods/:methodId/default
+ * @access Private
+ */
+exports.setDefaultPaymentMethod = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const method = findPaymentMethodOr404(user, req.params.methodId, res);
+    if (!method) return;
+
+    user.setDefaultPaymentMethod(method._id);
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json({
+      success: true,
+      message: "Default payment method updated successfully",
+      data: user.paymentMethods,
+    });
+  } catch (error) {
+    console.error("Set default payment method error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: error.message || "Failed to set default payment method",
+    });
+  }
+};
+
+/**
+ * Delete a saved payment method (also deletes the token at Razorpay)
+ * @route DELETE /api/users/me/payment-methods/:methodId
+ * @access Private
+ */
+exports.deletePaymentMethod = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const method = findPaymentMethodOr404(user, req.params.methodId, res);
+    if (!method) return;
+
+    if (method.token && user.razorpayCustomerId) {
+      try {
+        await razorpayInstance.customers.deleteToken(
+          user.razorpayCustomerId,
+          method.token
+        );
+      } catch (razorpayError) {
+        // A token Razorpay no longer knows about can still be removed locally
+        if (![400, 404].includes(razorpayError.statusCode)) {
+          throw razorpayError;
+        }
+        logger.warn(`Razorpay token ${method.token} already removed: ${razorpayError.error && razorpayError.error.description}`);
+      }
+    }
+
+    method.deleteOne();
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json({
+      success: true,
+      message: "Payment method deleted successfully",
+      data: user.paymentMethods,
+    });
+  } catch (error) {
+    console.error("Delete payment method error:", error);
+    return res.status(500).json({
+      success: false,
+      error: errorCodes.SERVER_ERROR,
+      message: (error.error && error.error.description) || error.message || "Failed to delete payment method",
+    });
+  }
+};
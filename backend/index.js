@@ -1,5 +1,7 @@
 const http = require("http");
 const app = require("./app");
+const appConfig = require("./config/app");
+const { startJobs } = require("./jobs");
 require("dotenv").config();
 
 const PORT = process.env.PORT || 5000;
@@ -9,4 +11,9 @@ const server = http.createServer(app);
 
 server.listen(PORT, () => {
   console.log(`🚀 Server is running on http://localhost:${PORT}`);
+
+  // Expire abandoned orders etc.; safe to run on every instance
+  if (appConfig.jobs.enabled) {
+    startJobs();
+  }
 });
@@ -0,0 +1,48 @@
+/**
+ * Expire abandoned orders
+ * Unpaid orders older than orders.pendingTtlMinutes move to `expired` and
+ * give back what they held (coupon uses). Payments that still arrive for
+ * them are refunded or flagged by the payment handlers.
+ */
+const Order = require('../models/order.model');
+const appConfig = require('../config/app');
+const orderEvents = require('../utils/orderEvents');
+const logger = require('../utils/logger');
+const { ORDER } = require('../utils/constants');
+
+// Orders handled per run; the rest wait for the next run
+const BATCH_SIZE = 200;
+
+const run = async () => {
+  const orders = await Order.findExpirable(BATCH_SIZE);
+  let expired = 0;
+  let skipped = 0;
+
+  for (const order of orders) {
+    try {
+      order.transitionTo(ORDER.STATUS.EXPIRED, {
+        source: ORDER.STATUS_SOURCES.SYSTEM,
+        reason: `Unpaid after ${appConfig.orders.pendingTtlMinutes} minutes`,
+      });
+      await order.save();
+      await orderEvents.onOrderExpired(order);
+      expired++;
+    } catch (error) {
+      // Usually a payment changed the order since it was loaded
+      skipped++;
+      logger.warn(`Could not expire order ${order._id}: ${error.message}`);
+    }
+  }
+
+  return orders.length ? { expired, skipped } : null;
+};
+
+const intervalMs = appConfig.jobs.expireOrdersIntervalMinutes * 60 * 1000;
+
+module.exports = {
+  name: 'expire-orders',
+  intervalMs,
+  // Long enough for a full batch, short enough to recover from a crash
+  leaseMs: Math.max(intervalMs, 60 * 1000),
+  run,
+};
@@ -0,0 +1,14 @@
+/**
+ * Scheduled jobs
+ * Register new jobs here; they start with the server (see index.js).
+ */
+const { registerJob, runJob, startJobs, stopJobs } = require('./runner');
+
+registerJob(require('./expireOrders.job'));
+registerJob(require('./settleAuthorizations.job'));
+
+module.exports = {
+  runJob,
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,106 @@
+/**
+ * Scheduled job runner
+ * Jobs run on an interval in every API instance; a JobLock lease makes sure
+ * only one instance runs a given job at a time.
+ */
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const JobLock = require('../models/jobLock.model');
+const logger = require('../utils/logger');
+
+// Identifies this process as a lease owner
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const jobs = new Map();
+const timers = [];
+// Jobs with a run in progress in this process
+const running = new Set();
+
+/**
+ * Register a job
+ * @param {Object} job - name, intervalMs, leaseMs (defaults to intervalMs)
+ *   and run() returning a promise
+ */
+const registerJob = (job) => {
+  if (jobs.has(job.name)) {
+    throw new Error(`Job already registered: ${job.name}`);
+  }
+  jobs.set(job.name, { leaseMs: job.intervalMs, ...job });
+};
+
+/**
+ * Run a job once if this instance can take its lease
+ * @param {String} name - Job name
+ * @returns {Promise<Boolean>} Whether the job ran
+ */
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  // Nothing to do until the database is connected, or while the previous
+  // run is still going (its lease may have run out in the meantime)
+  if (mongoose.connection.readyState !== 1 || running.has(name)) return false;
+
+  running.add(name);
+  let acquired = false;
+  try {
+    acquired = await JobLock.acquire(name, instanceId, job.leaseMs);
+  } finally {
+    if (!acquired) running.delete(name);
+  }
+  if (!acquired) return false;
+
+  let failure;
+  try {
+    const result = await job.run();
+    if (result) {
+      logger.info(`Job ${name} finished: ${JSON.stringify(result)}`);
+    }
+  } catch (error) {
+    failure = error;
+    logger.error(`Job ${name} failed: ${error.message}`);
+  } finally {
+    await JobLock.release(name, instanceId, failure).catch((error) =>
+      logger.error(`Failed to release lease of job ${name}: ${error.message}`)
+    );
+    running.delete(name);
+  }
+
+  return true;
+};
+
+/**
+ * Start running every registered job on its interval
+ */
+const startJobs = () => {
+  for (const job of jobs.values()) {
+    const tick = () =>
+      runJob(job.name).catch((error) =>
+        logger.error(`Job ${job.name} could not run: ${error.message}`)
+      );
+
+    const timer = setInterval(tick, job.intervalMs);
+    // Scheduled jobs must never keep the process alive on shutdown
+    timer.unref();
+    timers.push(timer);
+  }
+
+  logger.info(`Started ${jobs.size} scheduled job(s) as ${instanceId}`);
+};
+
+/**
+ * Stop all job timers
+ */
+const stopJobs = () => {
+  timers.splice(0).forEach(clearInterval);
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,76 @@
+/**
+ * Settle open authorizations
+ * Payments of manual-capture orders stay authorized until someone captures
+ * them, and Razorpay refunds authorizations that are never captured. Ones
+ * still open after payment.manualCapture.settleAfterHours are captured if
+ * their order still stands and voided otherwise, before that deadline.
+ */
+const Order = require('../models/order.model');
+const Payment = require('../models/payment.model');
+const appConfig = require('../config/app');
+const logger = require('../utils/logger');
+const { formatAmountForRazorpay } = require('../utils/helper');
+const { ORDER } = require('../utils/constants');
+
+// Payments handled per run; the rest wait for the next run
+const BATCH_SIZE = 100;
+
+// Order statuses in which the sale stands and the money is taken
+const CAPTURABLE_STATUSES = [
+  ORDER.STATUS.PAID,
+  ORDER.STATUS.PROCESSING,
+  ORDER.STATUS.SHIPPED,
+  ORDER.STATUS.DELIVERED,
+];
+
+const run = async () => {
+  const cutoff = new Date(
+    Date.now() - appConfig.payment.manualCapture.settleAfterHours * 60 * 60 * 1000
+  );
+  const payments = await Payment.findOpenAuthorizations(cutoff, BATCH_SIZE);
+  let captured = 0;
+  let voided = 0;
+  let failed = 0;
+
+  for (const payment of payments) {
+    try {
+      const order = await Order.findById(payment.order);
+      const isOrderPayment = Boolean(order && order.payment && order.payment.equals(payment._id));
+
+      if (!isOrderPayment || !CAPTURABLE_STATUSES.includes(order.status)) {
+        await payment.voidAuthorization(
+          order ? `Order was ${order.status} when the authorization was settled` : 'Order not found'
+        );
+        voided++;
+        continue;
+      }
+
+      if (formatAmountForRazorpay(payment.amount) !== formatAmountForRazorpay(order.finalAmount)) {
+        // Left for a person; Razorpay refunds it if nobody captures it
+        order.needsReview = true;
+        order.reviewReason = `Authorized amount of payment ${payment.razorpayPaymentId} does not match the order total`;
+        await order.save();
+        failed++;
+        continue;
+      }
+
+      await payment.capture();
+      captured++;
+    } catch (error) {
+      failed++;
+      logger.error(`Could not settle payment ${payment._id}: ${error.message}`);
+    }
+  }
+
+  return payments.length ? { captured, voided, failed } : null;
+};
+
+const intervalMs = appConfig.jobs.settleAuthorizationsIntervalMinutes * 60 * 1000;
+
+module.exports = {
+  name: 'settle-authorizations',
+  intervalMs,
+  // Long enough for a full batch, short enough to recover from a crash
+  leaseMs: Math.max(intervalMs, 60 * 1000),
+  run,
+};
@@ -1,14 +1,18 @@
 // server/middleware/auth.middleware.js
 const jwt = require("jsonwebtoken");
 const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const Role = require("../models/role.model");
 const errorCodes = require("../config/errorCodes");
+const appConfig = require("../config/app");
 
 /**
- * Middleware to protect routes that require authentication
+ * Middleware factory to protect routes that require authentication
  * Verifies JWT token and attaches the user to the request object
+ * @param {Object} options - requireVerified: only allow users with a verified email
+ * @returns {Function} Express middleware
  */
-exports.protect = async (req, res, next) => {
-  console.log("protect route hitted")
+exports.authenticate = ({ requireVerified = false } = {}) => async (req, res, next) => {
   try {
     let token;
 
@@ -34,15 +38,12 @@ exports.protect = async (req, res, next) => {
         message: "Not authorized to access this route",
       });
     }
-    console.log("your token", token);
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      console.log("Decoded Token:", decoded); // Debugging
 
       // Get user from database
       const user = await User.findById(decoded.id).select("-password");
-      console.log("Authenticated User:", user); // Debugging
 
       // Check if user exists
       if (!user) {
@@ -53,12 +54,59 @@ exports.protect = async (req, res, next) => {
         });
       }
 
+      // Reject tokens issued before the last password change
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          error: errorCodes.AUTH_FAILED,
+          message: "Password was changed recently, please log in again",
+        });
+      }
+
+      if (user.isSuspended) {
+        return res.status(403).json({
+          success: false,
+          error: errorCodes.ACCOUNT_SUSPENDED,
+          message: errorCodes.ACCOUNT_SUSPENDED.message,
+        });
+      }
+
+      // Access tokens are bound to a session that can be revoked server-side
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (
+        !session ||
+        !session.isActive ||
+        String(session.user) !== String(user._id)
+      ) {
+        return res.status(401).json({
+          success: false,
+          error: errorCodes.AUTH_FAILED,
+          message: "Session has been revoked, please log in again",
+        });
+      }
+
+      if (requireVerified && !user.verified) {
+        return res.status(403).json({
+          success: false,
+          error: errorCodes.EMAIL_NOT_VERIFIED,
+          message: errorCodes.EMAIL_NOT_VERIFIED.message,
+        });
+      }
+
+      // Permissions come from the role in the database so changes apply immediately
+      const role = await Role.resolve(user.role);
+
       // Attach user to request object
       req.user = {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        permissions: role.permissions,
+        roleRequiresTwoFactor: role.requireTwoFactor,
+        verified: user.verified,
+        twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+        sessionId: session._id,
       };
 
       next();
@@ -81,12 +129,58 @@ exports.protect = async (req, res, next) => {
 };
 
 /**
- * Middleware to check user roles
+ * Middleware to protect routes that require authentication
+ */
+exports.protect = exports.authenticate();
+
+/**
+ * Middleware to protect routes that also require a verified email
+ */
+exports.protectVerified = exports.authenticate({ requireVerified: true });
+
+/**
+ * Middleware for routes open to guests
+ * Authenticates when a token is sent and lets anonymous requests through
+ */
+exports.optionalAuth = (req, res, next) => {
+  const hasToken =
+    (req.headers.authorization &&
+      req.headers.authorization.startsWith("Bearer")) ||
+    (req.cookies && req.cookies.token);
+
+  if (!hasToken) return next();
+  return exports.protect(req, res, next);
+};
+
+/**
+ * Whether the user's role needs 2FA that the user hasn't enabled yet
+ * Such users can't use their role's permissions until they enable it.
+ * @param {Object} user - req.user
+ * @returns {Boolean}
+ */
+const lacksRequiredTwoFactor = (user) =>
+  Boolean(
+    appConfig.security.adminTwoFactorRequired &&
+      user.roleRequiresTwoFactor &&
+      !user.twoFactorEnabled
+  );
+
+/**
+ * Middleware factory to require one or more permissions
+ * Members of roles flagged requireTwoFactor must also have 2FA enabled,
+ * unless ADMIN_2FA_REQUIRED is "false"
  * Must be used after the protect middleware
+ * @param {...String} permissions - Permissions from config/permissions (all required)
+ * @returns {Function} Express middleware
  */
-exports.restrictTo = (...roles) => {
+exports.requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    const granted = req.user.permissions || [];
+    const missing = permissions.filter(
+      (permission) => !granted.includes(permission)
+    );
+
+    if (missing.length) {
       return res.status(403).json({
         success: false,
         error: {
@@ -94,26 +188,34 @@ exports.restrictTo = (...roles) => {
           message: "Not authorized to perform this action",
           statusCode: 403,
         },
+        missingPermissions: missing,
+      });
+    }
+
+    if (lacksRequiredTwoFactor(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: errorCodes.TWO_FACTOR_REQUIRED,
+        message: "Enable two-factor authentication to use these permissions",
       });
     }
+
     next();
   };
 };
 
 /**
- * Middleware to restrict access to admin users only
- * Must be used after the protect middleware
+ * Check a permission inside a handler (e.g. to allow access to other users' records)
+ * Applies the same 2FA rule as requirePermission.
+ * @param {Object} user - req.user
+ * @param {String} permission - Permission to check
+ * @returns {Boolean} Whether the user holds the permission
  */
-exports.authorizeAdmin = (req, res, next) => {
-  if (req.user.role !== "admin") {
-    return res.status(403).json({
-      success: false,
-      error: {
-        code: "FORBIDDEN",
-        message: "Admin access required to perform this action",
-        statusCode: 403,
-      },
-    });
-  }
-  next();
+exports.hasPermission = (user, permission) => {
+  return Boolean(
+    user &&
+      user.permissions &&
+      user.permissions.includes(permission) &&
+      !lacksRequiredTwoFactor(user)
+  );
 };
@@ -1,5 +1,6 @@
 // server/middleware/error.middleware.js
 const errorCodes = require('../config/errorCodes');
+const AppError = require('../utils/appError');
 
 /**
  * Custom error handler middleware
@@ -15,6 +16,11 @@ exports.errorHandler = (err, req, res, next) => {
     message: err.message || 'Server error',
   };
 
+  // Errors raised with a known error code
+  if (err instanceof AppError) {
+    return res.status(err.statusCode).json(err.toResponse());
+  }
+
   // Mongoose validation error
   if (err.name === 'ValidationError') {
     errorResponse = {
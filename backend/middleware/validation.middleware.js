@@ -1,5 +1,176 @@
 const { z } = require("zod");
 const errorCodes = require("../config/errorCodes");
+const validators = require("../utils/validators");
+const { PERMISSIONS } = require("../config/permissions");
+const {
+  USER,
+  PAGINATION,
+  PRODUCT,
+  CART,
+  COUPON,
+  ORDER,
+  SHIPPING,
+  RETURN,
+  SHIPMENT,
+} = require("../utils/constants");
+
+// Shipping address fields shared by the address book and order creation
+const addressFields = {
+  street: z.string().min(1, "Street is required"),
+  city: z.string().min(1, "City is required"),
+  state: z.string().min(1, "State is required"),
+  zipCode: z.string().regex(/^\d{6}$/, "Zip code must be 6 digits"),
+  country: z.string().min(1, "Country is required").default("India"),
+};
+
+// Catalog fields shared by product creation and updates
+const productFields = {
+  name: z.string().trim().min(1, "Product name is required").max(200),
+  sku: z
+    .string()
+    .trim()
+    .regex(/^[A-Za-z0-9_-]+$/, "SKU may only contain letters, numbers, \"_\" and \"-\""),
+  description: z.string().max(2000).optional(),
+  price: z.number().nonnegative("Price cannot be negative"),
+  taxClass: z.enum(Object.values(PRODUCT.TAX_CLASSES)).optional(),
+  hsnCode: z.string().regex(/^\d{4,8}$/, "HSN/SAC code must be 4 to 8 digits").optional(),
+  priceIncludesTax: z.boolean().optional(),
+  weight: z.number().nonnegative("Weight cannot be negative").optional(),
+  trackInventory: z.boolean().optional(),
+  lowStockThreshold: z.number().int().nonnegative().optional(),
+  active: z.boolean().optional(),
+};
+
+// Order lines only name a product; prices always come from the catalog
+const orderItem = z.object({
+  productId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid product ID"),
+  quantity: z.number().int().positive("Quantity must be a positive integer"),
+});
+
+// Coupon code as typed by the customer
+const couponCode = z.string().trim().min(1, "Coupon code is required").max(50);
+
+// Coupon fields shared by creation and updates
+const couponFields = {
+  code: z
+    .string()
+    .trim()
+    .regex(/^[A-Za-z0-9_-]{3,30}$/, "Code must be 3-30 letters, numbers, \"_\" or \"-\""),
+  description: z.string().max(500).optional(),
+  type: z.enum(Object.values(COUPON.TYPES)),
+  value: z.number().nonnegative("Value cannot be negative").default(0),
+  maxDiscount: z.number().positive().optional(),
+  minOrderValue: z.number().nonnegative().optional(),
+  startsAt: z.coerce.date().optional(),
+  expiresAt: z.coerce.date().optional(),
+  usageLimit: z.number().int().positive().optional(),
+  perUserLimit: z.number().int().positive().optional(),
+  eligibleProducts: z
+    .array(z.string().regex(/^[a-f\d]{24}$/i, "Invalid product ID"))
+    .optional(),
+  active: z.boolean().optional(),
+};
+
+const couponSchema = z
+  .object(couponFields)
+  .refine(
+    (data) => data.type !== COUPON.TYPES.PERCENTAGE || (data.value > 0 && data.value <= 100),
+    { message: "Percentage must be between 1 and 100", path: ["value"] }
+  )
+  .refine((data) => data.type !== COUPON.TYPES.FLAT || data.value > 0, {
+    message: "Flat discount must be greater than 0",
+    path: ["value"],
+  })
+  .refine((data) => !data.startsAt || !data.expiresAt || data.startsAt < data.expiresAt, {
+    message: "Expiry must be after the start date",
+    path: ["expiresAt"],
+  });
+
+// Shipping rule fields shared by creation and updates
+const shippingRuleFields = {
+  name: z.string().trim().min(1, "Rule name is required").max(100),
+  priority: z.number().int().min(0).optional(),
+  states: z.array(z.string().trim().min(1)).optional(),
+  pinPrefixes: z
+    .array(z.string().regex(/^\d{1,6}$/, "PIN prefix must be 1 to 6 digits"))
+    .optional(),
+  serviceable: z.boolean().optional(),
+  rateType: z.enum(Object.values(SHIPPING.RATE_TYPES)).optional(),
+  baseFee: z.number().nonnegative("Fee cannot be negative").optional(),
+  weightTiers: z
+    .array(
+      z.object({
+        maxWeight: z.number().nonnegative(),
+        fee: z.number().nonnegative(),
+      })
+    )
+    .optional(),
+  extraPerKg: z.number().nonnegative().optional(),
+  valueTiers: z
+    .array(
+      z.object({
+        minOrderValue: z.number().nonnegative(),
+        fee: z.number().nonnegative(),
+      })
+    )
+    .optional(),
+  freeShippingThreshold: z.number().nonnegative().nullable().optional(),
+  codSurcharge: z.number().nonnegative().optional(),
+  codAvailable: z.boolean().optional(),
+  active: z.boolean().optional(),
+};
+
+// Page/limit query fields shared by paginated listings
+const paginationFields = {
+  page: z.coerce.number().int().min(1).default(PAGINATION.DEFAULT_PAGE),
+  limit: z.coerce
+    .number()
+    .int()
+    .min(1)
+    .max(PAGINATION.MAX_LIMIT)
+    .default(PAGINATION.DEFAULT_LIMIT),
+};
+
+// Boxes of a shipment
+const shipmentPackages = z.array(
+  z.object({
+    reference: z.string().trim().max(100).optional(),
+    weight: z.number().nonnegative("Weight cannot be negative").optional(),
+    length: z.number().positive().optional(),
+    width: z.number().positive().optional(),
+    height: z.number().positive().optional(),
+  })
+);
+
+// Filters shared by the customer and admin order listings
+const orderQueryFields = {
+  ...paginationFields,
+  status: z.enum(Object.values(ORDER.STATUS)).optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  minAmount: z.coerce.number().nonnegative().optional(),
+  maxAmount: z.coerce.number().nonnegative().optional(),
+  // Matches item names and the receipt number
+  search: z.string().trim().max(100).optional(),
+  sort: z
+    .enum(["createdAt", "-createdAt", "amount", "-amount"])
+    .default("-createdAt"),
+};
+
+const orderQuerySchema = (fields) =>
+  z
+    .object(fields)
+    .refine((data) => !data.from || !data.to || data.from <= data.to, {
+      message: "'from' must be before 'to'",
+      path: ["to"],
+    })
+    .refine(
+      (data) =>
+        data.minAmount === undefined ||
+        data.maxAmount === undefined ||
+        data.minAmount <= data.maxAmount,
+      { message: "minAmount cannot exceed maxAmount", path: ["maxAmount"] }
+    );
 
 /**
  * Middleware factory to validate request data using Zod schemas
@@ -92,30 +263,68 @@ exports.schemas = {
       email: z.string().email("Invalid email address"),
       password: z.string().min(1, "Password is required"),
     }),
+
+    twoFactorCode: z.object({
+      code: z.string().regex(/^\d{6}$/, "Code must be 6 digits"),
+    }),
+
+    twoFactorLogin: z
+      .object({
+        challengeToken: z.string().min(1, "Challenge token is required"),
+        code: z.string().regex(/^\d{6}$/, "Code must be 6 digits").optional(),
+        recoveryCode: z.string().min(1).optional(),
+      })
+      .refine((data) => data.code || data.recoveryCode, {
+        message: "Either a code or a recovery code is required",
+        path: ["code"],
+      }),
+
+    twoFactorDisable: z
+      .object({
+        password: z.string().min(1, "Password is required"),
+        code: z.string().regex(/^\d{6}$/, "Code must be 6 digits").optional(),
+        recoveryCode: z.string().min(1).optional(),
+      })
+      .refine((data) => data.code || data.recoveryCode, {
+        message: "Either a code or a recovery code is required",
+        path: ["code"],
+      }),
+
+    updateProfile: z
+      .object({
+        name: z.string().min(2, "Name must be at least 2 characters").max(50),
+        phone: validators.phoneSchema,
+      })
+      .partial()
+      .refine((data) => Object.keys(data).length > 0, {
+        message: "Nothing to update",
+      }),
+
+    changePassword: z
+      .object({
+        currentPassword: z.string().min(1, "Current password is required"),
+        newPassword: validators.passwordSchema,
+      })
+      .refine((data) => data.currentPassword !== data.newPassword, {
+        message: "New password must be different from the current password",
+        path: ["newPassword"],
+      }),
+
+    forgotPassword: validators.passwordResetRequestSchema,
+
+    resetPassword: validators.passwordResetSchema,
   },
 
   // Payment schemas
  // Payment schemas
 payment: {
   createOrder: z.object({
-    amount: z.number().positive("Amount must be greater than 0"),
-    currency: z.string().default("INR"),
+    // Local order created with POST /api/orders
+    orderId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid order ID"),
+    // Optional; checked against the order's final amount when present
+    amount: z.number().positive("Amount must be greater than 0").optional(),
     notes: z.record(z.string()).optional(),
-    prefill: z
-      .object({
-        name: z.string().optional(),
-        email: z.string().email("Invalid email").optional(),
-        contact: z.string().optional(),
-      })
-      .optional(),
-    // Add these fields to match your Order model requirements
-    shippingAddress: z.object({
-      street: z.string().min(1, "Street is required"),
-      city: z.string().min(1, "City is required"),
-      state: z.string().min(1, "State is required"),
-      zipCode: z.string().min(1, "Zip code is required"),
-    }),
-    totalAmount: z.number().positive("Total amount must be greater than 0"),
+    savePaymentMethod: z.boolean().optional(),
   }),
   // other schemas remain the same
   verifyPayment: z.object({
@@ -123,11 +332,27 @@ payment: {
     razorpay_payment_id: z.string(),
     razorpay_signature: z.string(),
   }),
-  processRefund: z.object({
-    paymentId: z.string(),
-    amount: z.number().positive("Amount must be greater than 0").optional(),
-    notes: z.record(z.string()).optional(),
+  codCollection: z.object({
+    // Cash collected; must match the order total
+    amount: z.number().positive("Amount must be greater than 0"),
+    // Courier's receipt or remittance reference
+    reference: z.string().trim().max(100).optional(),
+  }),
+  capture: z.object({
+    // Amount to capture; must match the order total
+    amount: z.number().positive("Amount must be greater than 0"),
   }),
+  processRefund: z
+    .object({
+      // Omit to refund the whole refundable balance
+      amount: z.number().positive("Amount must be greater than 0").optional(),
+      speed: z.enum(["normal", "instant"]).optional(),
+      reason: z.string().trim().max(200).optional(),
+      // Required for cash-on-delivery payments, which are paid back offline
+      reference: z.string().trim().min(1).max(100).optional(),
+      notes: z.record(z.string()).optional(),
+    })
+    .default({}),
 },
 
   // Order schemas
@@ -136,33 +361,354 @@ payment: {
       notes: z.record(z.string()),
     }),
 
-    statusUpdate: z.enum(
-      ["pending", "processing", "shipped", "delivered", "cancelled"],
-      "Invalid order status"
-    ),
+    statusUpdate: z.object({
+      // Fulfilment states only; paid, refunded and expired are set by the
+      // payment, refund and expiry code so their side effects run
+      status: z.enum(
+        [
+          ORDER.STATUS.PROCESSING,
+          ORDER.STATUS.SHIPPED,
+          ORDER.STATUS.DELIVERED,
+          ORDER.STATUS.CANCELLED,
+        ],
+        { message: "Invalid order status" }
+      ),
+      reason: z.string().trim().max(500).optional(),
+    }),
+
+    cancel: z
+      .object({
+        reason: z.string().trim().max(500).optional(),
+      })
+      .default({}),
+
+    query: orderQuerySchema(orderQueryFields),
+
+    adminQuery: orderQuerySchema({
+      ...orderQueryFields,
+      userId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid user ID").optional(),
+      needsReview: z
+        .enum(["true", "false"])
+        .transform((value) => value === "true")
+        .optional(),
+    }),
+
+    create: z.object({
+      items: z.array(orderItem).min(1, "At least one item is required"),
+      // Optional; checked against the server-side total when present
+      totalAmount: z.number().positive("Total amount must be greater than 0").optional(),
+      paymentMethod: z
+        .enum(Object.values(ORDER.PAYMENT_METHODS))
+        .default(ORDER.PAYMENT_METHODS.ONLINE),
+      couponCode: couponCode.optional(),
+      // Either a saved address from the address book or an inline address
+      addressId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid address ID").optional(),
+      shippingAddress: z.object(addressFields).optional(),
+    }).refine((data) => data.addressId || data.shippingAddress, {
+      message: "Either addressId or shippingAddress is required",
+      path: ["shippingAddress"],
+    }),
+  },
 
+  // Return schemas
+  returns: {
     create: z.object({
+      orderId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid order ID"),
       items: z
         .array(
           z.object({
-            name: z.string().min(1, "Product name is required"), // Changed from productId to name
-            quantity: z
-              .number()
-              .int()
-              .positive("Quantity must be a positive integer"),
-            price: z.number().positive("Price must be greater than 0"),
+            // _id of the line in order.items
+            orderItem: z.string().regex(/^[a-f\d]{24}$/i, "Invalid order item ID"),
+            quantity: z.number().int().min(1, "Quantity must be at least 1"),
+            reason: z.enum(Object.values(RETURN.REASONS), {
+              message: "Invalid return reason",
+            }),
           })
         )
-        .min(1, "At least one item is required"),
-      totalAmount: z.number().positive("Total amount must be greater than 0"),
-      paymentMethod: z.string().min(1, "Payment method is required"),
-      shippingAddress: z.object({
-        street: z.string().min(1, "Street is required"),
-        city: z.string().min(1, "City is required"),
-        state: z.string().min(1, "State is required"),
-        zipCode: z.string().min(1, "Zip code is required"),
+        .min(1, "At least one item is required")
+        .refine(
+          (items) => new Set(items.map((item) => item.orderItem)).size === items.length,
+          { message: "Each order item can only be listed once" }
+        ),
+      comment: z.string().trim().max(1000).optional(),
+      photos: z
+        .array(z.string().trim().url("Photo must be a URL"))
+        .max(RETURN.MAX_PHOTOS, `At most ${RETURN.MAX_PHOTOS} photos`)
+        .optional(),
+    }),
+
+    shipment: z.object({
+      carrier: z.string().trim().min(1, "Carrier is required").max(100),
+      trackingNumber: z.string().trim().min(1, "Tracking number is required").max(100),
+    }),
+
+    approve: z
+      .object({
+        note: z.string().trim().max(500).optional(),
+      })
+      .default({}),
+
+    reject: z.object({
+      note: z.string().trim().min(1, "Reason is required").max(500),
+    }),
+
+    receive: z
+      .object({
+        // Put the units back into stock (false for damaged goods)
+        restock: z.boolean().default(true),
+        note: z.string().trim().max(500).optional(),
+      })
+      .default({}),
+
+    manualRefund: z.object({
+      // Bank transfer or receipt reference of the money paid back
+      reference: z.string().trim().min(1, "Reference is required").max(100),
+      note: z.string().trim().max(500).optional(),
+    }),
+
+    query: z.object({
+      ...paginationFields,
+      status: z.enum(Object.values(RETURN.STATUS)).optional(),
+    }),
+
+    adminQuery: z.object({
+      ...paginationFields,
+      status: z.enum(Object.values(RETURN.STATUS)).optional(),
+      userId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid user ID").optional(),
+      orderId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid order ID").optional(),
+    }),
+  },
+
+  // User self-service schemas
+  user: {
+    address: z.object({
+      type: z.enum(Object.values(USER.ADDRESS_TYPES)).optional(),
+      ...addressFields,
+      isDefault: z.boolean().optional(),
+    }),
+
+    addressUpdate: z
+      .object({
+        type: z.enum(Object.values(USER.ADDRESS_TYPES)),
+        ...addressFields,
         country: z.string().min(1, "Country is required"),
+        isDefault: z.boolean(),
+      })
+      .partial()
+      .refine((data) => Object.keys(data).length > 0, {
+        message: "Nothing to update",
       }),
+  },
+
+  // Role schemas
+  role: {
+    create: z.object({
+      name: z
+        .string()
+        .regex(/^[a-z][a-z0-9_-]*$/, "Role name may only contain lowercase letters, numbers, \"_\" and \"-\""),
+      description: z.string().max(200).optional(),
+      permissions: z.array(z.enum(Object.values(PERMISSIONS))).default([]),
+      requireTwoFactor: z.boolean().optional(),
+    }),
+
+    update: z.object({
+      description: z.string().max(200).optional(),
+      permissions: z.array(z.enum(Object.values(PERMISSIONS))).optional(),
+      requireTwoFactor: z.boolean().optional(),
+    }),
+  },
+
+  // Cart schemas
+  cart: {
+    item: orderItem.extend({
+      quantity: orderItem.shape.quantity.max(
+        CART.MAX_QUANTITY,
+        `Quantity cannot exceed ${CART.MAX_QUANTITY}`
+      ),
+    }),
+
+    itemUpdate: z.object({
+      quantity: orderItem.shape.quantity.max(
+        CART.MAX_QUANTITY,
+        `Quantity cannot exceed ${CART.MAX_QUANTITY}`
+      ),
+    }),
+
+    checkout: z
+      .object({
+        addressId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid address ID").optional(),
+        shippingAddress: z.object(addressFields).optional(),
+        // Optional; checked against the server-side total when present
+        amount: z.number().positive("Amount must be greater than 0").optional(),
+        notes: z.string().max(500).optional(),
+        savePaymentMethod: z.boolean().optional(),
+      })
+      .refine((data) => data.addressId || data.shippingAddress, {
+        message: "Either addressId or shippingAddress is required",
+        path: ["shippingAddress"],
+      }),
+  },
+
+  // Coupon schemas
+  coupon: {
+    apply: z.object({
+      code: couponCode,
+    }),
+
+    validate: z.object({
+      code: couponCode,
+      // Defaults to the lines of the customer's cart
+      items: z.array(orderItem).min(1, "At least one item is required").optional(),
+    }),
+
+    create: couponSchema,
+
+    update: z
+      .object(couponFields)
+      .omit({ code: true })
+      .partial()
+      .refine((data) => Object.keys(data).length > 0, {
+        message: "Nothing to update",
+      }),
+
+    query: z.object({
+      ...paginationFields,
+      search: z.string().trim().max(50).optional(),
+      active: z.enum(["true", "false"]).transform((value) => value === "true").optional(),
+    }),
+  },
+
+  // Shipping schemas
+  shipping: {
+    quote: z
+      .object({
+        // Defaults to the lines of the customer's cart
+        items: z.array(orderItem).min(1, "At least one item is required").optional(),
+        addressId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid address ID").optional(),
+        // Only the state and PIN code are needed to pick a rule
+        shippingAddress: z
+          .object(addressFields)
+          .partial()
+          .required({ state: true, zipCode: true })
+          .optional(),
+        paymentMethod: z
+          .enum(Object.values(ORDER.PAYMENT_METHODS))
+          .default(ORDER.PAYMENT_METHODS.ONLINE),
+      })
+      .refine((data) => data.addressId || data.shippingAddress, {
+        message: "Either addressId or shippingAddress is required",
+        path: ["shippingAddress"],
+      }),
+
+    createRule: z.object(shippingRuleFields),
+
+    updateRule: z
+      .object(shippingRuleFields)
+      .partial()
+      .refine((data) => Object.keys(data).length > 0, {
+        message: "Nothing to update",
+      }),
+  },
+
+  // Shipment schemas
+  shipment: {
+    create: z.object({
+      carrier: z.string().trim().toLowerCase().min(1, "Carrier is required").max(50),
+      trackingNumber: z.string().trim().min(1, "Tracking number is required").max(100),
+      // Defaults to every unit not in another shipment
+      items: z
+        .array(
+          z.object({
+            orderItem: z.string().regex(/^[a-f\d]{24}$/i, "Invalid order item ID"),
+            quantity: z.number().int().min(1, "Quantity must be at least 1"),
+          })
+        )
+        .min(1, "At least one item is required")
+        .refine(
+          (items) => new Set(items.map((item) => item.orderItem)).size === items.length,
+          { message: "Each order item can only be listed once" }
+        )
+        .optional(),
+      packages: shipmentPackages.optional(),
+    }),
+
+    update: z
+      .object({
+        trackingNumber: z.string().trim().min(1).max(100).optional(),
+        packages: shipmentPackages.optional(),
+        status: z.enum(Object.values(SHIPMENT.STATUS)).optional(),
+        description: z.string().trim().max(500).optional(),
+        location: z.string().trim().max(200).optional(),
+      })
+      .refine((data) => Object.keys(data).length > 0, {
+        message: "Nothing to update",
+      }),
+
+    query: z.object({
+      ...paginationFields,
+      status: z.enum(Object.values(SHIPMENT.STATUS)).optional(),
+      carrier: z.string().trim().toLowerCase().optional(),
+      orderId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid order ID").optional(),
+      trackingNumber: z.string().trim().optional(),
+    }),
+  },
+
+  // Product schemas
+  product: {
+    // Later stock changes go through stock adjustments so they are audited
+    create: z.object({
+      ...productFields,
+      stock: z.number().int().nonnegative("Stock cannot be negative").optional(),
+    }),
+
+    update: z
+      .object(productFields)
+      .partial()
+      .refine((data) => Object.keys(data).length > 0, {
+        message: "Nothing to update",
+      }),
+
+    query: z.object({
+      ...paginationFields,
+      search: z.string().trim().max(100).optional(),
+      active: z.enum(["true", "false"]).transform((value) => value === "true").optional(),
+    }),
+
+    stockAdjustment: z.object({
+      // Units added (positive) or removed (negative)
+      adjustment: z
+        .number()
+        .int()
+        .refine((value) => value !== 0, "Adjustment cannot be 0"),
+      reason: z.string().trim().min(1, "Reason is required").max(500),
+    }),
+  },
+
+  // Page/limit query for paginated listings
+  pagination: z.object(paginationFields),
+
+  // Admin schemas
+  admin: {
+    userQuery: z.object({
+      ...paginationFields,
+      search: z.string().trim().max(100).optional(),
+      role: z.string().trim().toLowerCase().optional(),
+      status: z.enum(Object.values(USER.STATUS)).optional(),
+    }),
+
+    auditLogQuery: z.object({
+      ...paginationFields,
+      action: z.string().optional(),
+      actor: z.string().regex(/^[a-f\d]{24}$/i, "Invalid actor ID").optional(),
+      targetId: z.string().optional(),
+    }),
+
+    roleChange: z.object({
+      role: z.string().trim().toLowerCase().min(1, "Role is required"),
+    }),
+
+    suspend: z.object({
+      reason: z.string().trim().min(1, "Reason is required").max(500),
     }),
   },
 
@@ -180,6 +726,46 @@ payment: {
   orderIdParam: z.object({
     orderId: z.string().min(1, "Order ID is required"),
   }),
+
+  // Saved payment method ID validation
+  paymentMethodIdParam: z.object({
+    methodId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid payment method ID"),
+  }),
+
+  // Address ID validation
+  addressIdParam: z.object({
+    addressId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid address ID"),
+  }),
+
+  // Product ID validation
+  productIdParam: z.object({
+    productId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid product ID"),
+  }),
+
+  // Coupon ID validation
+  couponIdParam: z.object({
+    couponId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid coupon ID"),
+  }),
+
+  // Return request ID validation
+  returnIdParam: z.object({
+    returnId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid return ID"),
+  }),
+
+  // Shipment ID validation
+  shipmentIdParam: z.object({
+    shipmentId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid shipment ID"),
+  }),
+
+  // Shipping rule ID validation
+  shippingRuleIdParam: z.object({
+    ruleId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid shipping rule ID"),
+  }),
+
+  // User ID validation
+  userIdParam: z.object({
+    userId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid user ID"),
+  }),
 };
 
 /**
@@ -228,16 +814,172 @@ exports.validateWebhook = (req, res, next) => {
 // Validation middlewares - Define after all schemas
 exports.validateRegistration = exports.validate(exports.schemas.auth.register);
 exports.validateLogin = exports.validate(exports.schemas.auth.login);
+exports.validateEmail = exports.validate(exports.schemas.auth.forgotPassword);
+exports.validateTwoFactorCode = exports.validate(
+  exports.schemas.auth.twoFactorCode
+);
+exports.validateTwoFactorLogin = exports.validate(
+  exports.schemas.auth.twoFactorLogin
+);
+exports.validateTwoFactorDisable = exports.validate(
+  exports.schemas.auth.twoFactorDisable
+);
+
+// The reset token arrives in the URL, so merge it into the body before validating
+exports.validatePasswordReset = (req, res, next) => {
+  req.body = { ...req.body, token: req.params.token };
+  return exports.validate(exports.schemas.auth.resetPassword)(req, res, next);
+};
 
 // Fix for the order schemas
 exports.validateOrderCreation = exports.validate(exports.schemas.order.create);
+exports.validateOrderQuery = exports.validate(
+  exports.schemas.order.query,
+  "query"
+);
+exports.validateAdminOrderQuery = exports.validate(
+  exports.schemas.order.adminQuery,
+  "query"
+);
 exports.validateOrderId = exports.validate(
   exports.schemas.orderIdParam,
   "params"
 );
+exports.validateUserId = exports.validate(
+  exports.schemas.userIdParam,
+  "params"
+);
+exports.validateProfileUpdate = exports.validate(
+  exports.schemas.auth.updateProfile
+);
+exports.validatePasswordChange = exports.validate(
+  exports.schemas.auth.changePassword
+);
+exports.validateAddress = exports.validate(exports.schemas.user.address);
+exports.validateAddressUpdate = exports.validate(
+  exports.schemas.user.addressUpdate
+);
+exports.validateAddressId = exports.validate(
+  exports.schemas.addressIdParam,
+  "params"
+);
+exports.validatePaymentMethodId = exports.validate(
+  exports.schemas.paymentMethodIdParam,
+  "params"
+);
+exports.validatePagination = exports.validate(
+  exports.schemas.pagination,
+  "query"
+);
+exports.validateCartItem = exports.validate(exports.schemas.cart.item);
+exports.validateCartItemUpdate = exports.validate(
+  exports.schemas.cart.itemUpdate
+);
+exports.validateCheckout = exports.validate(exports.schemas.cart.checkout);
+exports.validateCouponCode = exports.validate(exports.schemas.coupon.apply);
+exports.validateCouponCheck = exports.validate(exports.schemas.coupon.validate);
+exports.validateCouponCreation = exports.validate(
+  exports.schemas.coupon.create
+);
+exports.validateCouponUpdate = exports.validate(exports.schemas.coupon.update);
+exports.validateCouponQuery = exports.validate(
+  exports.schemas.coupon.query,
+  "query"
+);
+exports.validateCouponId = exports.validate(
+  exports.schemas.couponIdParam,
+  "params"
+);
+exports.validateShippingQuote = exports.validate(
+  exports.schemas.shipping.quote
+);
+exports.validateShippingRuleCreation = exports.validate(
+  exports.schemas.shipping.createRule
+);
+exports.validateShippingRuleUpdate = exports.validate(
+  exports.schemas.shipping.updateRule
+);
+exports.validateShippingRuleId = exports.validate(
+  exports.schemas.shippingRuleIdParam,
+  "params"
+);
+exports.validateShipmentCreation = exports.validate(
+  exports.schemas.shipment.create
+);
+exports.validateShipmentUpdate = exports.validate(
+  exports.schemas.shipment.update
+);
+exports.validateShipmentQuery = exports.validate(
+  exports.schemas.shipment.query,
+  "query"
+);
+exports.validateShipmentId = exports.validate(
+  exports.schemas.shipmentIdParam,
+  "params"
+);
+exports.validateProductCreation = exports.validate(
+  exports.schemas.product.create
+);
+exports.validateProductUpdate = exports.validate(
+  exports.schemas.product.update
+);
+exports.validateProductQuery = exports.validate(
+  exports.schemas.product.query,
+  "query"
+);
+exports.validateStockAdjustment = exports.validate(
+  exports.schemas.product.stockAdjustment
+);
+exports.validateProductId = exports.validate(
+  exports.schemas.productIdParam,
+  "params"
+);
+exports.validateUserQuery = exports.validate(
+  exports.schemas.admin.userQuery,
+  "query"
+);
+exports.validateAuditLogQuery = exports.validate(
+  exports.schemas.admin.auditLogQuery,
+  "query"
+);
+exports.validateRoleChange = exports.validate(exports.schemas.admin.roleChange);
+exports.validateSuspension = exports.validate(exports.schemas.admin.suspend);
+exports.validateRoleCreation = exports.validate(exports.schemas.role.create);
+exports.validateRoleUpdate = exports.validate(exports.schemas.role.update);
 exports.validateOrderStatusUpdate = exports.validate(
   exports.schemas.order.statusUpdate
 );
+exports.validateOrderCancel = exports.validate(exports.schemas.order.cancel);
+exports.validateReturnCreation = exports.validate(
+  exports.schemas.returns.create
+);
+exports.validateReturnShipment = exports.validate(
+  exports.schemas.returns.shipment
+);
+exports.validateReturnApproval = exports.validate(
+  exports.schemas.returns.approve
+);
+exports.validateReturnRejection = exports.validate(
+  exports.schemas.returns.reject
+);
+exports.validateReturnReceipt = exports.validate(
+  exports.schemas.returns.receive
+);
+exports.validateManualReturnRefund = exports.validate(
+  exports.schemas.returns.manualRefund
+);
+exports.validateReturnQuery = exports.validate(
+  exports.schemas.returns.query,
+  "query"
+);
+exports.validateAdminReturnQuery = exports.validate(
+  exports.schemas.returns.adminQuery,
+  "query"
+);
+exports.validateReturnId = exports.validate(
+  exports.schemas.returnIdParam,
+  "params"
+);
 
 // Payment validation exports
 exports.validatePaymentOrder = exports.validate(
@@ -246,6 +988,12 @@ exports.validatePaymentOrder = exports.validate(
 exports.validatePaymentVerification = exports.validate(
   exports.schemas.payment.verifyPayment
 );
+exports.validateCodCollection = exports.validate(
+  exports.schemas.payment.codCollection
+);
+exports.validatePaymentCapture = exports.validate(
+  exports.schemas.payment.capture
+);
 exports.validateRefundRequest = exports.validate(
   exports.schemas.payment.processRefund,
   "body"
@@ -0,0 +1,74 @@
+// auditLog.model.js
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+/**
+ * Append-only record of administrative actions: who did what, to what, and when
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Kept so the log stays readable if the actor is later deleted
+    actorEmail: {
+      type: String,
+    },
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    targetType: {
+      type: String,
+      required: true,
+    },
+    targetId: {
+      type: String,
+      index: true,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+
+/**
+ * Record an action performed by the authenticated user of a request
+ * Never throws: a failed audit write is logged but doesn't fail the action
+ * @param {Object} req - Express request (req.user must be set)
+ * @param {Object} entry - action, targetType, targetId, details
+ */
+auditLogSchema.statics.record = async function (req, { action, targetType, targetId, details }) {
+  try {
+    return await this.create({
+      actor: req.user.id,
+      actorEmail: req.user.email,
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : undefined,
+      details,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+  } catch (error) {
+    logger.error(`Failed to write audit log for ${action}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,245 @@
+// cart.model.js
+const mongoose = require('mongoose');
+const errorCodes = require('../config/errorCodes');
+const AppError = require('../utils/appError');
+const { CART } = require('../utils/constants');
+const { calculateItemsTotal, roundAmount, hashToken } = require('../utils/helper');
+
+/**
+ * Shopping cart
+ * Logged-in users have one cart each. Guests get a cart keyed by a random
+ * token in a cookie; it is merged into the user's cart when they log in.
+ */
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      unique: true,
+      sparse: true,
+    },
+    // Only the hash of the guest cookie token is stored
+    anonymousTokenHash: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true,
+        },
+        sku: {
+          type: String,
+        },
+        name: {
+          type: String,
+        },
+        // Catalog price when the line was last priced; refreshed on every read
+        price: {
+          type: Number,
+          min: 0,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+      },
+    ],
+    // Re-validated on every read and again at checkout
+    couponCode: {
+      type: String,
+    },
+    // Guest carts are removed by MongoDB once they expire
+    expiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.virtual('subtotal').get(function () {
+  return roundAmount(calculateItemsTotal(this.items));
+});
+
+cartSchema.virtual('itemCount').get(function () {
+  return this.items.reduce((count, item) => count + item.quantity, 0);
+});
+
+const guestExpiryDate = () =>
+  new Date(Date.now() + CART.ANONYMOUS_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Guest carts expire a fixed time after their last change
+cartSchema.pre('save', function (next) {
+  if (this.anonymousTokenHash) {
+    this.expiresAt = guestExpiryDate();
+  }
+  next();
+});
+
+// Find the line for a product
+cartSchema.methods.findItem = function (productId) {
+  return this.items.find((item) => item.product.equals(productId));
+};
+
+// Add a product, or increase its quantity when it is already in the cart
+cartSchema.methods.addItem = function (product, quantity) {
+  const item = this.findItem(product._id);
+
+  if (item) {
+    item.quantity = Math.min(item.quantity + quantity, CART.MAX_QUANTITY);
+    item.price = product.price;
+    return item;
+  }
+
+  if (this.items.length >= CART.MAX_LINES) {
+    throw new AppError(errorCodes.CART_LIMIT_EXCEEDED);
+  }
+
+  this.items.push({
+    product: product._id,
+    sku: product.sku,
+    name: product.name,
+    price: product.price,
+    quantity: Math.min(quantity, CART.MAX_QUANTITY),
+  });
+  return this.items[this.items.length - 1];
+};
+
+// Remove a product; returns false when it wasn't in the cart
+cartSchema.methods.removeItem = function (productId) {
+  const item = this.findItem(productId);
+  if (!item) return false;
+
+  item.deleteOne();
+  return true;
+};
+
+/**
+ * Refresh every line from the catalog
+ * Lines whose product was removed, archived or sold out are dropped and
+ * quantities are cut down to the available stock.
+ * @returns {Promise<Array>} Changes the customer should be told about
+ */
+cartSchema.methods.reprice = async function () {
+  const Product = mongoose.model('Product');
+  const products = await Product.find({
+    _id: { $in: this.items.map((item) => item.product) },
+  });
+  const productsById = new Map(products.map((product) => [String(product._id), product]));
+
+  const changes = [];
+  for (const item of [...this.items]) {
+    const product = productsById.get(String(item.product));
+
+    if (!product || !product.active) {
+      changes.push({ productId: item.product, name: item.name, type: 'removed' });
+      item.deleteOne();
+      continue;
+    }
+
+    // Only what can still be ordered stays in the cart
+    if (product.trackInventory && product.available < item.quantity) {
+      if (!product.available) {
+        changes.push({ productId: item.product, name: item.name, type: 'out_of_stock' });
+        item.deleteOne();
+        continue;
+      }
+
+      changes.push({
+        productId: item.product,
+        name: product.name,
+        type: 'quantity_reduced',
+        from: item.quantity,
+        to: product.available,
+      });
+      item.quantity = product.available;
+    }
+
+    if (item.price !== undefined && item.price !== product.price) {
+      changes.push({
+        productId: item.product,
+        name: product.name,
+        type: 'price_changed',
+        from: item.price,
+        to: product.price,
+      });
+    }
+
+    item.price = product.price;
+    item.name = product.name;
+    item.sku = product.sku;
+  }
+
+  return changes;
+};
+
+// Lines in the shape expected by utils/pricing
+cartSchema.methods.toOrderItems = function () {
+  return this.items.map((item) => ({
+    productId: item.product,
+    quantity: item.quantity,
+  }));
+};
+
+// Find a guest cart by its cookie token
+cartSchema.statics.findAnonymous = function (token) {
+  return this.findOne({ anonymousTokenHash: hashToken(token) });
+};
+
+// Start a guest cart for a cookie token
+cartSchema.statics.createAnonymous = function (token) {
+  return this.create({
+    anonymousTokenHash: hashToken(token),
+    expiresAt: guestExpiryDate(),
+  });
+};
+
+// Find the cart of a user, creating it on first use
+cartSchema.statics.findOrCreateForUser = function (userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * Move the lines of a guest cart into the user's cart and delete the guest cart
+ * Quantities of products already in the user's cart are added together.
+ * @param {String} token - Guest cart cookie token
+ * @param {String} userId - User logging in
+ */
+cartSchema.statics.mergeAnonymous = async function (token, userId) {
+  const guestCart = await this.findAnonymous(token);
+  if (!guestCart) return null;
+
+  const cart = await this.findOrCreateForUser(userId);
+
+  for (const item of guestCart.items) {
+    const existing = cart.findItem(item.product);
+    if (existing) {
+      existing.quantity = Math.min(existing.quantity + item.quantity, CART.MAX_QUANTITY);
+    } else if (cart.items.length < CART.MAX_LINES) {
+      cart.items.push(item.toObject());
+    }
+  }
+
+  if (!cart.couponCode && guestCart.couponCode) {
+    cart.couponCode = guestCart.couponCode;
+  }
+
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return cart;
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,178 @@
+// coupon.model.js
+const mongoose = require('mongoose');
+const errorCodes = require('../config/errorCodes');
+const AppError = require('../utils/appError');
+const { COUPON } = require('../utils/constants');
+const { calculateItemsTotal, roundAmount } = require('../utils/helper');
+
+/**
+ * Discount coupon
+ * `usedCount` counts reserved and redeemed uses; see CouponRedemption.
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Coupon code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    type: {
+      type: String,
+      enum: Object.values(COUPON.TYPES),
+      required: true,
+    },
+    // Percentage (0-100) or flat amount in rupees; unused for free shipping
+    value: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Upper bound for percentage discounts
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    // Minimum subtotal of the eligible lines
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    startsAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    // Leave empty for no limit
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Restricts the coupon to these products; empty means every product
+    eligibleProducts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+      },
+    ],
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Whether the coupon can be used right now, ignoring usage limits
+couponSchema.methods.isRedeemable = function (now = new Date()) {
+  return (
+    this.active &&
+    (!this.startsAt || this.startsAt <= now) &&
+    (!this.expiresAt || this.expiresAt > now)
+  );
+};
+
+// Order lines the coupon applies to
+couponSchema.methods.eligibleItems = function (items) {
+  if (!this.eligibleProducts.length) return items;
+
+  return items.filter((item) =>
+    this.eligibleProducts.some((productId) => productId.equals(item.product))
+  );
+};
+
+/**
+ * Compute the discount for priced order lines
+ * @param {Object} quote - items (priced lines) and shippingFee
+ * @returns {Number} Discount in rupees
+ * @throws {AppError} COUPON_INVALID / COUPON_NOT_APPLICABLE
+ */
+couponSchema.methods.computeDiscount = function ({ items, shippingFee = 0 }) {
+  if (!this.isRedeemable()) {
+    throw new AppError(errorCodes.COUPON_INVALID);
+  }
+
+  const eligibleSubtotal = roundAmount(calculateItemsTotal(this.eligibleItems(items)));
+
+  if (!eligibleSubtotal) {
+    throw new AppError(
+      errorCodes.COUPON_NOT_APPLICABLE,
+      'Coupon does not apply to any item in this order'
+    );
+  }
+
+  if (eligibleSubtotal < this.minOrderValue) {
+    throw new AppError(
+      errorCodes.COUPON_NOT_APPLICABLE,
+      `Coupon requires a minimum order value of ₹${this.minOrderValue}`,
+      { minOrderValue: this.minOrderValue }
+    );
+  }
+
+  switch (this.type) {
+    case COUPON.TYPES.PERCENTAGE: {
+      const discount = roundAmount((eligibleSubtotal * this.value) / 100);
+      return this.maxDiscount ? Math.min(discount, this.maxDiscount) : discount;
+    }
+    case COUPON.TYPES.FLAT:
+      return Math.min(this.value, eligibleSubtotal);
+    case COUPON.TYPES.FREE_SHIPPING:
+      return shippingFee;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Find an active coupon by code and check the usage limits for a user
+ * This is a read-only check; the use is only claimed by CouponRedemption.reserve.
+ * @param {String} code - Coupon code as entered by the customer
+ * @param {String} userId - Customer, or null for guests
+ * @throws {AppError} COUPON_INVALID / COUPON_LIMIT_REACHED
+ */
+couponSchema.statics.findUsable = async function (code, userId) {
+  const coupon = await this.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isRedeemable()) {
+    throw new AppError(errorCodes.COUPON_INVALID);
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new AppError(errorCodes.COUPON_LIMIT_REACHED);
+  }
+
+  if (coupon.perUserLimit && userId) {
+    const used = await mongoose.model('CouponRedemption').countForUser(coupon._id, userId);
+    if (used >= coupon.perUserLimit) {
+      throw new AppError(
+        errorCodes.COUPON_LIMIT_REACHED,
+        'You have already used this coupon the maximum number of times'
+      );
+    }
+  }
+
+  return coupon;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,231 @@
+// couponRedemption.model.js
+const mongoose = require('mongoose');
+const errorCodes = require('../config/errorCodes');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { COUPON } = require('../utils/constants');
+
+const { RESERVED, REDEEMED, RELEASED } = COUPON.REDEMPTION_STATUS;
+
+/**
+ * One use of a coupon by an order
+ * A use is reserved when the order is placed, redeemed when it is paid and
+ * released when the payment fails or the order is cancelled or expires.
+ */
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true,
+      index: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      unique: true,
+    },
+    discount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: Object.values(COUPON.REDEMPTION_STATUS),
+      default: RESERVED,
+    },
+    // Per-user limits: each live use of a user takes one numbered slot, and a
+    // unique index on the slot stops concurrent orders from overshooting
+    userSlot: {
+      type: Number,
+    },
+    holdsSlot: {
+      type: Boolean,
+    },
+    redeemedAt: {
+      type: Date,
+    },
+    releasedAt: {
+      type: Date,
+    },
+    releasedReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, userSlot: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { holdsSlot: true, userSlot: { $exists: true } },
+  }
+);
+couponRedemptionSchema.index({ coupon: 1, status: 1, createdAt: -1 });
+
+// Live (reserved or redeemed) uses of a coupon by a user
+couponRedemptionSchema.statics.countForUser = function (couponId, userId) {
+  return this.countDocuments({
+    coupon: couponId,
+    user: userId,
+    status: { $in: [RESERVED, REDEEMED] },
+  });
+};
+
+// Give back a use claimed with $inc on the coupon
+const returnUse = (couponId) =>
+  mongoose.model('Coupon').updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+
+/**
+ * Claim one use of a coupon for an order
+ * The total limit is enforced with a conditional $inc, the per-user limit with
+ * the unique slot index, so concurrent checkouts can't exceed either.
+ * @param {Object} coupon - Coupon document
+ * @param {Object} order - Order being placed (coupon.discount already set)
+ * @throws {AppError} COUPON_LIMIT_REACHED, COUPON_NOT_FOUND, COUPON_INVALID
+ */
+couponRedemptionSchema.statics.reserve = async function (coupon, order) {
+  const Coupon = mongoose.model('Coupon');
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      active: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    // Tell a coupon that was deleted or switched off from one that ran out
+    const current = await Coupon.findById(coupon._id).select('active');
+    if (!current) {
+      throw new AppError(errorCodes.COUPON_NOT_FOUND);
+    }
+    if (!current.active) {
+      throw new AppError(errorCodes.COUPON_INVALID, 'Coupon is no longer active');
+    }
+    throw new AppError(errorCodes.COUPON_LIMIT_REACHED);
+  }
+
+  const base = {
+    coupon: coupon._id,
+    code: coupon.code,
+    user: order.user,
+    order: order._id,
+    discount: order.coupon.discount,
+  };
+
+  try {
+    if (!coupon.perUserLimit) {
+      return await this.create(base);
+    }
+
+    // Take the lowest free slot; a duplicate key means another order took it first
+    for (let attempt = 0; attempt < coupon.perUserLimit; attempt++) {
+      const taken = await this.find({
+        coupon: coupon._id,
+        user: order.user,
+        holdsSlot: true,
+      }).distinct('userSlot');
+
+      let slot = 0;
+      while (taken.includes(slot)) slot++;
+
+      if (slot >= coupon.perUserLimit) break;
+
+      try {
+        return await this.create({ ...base, userSlot: slot, holdsSlot: true });
+      } catch (error) {
+        if (error.code !== 11000 || !(error.keyPattern && error.keyPattern.userSlot)) {
+          throw error;
+        }
+      }
+    }
+
+    throw new AppError(
+      errorCodes.COUPON_LIMIT_REACHED,
+      'You have already used this coupon the maximum number of times'
+    );
+  } catch (error) {
+    await returnUse(coupon._id);
+    throw error;
+  }
+};
+
+/**
+ * Mark the use of a paid order as redeemed
+ * A use that was already released (e.g. the first payment attempt failed) is
+ * claimed again without checking limits: the customer has paid the
+ * discounted price, so the discount must stand.
+ * @param {Object} order - Paid order
+ */
+couponRedemptionSchema.statics.confirm = async function (order) {
+  const redeemed = await this.findOneAndUpdate(
+    { order: order._id, status: RESERVED },
+    { $set: { status: REDEEMED, redeemedAt: new Date() } },
+    { new: true }
+  );
+  if (redeemed) return redeemed;
+
+  const released = await this.findOneAndUpdate(
+    { order: order._id, status: RELEASED },
+    { $set: { status: REDEEMED, redeemedAt: new Date() } },
+    { new: true }
+  );
+  if (released) {
+    await mongoose.model('Coupon').updateOne(
+      { _id: released.coupon },
+      { $inc: { usedCount: 1 } }
+    );
+    logger.warn(`Coupon ${released.code} re-claimed for paid order ${order._id}`);
+  }
+
+  return released;
+};
+
+/**
+ * Give the use of an order back to the coupon
+ * Safe to call repeatedly; a use is only released once.
+ * @param {Object} order - Order whose payment failed or that was cancelled/expired
+ * @param {String} reason - Why the use was released
+ */
+couponRedemptionSchema.statics.release = async function (order, reason) {
+  const released = await this.findOneAndUpdate(
+    { order: order._id, status: { $in: [RESERVED, REDEEMED] } },
+    {
+      $set: { status: RELEASED, releasedAt: new Date(), releasedReason: reason },
+      $unset: { holdsSlot: 1 },
+    },
+    { new: true }
+  );
+
+  if (released) {
+    await returnUse(released.coupon);
+  }
+
+  return released;
+};
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
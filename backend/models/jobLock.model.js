@@ -0,0 +1,89 @@
+// jobLock.model.js
+const mongoose = require('mongoose');
+
+/**
+ * Lease for a scheduled job
+ * One document per job name. An instance runs the job only while it holds an
+ * unexpired lease, so several API instances can share one database without
+ * running the same job twice.
+ */
+const jobLockSchema = new mongoose.Schema(
+  {
+    // Job name
+    _id: {
+      type: String,
+    },
+    owner: {
+      type: String,
+    },
+    lockedUntil: {
+      type: Date,
+      default: () => new Date(0),
+    },
+    lastStartedAt: {
+      type: Date,
+    },
+    lastFinishedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Take the lease of a job if it is free
+ * A lease still held by this same instance isn't taken again either, so a
+ * slow run can't overlap the next tick.
+ * @param {String} name - Job name
+ * @param {String} owner - Instance identifier
+ * @param {Number} leaseMs - How long the lease lasts
+ * @returns {Promise<Boolean>} Whether the lease was taken
+ */
+jobLockSchema.statics.acquire = async function (name, owner, leaseMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      { _id: name, lockedUntil: { $lte: now } },
+      {
+        $set: {
+          owner,
+          lockedUntil: new Date(now.getTime() + leaseMs),
+          lastStartedAt: now,
+        },
+      },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    // The lease is held: the upsert collided with its document
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Give the lease back after a run
+ * @param {String} name - Job name
+ * @param {String} owner - Instance identifier
+ * @param {Error} error - Error the run ended with, if any
+ */
+jobLockSchema.statics.release = function (name, owner, error) {
+  return this.updateOne(
+    { _id: name, owner },
+    {
+      $set: {
+        lockedUntil: new Date(),
+        lastFinishedAt: new Date(),
+        lastError: error ? error.message : null,
+      },
+    }
+  );
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
@@ -1,4 +1,17 @@
 const mongoose = require("mongoose");
+const appConfig = require("../config/app");
+const errorCodes = require("../config/errorCodes");
+const AppError = require("../utils/appError");
+const { ORDER } = require("../utils/constants");
+const {
+  generateReceiptNumber,
+  formatAmountForRazorpay,
+  roundAmount,
+} = require("../utils/helper");
+
+// Orders created before this are past the pending TTL
+const pendingCutoff = () =>
+  new Date(Date.now() - appConfig.orders.pendingTtlMinutes * 60 * 1000);
 
 const orderSchema = new mongoose.Schema(
   {
@@ -18,6 +31,7 @@ const orderSchema = new mongoose.Schema(
           required: true,
           min: 1,
         },
+        // Unit price copied from the catalog when the order was placed
         price: {
           type: Number,
           required: true,
@@ -27,6 +41,29 @@ const orderSchema = new mongoose.Schema(
           type: mongoose.Schema.Types.ObjectId,
           ref: "Product",
         },
+        sku: {
+          type: String,
+        },
+        hsnCode: {
+          type: String,
+        },
+        taxClass: {
+          type: String,
+        },
+        // Share of the order discount taken off this line
+        discount: {
+          type: Number,
+          default: 0,
+        },
+        tax: {
+          rate: Number,
+          inclusive: Boolean,
+          taxableValue: Number,
+          cgst: Number,
+          sgst: Number,
+          igst: Number,
+          amount: Number,
+        },
       },
     ],
     totalAmount: {
@@ -39,18 +76,72 @@ const orderSchema = new mongoose.Schema(
       default: "INR",
       enum: ["INR"],
     },
+    // Total GST of the order
     tax: {
       type: Number,
       default: 0,
     },
+    // Part of `tax` already included in tax-inclusive item prices
+    includedTax: {
+      type: Number,
+      default: 0,
+    },
+    taxBreakdown: {
+      supplyType: String,
+      sellerState: String,
+      placeOfSupply: String,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+    },
+    // Shipping charged to the customer, including any COD surcharge
     shippingFee: {
       type: Number,
       default: 0,
     },
+    // How the shipping fee was worked out
+    shipping: {
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ShippingRule",
+      },
+      ruleName: {
+        type: String,
+      },
+      weight: {
+        type: Number,
+      },
+      baseFee: {
+        type: Number,
+      },
+      codSurcharge: {
+        type: Number,
+      },
+    },
     discount: {
       type: Number,
       default: 0,
     },
+    // Copy of finalAmount kept on save so listings can filter and sort by it
+    amount: {
+      type: Number,
+    },
+    // Coupon the discount came from
+    coupon: {
+      couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+      },
+      code: {
+        type: String,
+      },
+      type: {
+        type: String,
+      },
+      discount: {
+        type: Number,
+      },
+    },
     shippingAddress: {
       street: {
         type: String,
@@ -74,17 +165,69 @@ const orderSchema = new mongoose.Schema(
         default: "India",
       },
     },
+    paymentMethod: {
+      type: String,
+      enum: Object.values(ORDER.PAYMENT_METHODS),
+      default: ORDER.PAYMENT_METHODS.ONLINE,
+    },
+    // Only changed through transitionTo()
     status: {
       type: String,
-      enum: ["pending", "processing", "shipped", "delivered", "cancelled"],
-      default: "pending",
+      enum: Object.values(ORDER.STATUS),
+      default: ORDER.STATUS.PENDING,
     },
+    statusHistory: [
+      {
+        from: {
+          type: String,
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+        // User who made the change; empty for payments and system jobs
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        source: {
+          type: String,
+          enum: Object.values(ORDER.STATUS_SOURCES),
+        },
+        reason: {
+          type: String,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     notes: {
       type: String,
     },
     razorpayOrderId: {
       type: String,
     },
+    // Razorpay order was created with auto-capture off; payments stay
+    // authorized until captured by an admin or the settle-authorizations job
+    manualCapture: {
+      type: Boolean,
+      default: false,
+    },
+    // Set when something needs a person to look at it, e.g. a payment that
+    // arrived after the order expired and couldn't be refunded automatically
+    needsReview: {
+      type: Boolean,
+      default: false,
+    },
+    reviewReason: {
+      type: String,
+    },
+    receipt: {
+      type: String,
+      default: generateReceiptNumber,
+    },
     // If there are multiple payment attempts
     paymentAttempts: [
       {
@@ -97,7 +240,11 @@ const orderSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Payment",
     },
-    // If order is cancelled/refunded
+    // Start of the customer's cancellation window
+    paidAt: {
+      type: Date,
+    },
+    // Full refund started when a paid order is cancelled
     refund: {
       razorpayRefundId: {
         type: String,
@@ -107,11 +254,15 @@ const orderSchema = new mongoose.Schema(
       },
       status: {
         type: String,
-        enum: ["pending", "processed", "failed"],
+        enum: Object.values(ORDER.REFUND_STATUS),
       },
       reason: {
         type: String,
       },
+      requestedAt: {
+        type: Date,
+      },
+      // When Razorpay reported the refund as processed
       processedAt: {
         type: Date,
       },
@@ -123,61 +274,275 @@ const orderSchema = new mongoose.Schema(
 );
 
 // Virtual for calculating the final amount after discounts and taxes
+// GST that is already inside tax-inclusive prices isn't added again
 orderSchema.virtual("finalAmount").get(function () {
   return Number(
-    (this.totalAmount + this.tax + this.shippingFee - this.discount).toFixed(2)
+    (
+      this.totalAmount +
+      this.tax -
+      (this.includedTax || 0) +
+      this.shippingFee -
+      this.discount
+    ).toFixed(2)
   );
 });
 
+// What the customer paid for a whole line: its price less its share of the
+// discount, plus GST when it was added on top. Shipping isn't included.
+orderSchema.methods.linePaidAmount = function (item) {
+  const addedTax = item.tax && !item.tax.inclusive ? item.tax.amount || 0 : 0;
+  return roundAmount(item.price * item.quantity - (item.discount || 0) + addedTax);
+};
+
+// Whether the state machine allows moving to a status
+orderSchema.methods.canTransitionTo = function (status) {
+  return (ORDER.STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move the order to a new status and record it in statusHistory
+ * Doesn't save. Moving to the current status is a no-op so repeated
+ * webhooks are harmless.
+ * @param {String} status - Next status from ORDER.STATUS
+ * @param {Object} change - actor (user id), source and reason
+ * @returns {Boolean} Whether the status changed
+ * @throws {AppError} INVALID_STATUS_TRANSITION
+ */
+orderSchema.methods.transitionTo = function (
+  status,
+  { actor, source = ORDER.STATUS_SOURCES.SYSTEM, reason } = {}
+) {
+  if (this.status === status) return false;
+
+  if (!this.canTransitionTo(status)) {
+    throw new AppError(
+      errorCodes.INVALID_STATUS_TRANSITION,
+      `Cannot change order status from ${this.status} to ${status}`,
+      { from: this.status, to: status }
+    );
+  }
+
+  // Status the document had when it was loaded, checked again on save
+  if (!("statusFrom" in this.$locals)) {
+    this.$locals.statusFrom = this.status;
+  }
+
+  this.statusHistory.push({ from: this.status, to: status, actor, source, reason });
+  this.status = status;
+  this.$locals.statusTransition = status;
+  return true;
+};
+
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ user: 1, status: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ receipt: 1 });
+orderSchema.index({ needsReview: 1, createdAt: -1 });
+
+// Record the initial status and reject status changes that bypass transitionTo.
+// A status change is only written if the stored status is still the one the
+// change started from; otherwise save() fails with DocumentNotFoundError, so
+// e.g. the expiry job and a late payment can't both win.
+orderSchema.pre("save", function (next) {
+  this.amount = this.finalAmount;
+  this.$where = undefined;
+
+  if (this.isNew) {
+    if (!this.statusHistory.length) {
+      this.statusHistory.push({
+        to: this.status,
+        actor: this.user,
+        source: ORDER.STATUS_SOURCES.CUSTOMER,
+      });
+    }
+  } else if (
+    this.isModified("status") &&
+    this.$locals.statusTransition !== this.status
+  ) {
+    return next(new Error("Order status must be changed with transitionTo()"));
+  } else if (this.isModified("status")) {
+    this.$where = { status: this.$locals.statusFrom };
+  }
+
+  delete this.$locals.statusTransition;
+  delete this.$locals.statusFrom;
+  next();
+});
+
+// Status can't be written by update queries, which would skip the history
+orderSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate"],
+  function (next) {
+    const update = this.getUpdate() || {};
+    if ("status" in update || (update.$set && "status" in update.$set)) {
+      return next(new Error("Order status must be changed with transitionTo()"));
+    }
+    next();
+  }
+);
+
+// Create the Razorpay order for this order's final amount and save the link
+// High-value orders (payment.manualCapture.minAmount) are only authorized
+orderSchema.methods.createRazorpayOrder = async function (
+  razorpay,
+  { customerId, notes = {} } = {}
+) {
+  const { minAmount } = appConfig.payment.manualCapture;
+  this.manualCapture = minAmount > 0 && this.finalAmount >= minAmount;
+
+  const razorpayOrder = await razorpay.orders.create({
+    amount: formatAmountForRazorpay(this.finalAmount),
+    currency: this.currency,
+    receipt: this.receipt,
+    notes: {
+      ...notes,
+      orderId: this._id.toString(),
+      userId: this.user.toString(),
+    },
+    ...(customerId && { customer_id: customerId }),
+    payment_capture: this.manualCapture ? 0 : 1,
+  });
+
+  this.razorpayOrderId = razorpayOrder.id;
+  await this.save();
+
+  return razorpayOrder;
+};
+
+// Remember a payment attempt (successful or not) once
+orderSchema.methods.addPaymentAttempt = function (payment) {
+  if (!this.paymentAttempts.some((id) => id.equals(payment._id))) {
+    this.paymentAttempts.push(payment._id);
+  }
+};
+
 // Methods to update order status based on payment
 orderSchema.methods.updateOrderAfterPayment = async function (
   payment,
-  status = "processing"
+  status = ORDER.STATUS.PAID
 ) {
   this.payment = payment._id;
-  this.paymentAttempts.push(payment._id);
-  this.status = status;
+  this.paidAt = new Date();
+  this.addPaymentAttempt(payment);
+  this.transitionTo(status, { source: ORDER.STATUS_SOURCES.PAYMENT });
   return this.save();
 };
 
-// Method to initiate refund
-orderSchema.methods.initiateRefund = async function (razorpay, reason) {
-  if (!this.payment || !this.razorpayOrderId) {
-    throw new Error("Cannot refund order without a successful payment");
+// Whether a paid order is still inside the customer's cancellation window
+orderSchema.methods.isWithinCancellationWindow = function (now = Date.now()) {
+  const paidAt = this.paidAt || this.createdAt;
+  return (
+    now - paidAt.getTime() <=
+    appConfig.orders.cancellationWindowMinutes * 60 * 1000
+  );
+};
+
+/**
+ * Apply a final status Razorpay reported for the order's pending refund (or
+ * the auto-refund of its released authorization)
+ * A processed refund moves the order to refunded; a failed one flags it for
+ * review. Doesn't save.
+ * @param {String} status - Status from ORDER.REFUND_STATUS
+ * @returns {Boolean} Whether anything changed
+ */
+orderSchema.methods.setRefundStatus = function (status) {
+  if (
+    !this.refund ||
+    ![ORDER.REFUND_STATUS.PENDING, ORDER.REFUND_STATUS.AUTHORIZATION_RELEASED].includes(
+      this.refund.status
+    ) ||
+    status === ORDER.REFUND_STATUS.PENDING
+  ) {
+    return false;
   }
 
-  // Fetch the payment to get the payment ID
-  const payment = await mongoose.model("Payment").findById(this.payment);
+  this.refund.status = status;
 
-  if (!payment || !payment.razorpayPaymentId) {
-    throw new Error("Cannot find valid payment details for refund");
+  if (status === ORDER.REFUND_STATUS.PROCESSED) {
+    this.refund.processedAt = new Date();
+    if (this.canTransitionTo(ORDER.STATUS.REFUNDED)) {
+      this.transitionTo(ORDER.STATUS.REFUNDED, {
+        source: ORDER.STATUS_SOURCES.PAYMENT,
+        reason: this.refund.reason,
+      });
+    }
+  } else if (status === ORDER.REFUND_STATUS.FAILED) {
+    this.needsReview = true;
+    this.reviewReason = `Refund ${this.refund.razorpayRefundId} failed`;
   }
 
+  return true;
+};
+
+/**
+ * Refund the order's captured payment in full through Razorpay
+ * The refund is tracked on `refund` and in the payment's refunds; the
+ * refund.processed webhook finishes it. A payment that was only authorized
+ * is voided instead and the refund marked authorization_released until
+ * Razorpay's auto-refund of it is reported. If the refund can't be started
+ * it is recorded as failed, the order is flagged for review and the error
+ * is rethrown. Saves the order.
+ * @param {Object} razorpay - Razorpay instance
+ * @param {String} reason - Reason stored with the refund
+ * @returns {Promise<Object>} Saved order
+ */
+orderSchema.methods.initiateRefund = async function (
+  razorpay,
+  reason = "Customer requested refund"
+) {
+  this.refund = {
+    status: ORDER.REFUND_STATUS.PENDING,
+    reason,
+    requestedAt: new Date(),
+  };
+
   try {
+    const payment =
+      this.payment && (await mongoose.model("Payment").findById(this.payment));
+
+    if (payment && payment.status === "authorized") {
+      await payment.voidAuthorization(reason);
+      this.refund.amount = payment.amount;
+      this.refund.status = ORDER.REFUND_STATUS.AUTHORIZATION_RELEASED;
+      return this.save();
+    }
+
+    if (!payment || !payment.canRefund()) {
+      throw new Error("Order has no captured payment to refund");
+    }
+
+    const amount = payment.refundableAmount;
+    if (amount <= 0) {
+      throw new Error("Payment has already been refunded in full");
+    }
+
     const refund = await razorpay.payments.refund(payment.razorpayPaymentId, {
-      amount: payment.amount * 100, // Convert from INR to paise
+      amount: formatAmountForRazorpay(amount),
       notes: {
-        reason: reason || "Customer requested refund",
+        reason,
         orderId: this._id.toString(),
       },
     });
 
-    // Update the refund information
-    this.refund = {
-      razorpayRefundId: refund.id,
-      amount: refund.amount / 100, // Convert from paise to INR
-      status: "pending",
-      reason: reason || "Customer requested refund",
-      processedAt: new Date(),
-    };
-
-    this.status = "cancelled";
-    return await this.save();
+    this.refund.razorpayRefundId = refund.id;
+    this.refund.amount = refund.amount / 100;
+
+    // Instant refunds can come back already processed
+    const { entry } = await mongoose.model("Payment").saveRefund(payment, (current) =>
+      current.recordRefund(refund, { reason })
+    );
+
+    this.setRefundStatus(entry.status);
   } catch (error) {
-    this.refund = this.refund || {};
-    this.refund.status = "failed";
+    this.refund.status = ORDER.REFUND_STATUS.FAILED;
+    this.needsReview = true;
+    this.reviewReason = `Refund failed: ${error.message}`;
+    await this.save();
     throw new Error(`Refund failed: ${error.message}`);
   }
+
+  return this.save();
 };
 
 // Static method to find orders with pending payments
@@ -185,9 +550,58 @@ orderSchema.statics.findPendingPaymentOrders = function (userId) {
   return this.find({
     user: userId,
     payment: { $exists: false },
-    status: "pending", // Ensures only pending orders are fetched
-    createdAt: { $gt: new Date(Date.now() - 24 * 60 * 60 * 1000) }, // Last 24 hours
+    status: ORDER.STATUS.PENDING, // Ensures only pending orders are fetched
+    createdAt: { $gt: pendingCutoff() }, // Not expired yet
   }).sort({ createdAt: -1 });
 };
 
+// Unpaid orders older than the pending TTL, oldest first
+orderSchema.statics.findExpirable = function (limit) {
+  return this.find({
+    status: { $in: [ORDER.STATUS.PENDING, ORDER.STATUS.PAYMENT_FAILED] },
+    payment: { $exists: false },
+    createdAt: { $lte: pendingCutoff() },
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+};
+
+/**
+ * Fill in the stored amount of orders saved before it existed
+ * Same sum as the finalAmount virtual, done in the database so old orders
+ * match the amount filters and sort of order listings. Run on startup.
+ * @returns {Promise<Number>} Orders updated
+ */
+orderSchema.statics.backfillAmounts = async function () {
+  const orZero = (field) => ({ $ifNull: [field, 0] });
+  const result = await this.updateMany(
+    { amount: { $exists: false } },
+    [
+      {
+        $set: {
+          amount: {
+            $round: [
+              {
+                $subtract: [
+                  {
+                    $add: [
+                      orZero("$totalAmount"),
+                      orZero("$tax"),
+                      orZero("$shippingFee"),
+                    ],
+                  },
+                  { $add: [orZero("$includedTax"), orZero("$discount")] },
+                ],
+              },
+              2,
+            ],
+          },
+        },
+      },
+    ],
+    { timestamps: false }
+  );
+  return result.modifiedCount;
+};
+
 module.exports = mongoose.model("Order", orderSchema);
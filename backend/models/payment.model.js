@@ -1,5 +1,14 @@
 // payment.model.js
 const mongoose = require('mongoose');
+const { formatAmountForRazorpay, roundAmount } = require('../utils/helper');
+const { RAZORPAY } = require('../utils/constants');
+const { capturePayment } = require('../utils/razorpayUtils');
+
+const PAYMENT_METHODS = ['card', 'netbanking', 'wallet', 'upi', 'emi', 'cod', 'other'];
+const REFUND_STATUSES = ['pending', 'processed', 'failed'];
+
+// Tries of saveRefund before a conflicting refund is reported
+const REFUND_SAVE_ATTEMPTS = 3;
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -27,24 +36,49 @@ const paymentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['created', 'authorized', 'captured', 'failed', 'refunded'],
+      enum: [
+        'created',
+        'authorized',
+        'captured',
+        'failed',
+        'partially_refunded',
+        'refunded',
+        'voided',
+      ],
       default: 'created',
     },
+    capturedAt: {
+      type: Date,
+    },
+    // An authorization we decided not to capture. Razorpay has no call to
+    // release it; the customer gets the money back when it auto-refunds.
+    voidedAt: {
+      type: Date,
+    },
+    voidReason: {
+      type: String,
+    },
     method: {
       type: String,
-      enum: ['card', 'netbanking', 'wallet', 'upi', 'emi', 'other'],
+      enum: PAYMENT_METHODS,
     },
+    // Cash-on-delivery payments never go through Razorpay
     razorpayOrderId: {
       type: String,
-      required: true,
+      required: function() {
+        return this.method !== 'cod';
+      },
       index: true, // ✅ Indexing for faster queries
     },
     razorpayPaymentId: {
       type: String,
+      unique: true,
+      sparse: true,
     },
+    // Only set for payments verified from Checkout; payments first seen in a
+    // webhook don't come with a signature
     razorpaySignature: {
       type: String,
-      required: function() { return this.status === 'captured'; }, // ✅ Required if payment is successful
     },
     card: {
       last4: String,
@@ -67,6 +101,15 @@ const paymentSchema = new mongoose.Schema(
       provider: String,
       duration: Number,
     },
+    // Cash collected on delivery
+    cod: {
+      collectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      collectedAt: Date,
+      reference: String,
+    },
     recurring: {
       type: Boolean,
       default: false,
@@ -82,21 +125,45 @@ const paymentSchema = new mongoose.Schema(
       type: Map,
       of: String,
     },
+    // Refund ledger: one entry per Razorpay refund (see recordRefund) or
+    // money paid back outside Razorpay (see recordOfflineRefund)
     refunds: [
       {
         razorpayRefundId: {
           type: String,
-          required: true,
+          required: function() {
+            return !this.offline;
+          },
         },
+        // Paid back by staff, e.g. cash or bank transfer for a COD order
+        offline: {
+          type: Boolean,
+          default: false,
+        },
+        // Bank transfer or receipt reference of an offline refund
+        reference: String,
         amount: {
           type: Number,
           required: true,
         },
         status: {
           type: String,
-          enum: ['pending', 'processed', 'failed'],
+          enum: REFUND_STATUSES,
           default: 'pending',
         },
+        speed: {
+          type: String,
+          enum: Object.keys(RAZORPAY.REFUND_SPEEDS),
+        },
+        reason: String,
+        requestedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
       },
     ],
     receipt: {
@@ -112,12 +179,68 @@ const paymentSchema = new mongoose.Schema(
   }
 );
 
+// Open authorizations, oldest first, for the settle-authorizations job
+paymentSchema.index({ status: 1, createdAt: 1 });
+
+// One cash collection per order
+paymentSchema.index(
+  { order: 1, method: 1 },
+  { unique: true, partialFilterExpression: { method: 'cod' } }
+);
+
+// Refund ledger entries are only added if the stored ledger still has the
+// entries the payment was loaded with; otherwise save() fails with a
+// VersionError, so two refunds can't both be checked against the
+// same balance or overwrite each other. See saveRefund.
+paymentSchema.pre('save', function(next) {
+  this.$where = undefined;
+
+  if (!this.isNew && this.$locals.refundsFrom !== undefined) {
+    this.$where = { refunds: { $size: this.$locals.refundsFrom } };
+  }
+
+  delete this.$locals.refundsFrom;
+  next();
+});
+
+// Remember the ledger size the payment was loaded with before adding to it
+const addRefundEntry = (payment, entry) => {
+  if (payment.$locals.refundsFrom === undefined) {
+    payment.$locals.refundsFrom = payment.refunds.length;
+  }
+  payment.refunds.push(entry);
+  return payment.refunds[payment.refunds.length - 1];
+};
+
+// Refunded or on its way: pending refunds count too, so the same money
+// can't be refunded twice while Razorpay processes the first refund
 paymentSchema.virtual('refundedAmount').get(function() {
-  return this.refunds
-    .filter(refund => refund.status === 'processed')
-    .reduce((total, refund) => total + refund.amount, 0);
+  return roundAmount(
+    this.refunds
+      .filter(refund => refund.status !== 'failed')
+      .reduce((total, refund) => total + refund.amount, 0)
+  );
+});
+
+// What can still be refunded
+paymentSchema.virtual('refundableAmount').get(function() {
+  if (!['captured', 'partially_refunded'].includes(this.status)) return 0;
+  return Math.max(roundAmount(this.amount - this.refundedAmount), 0);
 });
 
+// Once refunds are processed a captured payment becomes partially_refunded
+// or refunded
+const updateRefundedStatus = (payment) => {
+  const processed = roundAmount(
+    payment.refunds
+      .filter(({ status }) => status === 'processed')
+      .reduce((total, { amount }) => total + amount, 0)
+  );
+  if (processed > 0 && ['captured', 'partially_refunded', 'refunded'].includes(payment.status)) {
+    payment.status = processed >= payment.amount ? 'refunded' : 'partially_refunded';
+  }
+};
+
 paymentSchema.methods.verifySignature = function(secret) {
   if (!this.razorpayPaymentId) return false;
 
@@ -131,11 +254,27 @@ paymentSchema.methods.verifySignature = function(secret) {
 };
 
 paymentSchema.methods.updateFromRazorpay = async function(paymentData) {
-  this.status = ['captured', 'authorized', 'refunded'].includes(paymentData.status) 
+  const status = ['captured', 'authorized', 'refunded'].includes(paymentData.status) 
     ? paymentData.status 
     : 'failed';
+
+  // A late payment.authorized/captured webhook must not undo a capture, a
+  // void or refunds already recorded
+  const laterStatuses = {
+    authorized: ['captured', 'partially_refunded', 'refunded', 'voided'],
+    captured: ['partially_refunded', 'refunded'],
+  };
+  if (!(laterStatuses[status] || []).includes(this.status)) {
+    this.status = status;
+  }
+  if (this.status === 'captured' && !this.capturedAt) {
+    this.capturedAt = new Date();
+  }
   
-  this.method = paymentData.method;
+  // Newer Razorpay methods (paylater, cardless_emi, ...) are stored as other
+  this.method = PAYMENT_METHODS.includes(paymentData.method)
+    ? paymentData.method
+    : 'other';
   this.razorpayPaymentId = paymentData.id;
   
   if (paymentData.card) {
@@ -172,6 +311,87 @@ paymentSchema.methods.updateFromRazorpay = async function(paymentData) {
   return this.save();
 };
 
+/**
+ * Capture an authorized payment in full
+ * @returns {Promise<Object>} Saved payment
+ */
+paymentSchema.methods.capture = async function() {
+  const paymentData = await capturePayment(
+    this.razorpayPaymentId,
+    formatAmountForRazorpay(this.amount),
+    this.currency
+  );
+  return this.updateFromRazorpay(paymentData);
+};
+
+/**
+ * Give up on capturing an authorized payment
+ * @param {String} reason - Why it won't be captured
+ * @returns {Promise<Object>} Saved payment
+ */
+paymentSchema.methods.voidAuthorization = function(reason) {
+  this.status = 'voided';
+  this.voidedAt = new Date();
+  this.voidReason = reason;
+  return this.save();
+};
+
+// Captured through Razorpay and not refunded in full yet
+paymentSchema.methods.canRefund = function() {
+  return (
+    Boolean(this.razorpayPaymentId) &&
+    ['captured', 'partially_refunded'].includes(this.status)
+  );
+};
+
+/**
+ * Add a Razorpay refund to the ledger, or update its entry
+ * The refund API response and refund webhooks arrive in any order, so an
+ * entry never goes back to pending. Once Razorpay has processed refunds the
+ * payment becomes partially_refunded or refunded. Doesn't save.
+ * @param {Object} refund - Razorpay refund entity
+ * @param {Object} details - speed, reason and requestedBy of a new refund
+ * @returns {Object} Ledger entry
+ */
+paymentSchema.methods.recordRefund = function(refund, details = {}) {
+  const status = REFUND_STATUSES.includes(refund.status) ? refund.status : 'pending';
+  let entry = this.refunds.find(({ razorpayRefundId }) => razorpayRefundId === refund.id);
+
+  if (!entry) {
+    entry = addRefundEntry(this, {
+      razorpayRefundId: refund.id,
+      amount: refund.amount / 100,
+      status,
+      ...details,
+    });
+  } else if (status !== 'pending') {
+    entry.status = status;
+  }
+
+  updateRefundedStatus(this);
+  return entry;
+};
+
+/**
+ * Add money paid back outside Razorpay to the ledger
+ * Cash-on-delivery payments never went through Razorpay, so their refunds
+ * are paid by staff and recorded here as processed. Doesn't save.
+ * @param {Number} amount - Amount paid back
+ * @param {Object} details - reference, reason and requestedBy
+ * @returns {Object} Ledger entry
+ */
+paymentSchema.methods.recordOfflineRefund = function(amount, details = {}) {
+  const entry = addRefundEntry(this, {
+    offline: true,
+    amount: roundAmount(amount),
+    status: 'processed',
+    ...details,
+  });
+
+  updateRefundedStatus(this);
+  return entry;
+};
+
 paymentSchema.methods.generateReceipt = async function() {
   if (!this.receipt) {
     this.receipt = 'RCPT-' + Date.now() + '-' + this._id.toString().slice(-6);
@@ -180,6 +400,97 @@ paymentSchema.methods.generateReceipt = async function() {
   return this.receipt;
 };
 
+/**
+ * Create or update the Payment for a Razorpay payment of an order
+ * Checkout verification and webhooks can report the same payment in any
+ * order, so both go through here and end up with one document.
+ * @param {Object} order - Local order the payment belongs to
+ * @param {Object} paymentData - Razorpay payment entity
+ * @param {String} signature - Checkout signature, when verified
+ * @returns {Promise<Object>} Saved payment
+ */
+paymentSchema.statics.recordRazorpayPayment = async function(order, paymentData, signature) {
+  let payment = await this.findOne({ razorpayPaymentId: paymentData.id });
+
+  if (!payment) {
+    payment = new this({
+      user: order.user,
+      order: order._id,
+      amount: paymentData.amount / 100,
+      currency: paymentData.currency,
+      razorpayOrderId: paymentData.order_id,
+      razorpayPaymentId: paymentData.id,
+    });
+  }
+
+  if (signature) {
+    payment.razorpaySignature = signature;
+  }
+
+  return payment.updateFromRazorpay(paymentData);
+};
+
+/**
+ * Record cash collected for a cash-on-delivery order
+ * Stored as a captured payment so COD and prepaid orders reconcile the same
+ * way. A second collection for the same order fails on the unique index.
+ * @param {Object} order - COD order
+ * @param {Object} collection - amount, collectedBy (user id) and reference
+ * @returns {Promise<Object>} Created payment
+ */
+paymentSchema.statics.recordCodCollection = function(order, { amount, collectedBy, reference }) {
+  return this.create({
+    user: order.user,
+    order: order._id,
+    amount,
+    currency: order.currency,
+    status: 'captured',
+    method: 'cod',
+    cod: {
+      collectedBy,
+      collectedAt: new Date(),
+      reference,
+    },
+  });
+};
+
+/**
+ * Add a refund to a payment's ledger and save the payment
+ * If another refund was added since the payment was loaded, the payment is
+ * loaded again and `record` runs on the fresh copy, so it sees the current
+ * balance and neither refund is lost. `record` can throw to give up, e.g.
+ * when the balance no longer covers the refund.
+ * @param {Object} payment - Loaded payment
+ * @param {Function} record - Adds the entry to the payment it is given and returns it
+ * @returns {Promise<Object>} { payment, entry } as saved
+ */
+paymentSchema.statics.saveRefund = async function(payment, record) {
+  for (let attempt = 1; ; attempt++) {
+    const entry = record(payment);
+
+    try {
+      await payment.save();
+      return { payment, entry };
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || attempt >= REFUND_SAVE_ATTEMPTS) {
+        throw error;
+      }
+    }
+
+    payment = await this.findById(payment._id);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+  }
+};
+
+// Authorizations older than the cutoff that were neither captured nor voided
+paymentSchema.statics.findOpenAuthorizations = function(before, limit) {
+  return this.find({ status: 'authorized', createdAt: { $lte: before } })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+};
+
 paymentSchema.statics.findByOrder = function(orderId) {
   return this.find({ order: orderId }).sort({ createdAt: -1 });
 };
@@ -0,0 +1,98 @@
+// product.model.js
+const mongoose = require('mongoose');
+const { PRODUCT, INVENTORY } = require('../utils/constants');
+
+/**
+ * Catalog entry; order lines are always priced from here, never from the client
+ */
+const productSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Product name is required'],
+      trim: true,
+    },
+    sku: {
+      type: String,
+      required: [true, 'SKU is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    // Unit price in rupees
+    price: {
+      type: Number,
+      required: [true, 'Price is required'],
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'INR',
+      enum: ['INR'],
+    },
+    taxClass: {
+      type: String,
+      enum: Object.values(PRODUCT.TAX_CLASSES),
+      default: PRODUCT.TAX_CLASSES.GST_18,
+    },
+    // HSN code for goods or SAC code for services, printed on GST invoices
+    hsnCode: {
+      type: String,
+      trim: true,
+      match: [/^\d{4,8}$/, 'HSN/SAC code must be 4 to 8 digits'],
+    },
+    // Shipping weight in kg, used by weight-based shipping rules
+    weight: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Overrides the store-wide tax.pricesIncludeTax setting when set
+    priceIncludesTax: {
+      type: Boolean,
+    },
+    // Products without inventory tracking can always be ordered
+    trackInventory: {
+      type: Boolean,
+      default: false,
+    },
+    // Units on hand, including units reserved by unpaid orders
+    stock: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Units held by placed but unpaid orders
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lowStockThreshold: {
+      type: Number,
+      default: INVENTORY.DEFAULT_LOW_STOCK_THRESHOLD,
+      min: 0,
+    },
+    // Inactive products stay in old orders but can't be bought
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Units that can still be ordered
+productSchema.virtual('available').get(function () {
+  return Math.max(this.stock - this.reserved, 0);
+});
+
+productSchema.index({ trackInventory: 1, stock: 1 });
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,437 @@
+// returnRequest.model.js
+const mongoose = require('mongoose');
+const errorCodes = require('../config/errorCodes');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { RETURN, ORDER } = require('../utils/constants');
+const { formatAmountForRazorpay, roundAmount } = require('../utils/helper');
+
+// Loaded lazily to avoid a require cycle with the order and product models
+const Product = () => mongoose.model('Product');
+const Payment = () => mongoose.model('Payment');
+
+/**
+ * A customer's request to send back some units of a shipped order
+ * requested -> approved | rejected; approved -> shipped -> received ->
+ * refunded. Received items can be put back into stock, and the refund is
+ * the pro rata share of what was paid for the returned units.
+ */
+const returnRequestSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    items: [
+      {
+        // _id of the line in order.items
+        orderItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+        },
+        name: {
+          type: String,
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        reason: {
+          type: String,
+          enum: Object.values(RETURN.REASONS),
+          default: RETURN.REASONS.OTHER,
+        },
+        // Share of the line's price, discount and GST for these units
+        refundAmount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+    comment: {
+      type: String,
+    },
+    // References (URLs) to photos of the items uploaded by the customer
+    photos: [
+      {
+        type: String,
+      },
+    ],
+    status: {
+      type: String,
+      enum: Object.values(RETURN.STATUS),
+      default: RETURN.STATUS.REQUESTED,
+    },
+    // Sum of the items' refundAmount
+    refundAmount: {
+      type: Number,
+      default: 0,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNote: {
+      type: String,
+    },
+    // How the customer is sending the items back
+    returnShipment: {
+      carrier: {
+        type: String,
+      },
+      trackingNumber: {
+        type: String,
+      },
+      shippedAt: {
+        type: Date,
+      },
+    },
+    receivedAt: {
+      type: Date,
+    },
+    // Whether the received units were put back into stock
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    refund: {
+      razorpayRefundId: {
+        type: String,
+      },
+      amount: {
+        type: Number,
+      },
+      status: {
+        type: String,
+        enum: Object.values(ORDER.REFUND_STATUS),
+      },
+      error: {
+        type: String,
+      },
+      // Paid back by staff outside Razorpay (cash-on-delivery orders)
+      manual: {
+        type: Boolean,
+        default: false,
+      },
+      // Bank transfer or receipt reference of a manual refund
+      reference: {
+        type: String,
+      },
+      processedAt: {
+        type: Date,
+      },
+    },
+  },
+  {
+    timestamps: true,
+    // Concurrent status changes fail with a VersionError instead of both
+    // going through (e.g. restocking a return twice)
+    optimisticConcurrency: true,
+  }
+);
+
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+returnRequestSchema.index({ 'refund.razorpayRefundId': 1 }, { sparse: true });
+
+/**
+ * Units of each order line already in a return that wasn't rejected, and
+ * the amount set aside for them
+ * @param {ObjectId} orderId - Order
+ * @returns {Promise<Map>} orderItem id -> { quantity, amount }
+ */
+returnRequestSchema.statics.returnedByLine = async function (orderId) {
+  const returns = await this.find({
+    order: orderId,
+    status: { $ne: RETURN.STATUS.REJECTED },
+  });
+
+  const returned = new Map();
+  for (const returnRequest of returns) {
+    for (const item of returnRequest.items) {
+      const key = item.orderItem.toString();
+      const line = returned.get(key) || { quantity: 0, amount: 0 };
+      line.quantity += item.quantity;
+      line.amount = roundAmount(line.amount + item.refundAmount);
+      returned.set(key, line);
+    }
+  }
+
+  return returned;
+};
+
+/**
+ * Request a return of some units of an order
+ * Each line's refund is its pro rata share of what was paid for the line;
+ * the last units of a line get whatever is left so rounding never refunds
+ * more than was paid.
+ * @param {Object} order - Shipped or delivered order
+ * @param {Object} request - items [{ orderItem, quantity, reason }], comment, photos
+ * @returns {Promise<Object>} Created return request
+ * @throws {AppError} VALIDATION_ERROR, RETURN_QUANTITY_EXCEEDED
+ */
+returnRequestSchema.statics.requestReturn = async function (
+  order,
+  { items, comment, photos = [] }
+) {
+  const returned = await this.returnedByLine(order._id);
+
+  const lines = items.map(({ orderItem, quantity, reason }) => {
+    const line = order.items.id(orderItem);
+    if (!line) {
+      throw new AppError(
+        errorCodes.VALIDATION_ERROR,
+        `Order has no item ${orderItem}`,
+        { orderItem }
+      );
+    }
+
+    const previous = returned.get(line._id.toString()) || { quantity: 0, amount: 0 };
+    const remaining = line.quantity - previous.quantity;
+    if (quantity > remaining) {
+      throw new AppError(
+        errorCodes.RETURN_QUANTITY_EXCEEDED,
+        `Only ${remaining} of ${line.name} can be returned`,
+        { orderItem, remaining }
+      );
+    }
+
+    const paid = order.linePaidAmount(line);
+    const refundAmount =
+      quantity === remaining
+        ? roundAmount(paid - previous.amount)
+        : roundAmount((paid * quantity) / line.quantity);
+
+    return {
+      orderItem: line._id,
+      product: line.product,
+      name: line.name,
+      quantity,
+      reason,
+      refundAmount,
+    };
+  });
+
+  return this.create({
+    order: order._id,
+    user: order.user,
+    items: lines,
+    comment,
+    photos,
+    refundAmount: roundAmount(
+      lines.reduce((total, line) => total + line.refundAmount, 0)
+    ),
+  });
+};
+
+/**
+ * Request a return of everything not returned yet
+ * Used when the customer cancels an order that has already shipped.
+ * @param {Object} order - Shipped or delivered order
+ * @param {String} comment - Customer's reason
+ * @returns {Promise<Object>} Created return request
+ * @throws {AppError} RETURN_ALREADY_REQUESTED
+ */
+returnRequestSchema.statics.requestForOrder = async function (order, comment) {
+  const returned = await this.returnedByLine(order._id);
+
+  const items = order.items
+    .map((line) => ({
+      orderItem: line._id,
+      quantity:
+        line.quantity - ((returned.get(line._id.toString()) || {}).quantity || 0),
+    }))
+    .filter((item) => item.quantity > 0);
+
+  if (!items.length) {
+    throw new AppError(errorCodes.RETURN_ALREADY_REQUESTED);
+  }
+
+  return this.requestReturn(order, { items, comment });
+};
+
+// Whether the return workflow allows moving to a status
+returnRequestSchema.methods.canTransitionTo = function (status) {
+  return (RETURN.STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move the return to a new status. Doesn't save.
+ * @param {String} status - Next status from RETURN.STATUS
+ * @throws {AppError} INVALID_RETURN_TRANSITION
+ */
+returnRequestSchema.methods.transitionTo = function (status) {
+  if (!this.canTransitionTo(status)) {
+    throw new AppError(
+      errorCodes.INVALID_RETURN_TRANSITION,
+      `Cannot change return status from ${this.status} to ${status}`,
+      { from: this.status, to: status }
+    );
+  }
+
+  this.status = status;
+};
+
+/**
+ * Put the returned units of tracked products back into stock
+ */
+returnRequestSchema.methods.restock = async function () {
+  await Promise.all(
+    this.items
+      .filter((item) => item.product)
+      .map((item) =>
+        Product().updateOne(
+          { _id: item.product, trackInventory: true },
+          { $inc: { stock: item.quantity } }
+        )
+      )
+  );
+  this.restocked = true;
+};
+
+/**
+ * Apply a final status Razorpay reported for the return's pending refund
+ * A processed refund completes the return. Doesn't save.
+ * @param {String} status - Status from ORDER.REFUND_STATUS
+ * @returns {Boolean} Whether anything changed
+ */
+returnRequestSchema.methods.setRefundStatus = function (status) {
+  if (
+    !this.refund ||
+    this.refund.status !== ORDER.REFUND_STATUS.PENDING ||
+    status === ORDER.REFUND_STATUS.PENDING
+  ) {
+    return false;
+  }
+
+  this.refund.status = status;
+
+  if (status === ORDER.REFUND_STATUS.PROCESSED) {
+    this.refund.processedAt = new Date();
+    this.transitionTo(RETURN.STATUS.REFUNDED);
+  }
+
+  return true;
+};
+
+/**
+ * Refund a received return through Razorpay
+ * Never refunds more than is left on the order's payment. A failure is
+ * recorded on `refund` so it can be retried, then rethrown. Returns of
+ * cash-on-delivery orders are left pending for staff to pay back and record
+ * with settleManualRefund(). Saves the return.
+ * @param {Object} razorpay - Razorpay instance
+ * @param {Object} order - Order of the return
+ * @returns {Promise<Object>} Saved return request
+ */
+returnRequestSchema.methods.issueRefund = async function (razorpay, order) {
+  this.refund = { status: ORDER.REFUND_STATUS.PENDING };
+
+  try {
+    const payment = order.payment && (await Payment().findById(order.payment));
+
+    if (payment && payment.method === 'cod') {
+      this.refund.manual = true;
+      return this.save();
+    }
+
+    if (!payment || !payment.canRefund()) {
+      throw new Error('Order has no captured payment to refund');
+    }
+
+    const amount = Math.min(this.refundAmount, payment.refundableAmount);
+
+    if (amount <= 0) {
+      throw new Error('Payment has already been refunded in full');
+    }
+
+    const refund = await razorpay.payments.refund(payment.razorpayPaymentId, {
+      amount: formatAmountForRazorpay(amount),
+      notes: {
+        reason: 'Return received',
+        orderId: order._id.toString(),
+        returnId: this._id.toString(),
+      },
+    });
+
+    this.refund.razorpayRefundId = refund.id;
+    this.refund.amount = refund.amount / 100;
+
+    // Instant refunds can come back already processed
+    const { entry } = await Payment().saveRefund(payment, (current) =>
+      current.recordRefund(refund, { reason: 'Return received' })
+    );
+
+    this.setRefundStatus(entry.status);
+  } catch (error) {
+    logger.error(`Refund of return ${this._id} failed: ${error.message}`);
+    this.refund.status = ORDER.REFUND_STATUS.FAILED;
+    this.refund.error = error.message;
+    await this.save();
+    throw new Error(`Refund failed: ${error.message}`);
+  }
+
+  return this.save();
+};
+
+/**
+ * Record the refund of a cash-on-delivery return paid back by staff
+ * The payment's offline ledger entry never exceeds what is left on it.
+ * Saves the payment and the return.
+ * @param {Object} order - Order of the return
+ * @param {Object} details - reference and requestedBy (staff user id)
+ * @returns {Promise<Object>} Saved return request
+ * @throws {AppError} REFUND_AMOUNT_EXCEEDED when nothing is left to refund
+ */
+returnRequestSchema.methods.settleManualRefund = async function (
+  order,
+  { reference, requestedBy }
+) {
+  const payment = order.payment && (await Payment().findById(order.payment));
+
+  if (!payment) {
+    throw new AppError(errorCodes.REFUND_AMOUNT_EXCEEDED, 'Nothing is left to refund on this order');
+  }
+
+  // Rerun on the current balance if another refund was saved first
+  const { entry } = await Payment().saveRefund(payment, (current) => {
+    const amount = Math.min(this.refundAmount, current.refundableAmount);
+    if (amount <= 0) {
+      throw new AppError(errorCodes.REFUND_AMOUNT_EXCEEDED, 'Nothing is left to refund on this order');
+    }
+
+    return current.recordOfflineRefund(amount, {
+      reference,
+      reason: 'Return received',
+      requestedBy,
+    });
+  });
+
+  this.refund = {
+    amount: entry.amount,
+    status: ORDER.REFUND_STATUS.PENDING,
+    manual: true,
+    reference,
+  };
+  this.setRefundStatus(ORDER.REFUND_STATUS.PROCESSED);
+  return this.save();
+};
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
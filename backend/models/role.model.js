@@ -0,0 +1,126 @@
+// role.model.js
+const mongoose = require('mongoose');
+const { PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+const CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain letters, numbers, "_" and "-"'],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    permissions: {
+      type: [String],
+      validate: {
+        validator: (permissions) =>
+          permissions.every((permission) =>
+            Object.values(PERMISSIONS).includes(permission)
+          ),
+        message: 'Unknown permission in role',
+      },
+    },
+    // Members must have 2FA enabled before their permissions apply
+    requireTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
+    // System roles can be edited but not deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+    // Default permissions a system role has been given so far; later
+    // releases only add the ones missing here, so removed ones stay removed
+    seededPermissions: {
+      type: [String],
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Drop cached lookups whenever a role changes
+roleSchema.post('save', (doc) => roleCache.delete(doc.name));
+roleSchema.post('findOneAndUpdate', (doc) => doc && roleCache.delete(doc.name));
+roleSchema.post('deleteOne', { document: true, query: false }, (doc) =>
+  roleCache.delete(doc.name)
+);
+
+// Insert the default roles that don't exist yet and give system roles the
+// default permissions added since they were last seeded
+roleSchema.statics.seedDefaults = async function () {
+  await Promise.all(
+    DEFAULT_ROLES.map(async ({ permissions, ...role }) => {
+      if (!role.isSystem) {
+        return this.updateOne(
+          { name: role.name },
+          { $setOnInsert: { ...role, permissions } },
+          { upsert: true }
+        );
+      }
+
+      const existing = await this.findOne({ name: role.name })
+        .select('+seededPermissions')
+        .lean();
+
+      if (!existing) {
+        return this.updateOne(
+          { name: role.name },
+          { $setOnInsert: { ...role, permissions, seededPermissions: permissions } },
+          { upsert: true }
+        );
+      }
+
+      const seeded = existing.seededPermissions || [];
+      const added = permissions.filter((permission) => !seeded.includes(permission));
+      if (!added.length) return null;
+
+      return this.updateOne(
+        { name: role.name },
+        {
+          $addToSet: {
+            permissions: { $each: added },
+            seededPermissions: { $each: added },
+          },
+        }
+      );
+    })
+  );
+};
+
+/**
+ * Resolve a role name to its permission set (cached briefly)
+ * @param {String} name - Role name stored on the user
+ * @returns {Promise<Object>} { permissions: [String], requireTwoFactor: Boolean }
+ */
+roleSchema.statics.resolve = async function (name) {
+  const cached = roleCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const role = await this.findOne({ name }).lean();
+  const value = role
+    ? {
+        permissions: role.permissions,
+        requireTwoFactor: role.requireTwoFactor,
+      }
+    : { permissions: [], requireTwoFactor: false };
+
+  roleCache.set(name, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+module.exports = mongoose.model('Role', roleSchema);
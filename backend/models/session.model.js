@@ -0,0 +1,161 @@
+// session.model.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { JWT } = require('../utils/constants');
+const { hashToken } = require('../utils/helper');
+
+/**
+ * A session is one refresh-token family: it is created at login and its
+ * refresh token is rotated on every refresh. Presenting a token that has
+ * already been rotated out revokes the whole family.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Only the hash of the current refresh token is stored
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    device: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    rotationCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Refresh tokens carry the session id so the family can be found on reuse
+const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+};
+
+const refreshExpiryDate = () => {
+  const days =
+    Number(process.env.JWT_REFRESH_EXPIRE_DAYS) || JWT.REFRESH_EXPIRES_IN_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Revoke this session (and with it every refresh token in its family)
+sessionSchema.methods.revoke = async function (reason) {
+  if (this.revokedAt) return this;
+
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Start a new session for a user and return it along with its refresh token
+sessionSchema.statics.createForUser = async function (userId, clientInfo = {}) {
+  const session = new this({
+    user: userId,
+    device: clientInfo.device,
+    ip: clientInfo.ip,
+    userAgent: clientInfo.userAgent,
+    expiresAt: refreshExpiryDate(),
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one
+ * Returns { session, refreshToken } on success, { reuseDetected: true } when a
+ * rotated-out token is replayed, or null when the token is unknown/expired.
+ */
+sessionSchema.statics.rotate = async function (refreshToken, clientInfo = {}) {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const newRefreshToken = generateRefreshToken(sessionId);
+
+  // Conditional update so two concurrent refreshes can't both succeed
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hashToken(refreshToken),
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        ip: clientInfo.ip,
+        userAgent: clientInfo.userAgent,
+        device: clientInfo.device,
+      },
+      $inc: { rotationCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: newRefreshToken };
+  }
+
+  // The family exists but the token doesn't match: an old token was replayed
+  const family = await this.findById(sessionId);
+  if (family && family.isActive) {
+    await family.revoke('token_reuse');
+    return { reuseDetected: true, session: family };
+  }
+
+  return null;
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
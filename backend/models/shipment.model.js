@@ -0,0 +1,355 @@
+// shipment.model.js
+const mongoose = require('mongoose');
+const errorCodes = require('../config/errorCodes');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { SHIPMENT, ORDER } = require('../utils/constants');
+
+// Loaded lazily to avoid a require cycle with the order model
+const Order = () => mongoose.model('Order');
+
+// Shipments that have left the warehouse
+const DISPATCHED = [
+  SHIPMENT.STATUS.IN_TRANSIT,
+  SHIPMENT.STATUS.OUT_FOR_DELIVERY,
+  SHIPMENT.STATUS.FAILED,
+  SHIPMENT.STATUS.DELIVERED,
+];
+
+/**
+ * A parcel (or set of packages) sent with one carrier under one AWB
+ * An order can go out in several shipments, each carrying some units of
+ * some lines. Carrier events move the shipment, and the shipments together
+ * move the order through processing, shipped and delivered.
+ */
+const shipmentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true,
+    },
+    // Name of the carrier adapter (see utils/carriers)
+    carrier: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    // AWB / tracking number
+    trackingNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    items: [
+      {
+        // _id of the line in order.items
+        orderItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        name: {
+          type: String,
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+      },
+    ],
+    packages: [
+      {
+        reference: {
+          type: String,
+        },
+        // Kilograms
+        weight: {
+          type: Number,
+          min: 0,
+        },
+        // Centimetres
+        length: Number,
+        width: Number,
+        height: Number,
+      },
+    ],
+    status: {
+      type: String,
+      enum: Object.values(SHIPMENT.STATUS),
+      default: SHIPMENT.STATUS.CREATED,
+    },
+    // Every status reported for the shipment, in the order received
+    events: [
+      {
+        status: {
+          type: String,
+          enum: Object.values(SHIPMENT.STATUS),
+          required: true,
+        },
+        description: {
+          type: String,
+        },
+        location: {
+          type: String,
+        },
+        // When it happened according to the carrier
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        source: {
+          type: String,
+          enum: Object.values(ORDER.STATUS_SOURCES),
+        },
+      },
+    ],
+    shippedAt: {
+      type: Date,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shipmentSchema.index({ carrier: 1, trackingNumber: 1 }, { unique: true });
+shipmentSchema.index({ status: 1, createdAt: -1 });
+
+// Whether a carrier or admin update can move the shipment to a status
+shipmentSchema.methods.canTransitionTo = function (status) {
+  return (SHIPMENT.STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Record a status event and move the shipment if the move is allowed
+ * Repeated deliveries of the same event are ignored. Doesn't save.
+ * @param {Object} event - status, description, location, at, source
+ * @returns {Boolean} Whether the shipment status changed
+ */
+shipmentSchema.methods.applyEvent = function ({
+  status,
+  description,
+  location,
+  at = new Date(),
+  source,
+}) {
+  const time = new Date(at).getTime();
+  const seen = this.events.some(
+    (event) => event.status === status && event.at.getTime() === time
+  );
+  if (seen) return false;
+
+  this.events.push({ status, description, location, at, source });
+
+  if (!this.canTransitionTo(status)) {
+    if (this.status !== status) {
+      logger.warn(
+        `Ignoring shipment ${this._id} status change ${this.status} -> ${status}`
+      );
+    }
+    return false;
+  }
+
+  this.status = status;
+  if (DISPATCHED.includes(status) && !this.shippedAt) {
+    this.shippedAt = at;
+  }
+  if (status === SHIPMENT.STATUS.DELIVERED) {
+    this.deliveredAt = at;
+  }
+  return true;
+};
+
+/**
+ * Move a shipment on an admin's request
+ * Unlike carrier events, a move that isn't allowed is an error.
+ * @throws {AppError} INVALID_SHIPMENT_TRANSITION
+ */
+shipmentSchema.methods.transitionTo = function (status, event = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new AppError(
+      errorCodes.INVALID_SHIPMENT_TRANSITION,
+      `Cannot change shipment status from ${this.status} to ${status}`,
+      { from: this.status, to: status }
+    );
+  }
+
+  this.applyEvent({ ...event, status });
+};
+
+/**
+ * Units of each order line in shipments that weren't cancelled
+ * @param {ObjectId} orderId - Order
+ * @param {Array} statuses - Only count shipments in these statuses
+ * @returns {Promise<Map>} orderItem id -> quantity
+ */
+shipmentSchema.statics.quantitiesByLine = async function (orderId, statuses) {
+  const shipments = await this.find({
+    order: orderId,
+    status: statuses ? { $in: statuses } : { $ne: SHIPMENT.STATUS.CANCELLED },
+  });
+
+  const quantities = new Map();
+  for (const shipment of shipments) {
+    for (const item of shipment.items) {
+      const key = item.orderItem.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }
+  }
+
+  return quantities;
+};
+
+/**
+ * Cancel an order's shipments that haven't been picked up yet
+ * Used when the order is cancelled, so a later carrier scan can't move them.
+ * @param {ObjectId} orderId - Cancelled order
+ * @param {Object} event - description and source of the cancellation
+ * @returns {Promise<Number>} Number of shipments cancelled
+ */
+shipmentSchema.statics.cancelForOrder = async function (orderId, event = {}) {
+  const shipments = await this.find({ order: orderId, status: SHIPMENT.STATUS.CREATED });
+
+  for (const shipment of shipments) {
+    shipment.transitionTo(SHIPMENT.STATUS.CANCELLED, event);
+    await shipment.save();
+  }
+
+  return shipments.length;
+};
+
+// Whether any part of an order has left the warehouse
+shipmentSchema.statics.isDispatched = function (orderId) {
+  return this.exists({ order: orderId, status: { $in: DISPATCHED } });
+};
+
+/**
+ * Create a shipment for some units of an order
+ * Without items, everything not in another shipment goes in this one.
+ * @param {Object} order - Paid or confirmed (COD) order
+ * @param {Object} shipment - carrier, trackingNumber, items [{ orderItem, quantity }], packages
+ * @returns {Promise<Object>} Created shipment
+ * @throws {AppError} SHIPMENT_NOT_ALLOWED, VALIDATION_ERROR, SHIPMENT_QUANTITY_EXCEEDED
+ */
+shipmentSchema.statics.createForOrder = async function (
+  order,
+  { carrier, trackingNumber, items, packages = [] }
+) {
+  if (
+    ![
+      ORDER.STATUS.CONFIRMED,
+      ORDER.STATUS.PAID,
+      ORDER.STATUS.PROCESSING,
+      ORDER.STATUS.SHIPPED,
+    ].includes(order.status)
+  ) {
+    throw new AppError(
+      errorCodes.SHIPMENT_NOT_ALLOWED,
+      `Cannot ship order with status: ${order.status}`
+    );
+  }
+
+  const shipped = await this.quantitiesByLine(order._id);
+  const remaining = (line) => line.quantity - (shipped.get(line._id.toString()) || 0);
+
+  const requested =
+    items ||
+    order.items
+      .map((line) => ({ orderItem: line._id, quantity: remaining(line) }))
+      .filter((item) => item.quantity > 0);
+
+  const lines = requested.map(({ orderItem, quantity }) => {
+    const line = order.items.id(orderItem);
+    if (!line) {
+      throw new AppError(
+        errorCodes.VALIDATION_ERROR,
+        `Order has no item ${orderItem}`,
+        { orderItem }
+      );
+    }
+
+    if (quantity > remaining(line)) {
+      throw new AppError(
+        errorCodes.SHIPMENT_QUANTITY_EXCEEDED,
+        `Only ${remaining(line)} of ${line.name} are left to ship`,
+        { orderItem, remaining: remaining(line) }
+      );
+    }
+
+    return { orderItem: line._id, name: line.name, quantity };
+  });
+
+  if (!lines.length) {
+    throw new AppError(
+      errorCodes.SHIPMENT_QUANTITY_EXCEEDED,
+      'Every item of this order is already in a shipment'
+    );
+  }
+
+  return this.create({
+    order: order._id,
+    carrier,
+    trackingNumber,
+    items: lines,
+    packages,
+  });
+};
+
+/**
+ * Move an order forward to match its shipments
+ * processing once anything has been dispatched, shipped once every unit
+ * has, delivered once every unit has been delivered. A shipment returned
+ * to sender flags the order for review.
+ * @param {ObjectId} orderId - Order
+ * @param {Object} change - source and reason for the status history
+ * @returns {Promise<Object|null>} The order, saved if it changed
+ */
+shipmentSchema.statics.syncOrder = async function (orderId, { source, reason } = {}) {
+  const order = await Order().findById(orderId);
+  if (!order) return null;
+
+  const [dispatched, delivered, returned] = await Promise.all([
+    this.quantitiesByLine(orderId, DISPATCHED),
+    this.quantitiesByLine(orderId, [SHIPMENT.STATUS.DELIVERED]),
+    this.exists({ order: orderId, status: SHIPMENT.STATUS.RETURNED }),
+  ]);
+
+  const covers = (quantities) =>
+    order.items.every(
+      (line) => (quantities.get(line._id.toString()) || 0) >= line.quantity
+    );
+
+  let target = null;
+  if (covers(delivered)) target = ORDER.STATUS.DELIVERED;
+  else if (covers(dispatched)) target = ORDER.STATUS.SHIPPED;
+  else if (dispatched.size) target = ORDER.STATUS.PROCESSING;
+
+  let changed = false;
+
+  // Step through the statuses in between so each gets a history entry
+  const steps = [ORDER.STATUS.PROCESSING, ORDER.STATUS.SHIPPED, ORDER.STATUS.DELIVERED];
+  for (const step of steps.slice(0, steps.indexOf(target) + 1)) {
+    if (order.canTransitionTo(step)) {
+      order.transitionTo(step, { source, reason });
+      changed = true;
+    }
+  }
+
+  if (returned && !order.needsReview) {
+    order.needsReview = true;
+    order.reviewReason = 'A shipment was returned to sender';
+    changed = true;
+  }
+
+  if (changed) await order.save();
+  return order;
+};
+
+module.exports = mongoose.model('Shipment', shipmentSchema);
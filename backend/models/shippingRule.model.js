@@ -0,0 +1,141 @@
+// shippingRule.model.js
+const mongoose = require('mongoose');
+const { SHIPPING } = require('../utils/constants');
+
+/**
+ * Shipping-rate rule
+ * Rules are tried in priority order (lowest first); the first one whose
+ * destination matches prices the shipment. A rule with no states and no PIN
+ * prefixes matches every address.
+ */
+const shippingRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+    },
+    priority: {
+      type: Number,
+      default: 100,
+      index: true,
+    },
+    // Destination match: state names (case-insensitive) and/or PIN code prefixes
+    states: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    pinPrefixes: [
+      {
+        type: String,
+        match: [/^\d{1,6}$/, 'PIN prefix must be 1 to 6 digits'],
+      },
+    ],
+    // Lets a rule mark a region as not deliverable
+    serviceable: {
+      type: Boolean,
+      default: true,
+    },
+    rateType: {
+      type: String,
+      enum: Object.values(SHIPPING.RATE_TYPES),
+      default: SHIPPING.RATE_TYPES.FLAT,
+    },
+    // Fee for flat rules, and the starting fee for weight/value rules
+    baseFee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Weight rules: fee of the first tier the order weight (kg) fits in
+    weightTiers: [
+      {
+        maxWeight: { type: Number, required: true, min: 0 },
+        fee: { type: Number, required: true, min: 0 },
+      },
+    ],
+    // Weight rules: charged per started kg above the last tier
+    extraPerKg: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Value rules: fee of the highest tier the order value reaches
+    valueTiers: [
+      {
+        minOrderValue: { type: Number, required: true, min: 0 },
+        fee: { type: Number, required: true, min: 0 },
+      },
+    ],
+    // Orders worth at least this much ship free (COD surcharge still applies)
+    freeShippingThreshold: {
+      type: Number,
+      min: 0,
+    },
+    codSurcharge: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Whether cash on delivery is offered in this region
+    codAvailable: {
+      type: Boolean,
+      default: true,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const normalizeState = (state) => String(state || '').trim().toLowerCase();
+
+// Whether the rule covers a shipping address
+shippingRuleSchema.methods.matches = function ({ state, zipCode }) {
+  if (!this.states.length && !this.pinPrefixes.length) return true;
+
+  const pin = String(zipCode || '');
+  return (
+    this.states.some((item) => normalizeState(item) === normalizeState(state)) ||
+    this.pinPrefixes.some((prefix) => pin.startsWith(prefix))
+  );
+};
+
+/**
+ * Shipping fee before the COD surcharge
+ * @param {Object} order - weight (kg) and value (goods subtotal)
+ * @returns {Number} Fee in rupees
+ */
+shippingRuleSchema.methods.calculateFee = function ({ weight, value }) {
+  if (this.freeShippingThreshold != null && value >= this.freeShippingThreshold) {
+    return 0;
+  }
+
+  switch (this.rateType) {
+    case SHIPPING.RATE_TYPES.WEIGHT: {
+      const tiers = [...this.weightTiers].sort((a, b) => a.maxWeight - b.maxWeight);
+      const tier = tiers.find((item) => weight <= item.maxWeight);
+      if (tier) return this.baseFee + tier.fee;
+
+      const last = tiers[tiers.length - 1];
+      const extraKg = last ? Math.ceil(weight - last.maxWeight) : Math.ceil(weight);
+      return this.baseFee + (last ? last.fee : 0) + extraKg * this.extraPerKg;
+    }
+    case SHIPPING.RATE_TYPES.VALUE: {
+      const tier = [...this.valueTiers]
+        .sort((a, b) => b.minOrderValue - a.minOrderValue)
+        .find((item) => value >= item.minOrderValue);
+      return this.baseFee + (tier ? tier.fee : 0);
+    }
+    default:
+      return this.baseFee;
+  }
+};
+
+module.exports = mongoose.model('ShippingRule', shippingRuleSchema);
@@ -0,0 +1,201 @@
+// stockReservation.model.js
+const mongoose = require('mongoose');
+const errorCodes = require('../config/errorCodes');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { INVENTORY } = require('../utils/constants');
+
+const { RESERVED, COMMITTED, RELEASED } = INVENTORY.RESERVATION_STATUS;
+
+/**
+ * Stock held by an order
+ * Reserved when the order is placed, committed when it is paid and released
+ * when the payment fails or the order is cancelled or expires. Only lines of
+ * products with inventory tracking are included.
+ */
+const stockReservationSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      unique: true,
+    },
+    lines: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: Object.values(INVENTORY.RESERVATION_STATUS),
+      default: RESERVED,
+    },
+    // Unpaid orders expire at this time and give the stock back
+    expiresAt: {
+      type: Date,
+    },
+    committedAt: {
+      type: Date,
+    },
+    releasedAt: {
+      type: Date,
+    },
+    releasedReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const Product = () => mongoose.model('Product');
+
+// Take units off the available stock, only if that many are available
+const holdUnits = (productId, quantity) =>
+  Product().findOneAndUpdate(
+    {
+      _id: productId,
+      trackInventory: true,
+      $expr: { $gte: [{ $subtract: ['$stock', '$reserved'] }, quantity] },
+    },
+    { $inc: { reserved: quantity } },
+    { new: true }
+  );
+
+// Give held units back
+const unholdUnits = (productId, quantity) =>
+  Product().updateOne(
+    { _id: productId, reserved: { $gte: quantity } },
+    { $inc: { reserved: -quantity } }
+  );
+
+/**
+ * Reserve stock for an order's lines
+ * Each line is held with a conditional $inc, so concurrent checkouts can't
+ * oversell; if any line can't be held, the lines already held are given back.
+ * @param {Object} order - Order being placed
+ * @param {Date} expiresAt - When the reservation lapses
+ * @returns {Promise<Object|null>} Reservation, or null if nothing is tracked
+ * @throws {AppError} OUT_OF_STOCK
+ */
+stockReservationSchema.statics.reserve = async function (order, expiresAt) {
+  const productIds = order.items.map((item) => item.product).filter(Boolean);
+  const tracked = await Product()
+    .find({ _id: { $in: productIds }, trackInventory: true })
+    .distinct('_id');
+  const trackedIds = new Set(tracked.map(String));
+
+  const lines = order.items
+    .filter((item) => item.product && trackedIds.has(String(item.product)))
+    .map((item) => ({ product: item.product, quantity: item.quantity }));
+
+  if (!lines.length) return null;
+
+  const held = [];
+  try {
+    for (const line of lines) {
+      const product = await holdUnits(line.product, line.quantity);
+
+      if (!product) {
+        const current = await Product().findById(line.product);
+        throw new AppError(
+          errorCodes.OUT_OF_STOCK,
+          `Only ${current ? current.available : 0} left of ${current ? current.name : 'a product'}`,
+          { productId: line.product, available: current ? current.available : 0 }
+        );
+      }
+
+      held.push(line);
+    }
+
+    return await this.create({ order: order._id, lines, expiresAt });
+  } catch (error) {
+    await Promise.all(held.map((line) => unholdUnits(line.product, line.quantity)));
+    throw error;
+  }
+};
+
+/**
+ * Turn the reservation of a paid order into a permanent decrement
+ * A reservation that was already released (e.g. the first payment attempt
+ * failed) is taken off the stock anyway: the customer has paid, so the
+ * units are owed even if that oversells.
+ * @param {Object} order - Paid order
+ */
+stockReservationSchema.statics.commit = async function (order) {
+  const reserved = await this.findOneAndUpdate(
+    { order: order._id, status: RESERVED },
+    { $set: { status: COMMITTED, committedAt: new Date() } },
+    { new: true }
+  );
+
+  if (reserved) {
+    await Promise.all(
+      reserved.lines.map((line) =>
+        Product().updateOne(
+          { _id: line.product },
+          { $inc: { stock: -line.quantity, reserved: -line.quantity } }
+        )
+      )
+    );
+    return reserved;
+  }
+
+  const released = await this.findOneAndUpdate(
+    { order: order._id, status: RELEASED },
+    { $set: { status: COMMITTED, committedAt: new Date() }, $unset: { releasedAt: 1 } },
+    { new: true }
+  );
+
+  if (released) {
+    await Promise.all(
+      released.lines.map((line) =>
+        Product().updateOne({ _id: line.product }, { $inc: { stock: -line.quantity } })
+      )
+    );
+    logger.warn(`Stock re-taken for paid order ${order._id} after its reservation was released`);
+  }
+
+  return released;
+};
+
+/**
+ * Give the stock of an order back
+ * Reserved units become available again; committed units are put back on
+ * the shelf. Safe to call repeatedly; stock is only returned once.
+ * @param {Object} order - Order whose payment failed or that was cancelled/expired
+ * @param {String} reason - Why the stock was released
+ */
+stockReservationSchema.statics.release = async function (order, reason) {
+  const previous = await this.findOneAndUpdate(
+    { order: order._id, status: { $in: [RESERVED, COMMITTED] } },
+    { $set: { status: RELEASED, releasedAt: new Date(), releasedReason: reason } }
+  );
+
+  if (!previous) return null;
+
+  await Promise.all(
+    previous.lines.map((line) =>
+      previous.status === RESERVED
+        ? unholdUnits(line.product, line.quantity)
+        : Product().updateOne({ _id: line.product }, { $inc: { stock: line.quantity } })
+    )
+  );
+
+  return previous;
+};
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const {
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION,
+  LOGIN_SECURITY,
+  USER,
+} = require('../utils/constants');
+const { hashToken, encrypt, decrypt } = require('../utils/helper');
+const totp = require('../utils/totp');
 
 const userSchema = new mongoose.Schema(
   {
@@ -37,6 +46,11 @@ const userSchema = new mongoose.Schema(
     },
     addresses: [
       {
+        type: {
+          type: String,
+          enum: Object.values(USER.ADDRESS_TYPES),
+          default: USER.ADDRESS_TYPES.HOME,
+        },
         street: {
           type: String,
           required: true,
@@ -64,10 +78,41 @@ const userSchema = new mongoose.Schema(
         },
       },
     ],
+    // New accounts start unverified. Accounts created before email
+    // verification existed have no value stored and count as verified.
+    verified: {
+      type: Boolean,
+      default: function () {
+        return !this.isNew;
+      },
+    },
+    verifiedAt: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      enum: Object.values(USER.STATUS),
+      default: USER.STATUS.ACTIVE,
+      index: true,
+    },
+    suspension: {
+      reason: {
+        type: String,
+      },
+      suspendedAt: {
+        type: Date,
+      },
+      suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+    // Name of a Role document; permissions are resolved from it
     role: {
       type: String,
-      enum: ['user', 'admin'],
       default: 'user',
+      lowercase: true,
+      trim: true,
     },
     paymentMethods: [
       {
@@ -88,6 +133,19 @@ const userSchema = new mongoose.Schema(
         vpa: {
           type: String,
         },
+        // Card network, or bank/wallet name for other methods
+        network: {
+          type: String,
+        },
+        bank: {
+          type: String,
+        },
+        wallet: {
+          type: String,
+        },
+        expiresAt: {
+          type: Date,
+        },
         isDefault: {
           type: Boolean,
           default: false,
@@ -97,12 +155,100 @@ const userSchema = new mongoose.Schema(
     razorpayCustomerId: {
       type: String,
     },
+    // TOTP two-factor authentication; secrets are encrypted at rest
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation during enrolment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted time step, so a code can't be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    // Brute-force protection: counts failures since the last success/lockout
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // Number of lockouts since the last successful login (drives the backoff)
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    // Set whenever the password changes; tokens issued before it are rejected
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Only the SHA-256 hash of the reset token is stored
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+userSchema.virtual('isSuspended').get(function () {
+  return this.status === USER.STATUS.SUSPENDED;
+});
+
+// Whether the account is currently locked out
+userSchema.virtual('isLocked').get(function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Flag exactly one item of a non-empty list as the default
+const keepSingleDefault = (items) => {
+  if (!items.length) return;
+
+  const defaults = items.filter((item) => item.isDefault);
+  if (defaults.length !== 1) {
+    // Prefer the most recently flagged item, else the first one
+    const keep = defaults.length ? defaults[defaults.length - 1] : items[0];
+    items.forEach((item) => {
+      item.isDefault = item._id.equals(keep._id);
+    });
+  }
+};
+
+// Keep exactly one default address and payment method
+userSchema.pre('save', function (next) {
+  if (this.isModified('addresses')) keepSingleDefault(this.addresses);
+  if (this.isModified('paymentMethods')) keepSingleDefault(this.paymentMethods);
+  return next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
@@ -110,6 +256,11 @@ userSchema.pre('save', async function (next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Backdate by a second so a token issued right after the change stays valid
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     return next();
   } catch (error) {
     return next(error);
@@ -121,6 +272,190 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Seconds until the lockout ends
+userSchema.methods.lockRemainingSeconds = function () {
+  if (!this.isLocked) return 0;
+  return Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000);
+};
+
+/**
+ * Record a failed login attempt
+ * Uses atomic updates so attempts spread over many IPs/instances all count.
+ * Locks the account with exponential backoff once the threshold is reached.
+ * @returns {Promise} Resolves to the updated user
+ */
+userSchema.statics.registerFailedLogin = async function (userId) {
+  const user = await this.findByIdAndUpdate(
+    userId,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: new Date() },
+    },
+    { new: true }
+  );
+
+  if (!user || user.failedLoginAttempts < LOGIN_SECURITY.MAX_FAILED_ATTEMPTS) {
+    return user;
+  }
+
+  const lockMinutes = Math.min(
+    LOGIN_SECURITY.BASE_LOCK_MINUTES * 2 ** user.lockCount,
+    LOGIN_SECURITY.MAX_LOCK_MINUTES
+  );
+
+  // Only the request that crossed the threshold applies the lock
+  const locked = await this.findOneAndUpdate(
+    { _id: userId, failedLoginAttempts: user.failedLoginAttempts },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000),
+      },
+      $inc: { lockCount: 1 },
+    },
+    { new: true }
+  );
+
+  return locked || this.findById(userId);
+};
+
+// Clear failed attempts and any lock (successful login or admin unlock)
+userSchema.statics.resetLoginAttempts = function (userId) {
+  return this.updateOne(
+    { _id: userId },
+    {
+      $set: { failedLoginAttempts: 0, lockCount: 0 },
+      $unset: { lockUntil: 1 },
+    }
+  );
+};
+
+// Make one address the default and clear the flag on the others
+userSchema.methods.setDefaultAddress = function (addressId) {
+  const address = this.addresses.id(addressId);
+  if (!address) return null;
+
+  this.addresses.forEach((item) => {
+    item.isDefault = item._id.equals(address._id);
+  });
+  return address;
+};
+
+// Copy a saved address into the shape stored on orders
+userSchema.methods.getShippingAddress = function (addressId) {
+  const address = this.addresses.id(addressId);
+  if (!address) return null;
+
+  const { street, city, state, zipCode, country } = address;
+  return { street, city, state, zipCode, country };
+};
+
+// Start 2FA enrolment; returns the plain secret to show to the user
+userSchema.methods.startTwoFactorSetup = function () {
+  const secret = totp.generateSecret();
+  this.twoFactor.pendingSecret = encrypt(secret);
+  return secret;
+};
+
+// Confirm enrolment with a code from the app; returns plain recovery codes
+userSchema.methods.confirmTwoFactorSetup = function (code) {
+  if (!this.twoFactor.pendingSecret) return null;
+
+  const secret = decrypt(this.twoFactor.pendingSecret);
+  const step = totp.verifyTotp(secret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = totp.generateRecoveryCodes();
+
+  this.twoFactor.enabled = true;
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.recoveryCodes = recoveryCodes.map(hashToken);
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabledAt = new Date();
+
+  return recoveryCodes;
+};
+
+// Replace the recovery codes; returns the new plain codes
+userSchema.methods.regenerateRecoveryCodes = function () {
+  const recoveryCodes = totp.generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = recoveryCodes.map(hashToken);
+  return recoveryCodes;
+};
+
+userSchema.methods.disableTwoFactor = function () {
+  this.twoFactor = { enabled: false };
+};
+
+/**
+ * Verify a TOTP code or a recovery code for a user
+ * Requires +twoFactor.secret +twoFactor.lastUsedStep to be selected.
+ * Both checks are atomic so a code can't be used twice concurrently.
+ * @returns {Promise<Boolean>} Whether the code was accepted
+ */
+userSchema.statics.verifyTwoFactor = async function (user, { code, recoveryCode }) {
+  if (!user.twoFactor || !user.twoFactor.enabled) return false;
+
+  if (recoveryCode) {
+    const hashedCode = hashToken(recoveryCode.trim().toLowerCase());
+    const result = await this.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hashedCode },
+      { $pull: { 'twoFactor.recoveryCodes': hashedCode } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const step = totp.verifyTotp(decrypt(user.twoFactor.secret), code);
+  if (step === null) return false;
+
+  // Only accept steps newer than the last used one (replay protection)
+  const result = await this.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+      ],
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Check whether the password was changed after a token was issued
+userSchema.methods.changedPasswordAfter = function (jwtTimestamp) {
+  if (!this.passwordChangedAt) return false;
+
+  const changedTimestamp = Math.floor(this.passwordChangedAt.getTime() / 1000);
+  return jwtTimestamp < changedTimestamp;
+};
+
+// Generate a single-use password reset token (returns the plain token)
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(PASSWORD_RESET.TOKEN_BYTES).toString('hex');
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(
+    Date.now() + PASSWORD_RESET.EXPIRES_IN_MINUTES * 60 * 1000
+  );
+
+  return resetToken;
+};
+
+// Generate a signed email verification token bound to the current email
+userSchema.methods.generateEmailVerificationToken = function () {
+  return jwt.sign(
+    {
+      id: this._id,
+      email: this.email,
+      purpose: EMAIL_VERIFICATION.TOKEN_PURPOSE,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION.EXPIRES_IN }
+  );
+};
+
 // Generate JWT token
 userSchema.methods.generateAuthToken = function () {
   return jwt.sign(
@@ -137,10 +472,12 @@ userSchema.methods.ensureRazorpayCustomer = async function (razorpay) {
   if (this.razorpayCustomerId) return this.razorpayCustomerId;
 
   try {
+    // fail_existing: 0 returns the existing customer for this email instead of failing
     const customer = await razorpay.customers.create({
       name: this.name,
       email: this.email,
       contact: this.phone,
+      fail_existing: 0,
     });
 
     this.razorpayCustomerId = customer.id;
@@ -152,4 +489,50 @@ userSchema.methods.ensureRazorpayCustomer = async function (razorpay) {
   }
 };
 
+// Add or refresh a saved payment method from a Razorpay token entity
+userSchema.methods.upsertPaymentMethod = function (token) {
+  const details = {
+    type: token.method,
+    token: token.id,
+    last4: token.card ? token.card.last4 : undefined,
+    network: token.card ? token.card.network : undefined,
+    vpa: token.vpa ? `${token.vpa.username}@${token.vpa.handle}` : undefined,
+    bank: token.bank || undefined,
+    wallet: token.wallet || undefined,
+    expiresAt: token.expired_at ? new Date(token.expired_at * 1000) : undefined,
+  };
+
+  const existing = this.paymentMethods.find((method) => method.token === token.id);
+  if (existing) {
+    existing.set(details);
+    return existing;
+  }
+
+  this.paymentMethods.push(details);
+  return this.paymentMethods[this.paymentMethods.length - 1];
+};
+
+// Make one saved payment method the default
+userSchema.methods.setDefaultPaymentMethod = function (methodId) {
+  const method = this.paymentMethods.id(methodId);
+  if (!method) return null;
+
+  this.paymentMethods.forEach((item) => {
+    item.isDefault = item._id.equals(method._id);
+  });
+  return method;
+};
+
+// Saved payment methods as offered to Razorpay Checkout (no token ids)
+userSchema.methods.getCheckoutPaymentMethods = function () {
+  return this.paymentMethods.map((method) => ({
+    id: method._id,
+    type: method.type,
+    last4: method.last4,
+    network: method.network,
+    vpa: method.vpa,
+    isDefault: method.isDefault,
+  }));
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
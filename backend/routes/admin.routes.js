@@ -0,0 +1,375 @@
+const express = require("express");
+const router = express.Router();
+const adminController = require("../controllers/admin.controller");
+const orderController = require("../controllers/order.Controller");
+const roleController = require("../controllers/role.controller");
+const productController = require("../controllers/product.controller");
+const couponController = require("../controllers/coupon.controller");
+const shippingController = require("../controllers/shipping.controller");
+const returnController = require("../controllers/return.controller");
+const shipmentController = require("../controllers/shipment.controller");
+const paymentController = require("../controllers/payment.Controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const validationMiddleware = require("../middleware/validation.middleware");
+const { PERMISSIONS } = require("../config/permissions");
+
+/**
+ * Admin Routes
+ * Every route requires authentication plus the permission named on it
+ */
+router.use(authMiddleware.protect);
+
+// List users with search, filters and pagination
+router.get(
+  "/users",
+  authMiddleware.requirePermission(PERMISSIONS.USERS_READ),
+  validationMiddleware.validateUserQuery,
+  adminController.getUsers
+);
+
+// List locked accounts
+router.get(
+  "/users/locked",
+  authMiddleware.requirePermission(PERMISSIONS.USERS_READ),
+  adminController.getLockedUsers
+);
+
+// Get the lock state of a user
+router.get(
+  "/users/:userId/lock",
+  authMiddleware.requirePermission(PERMISSIONS.USERS_READ),
+  validationMiddleware.validateUserId,
+  adminController.getUserLockStatus
+);
+
+// Unlock a user
+router.post(
+  "/users/:userId/unlock",
+  authMiddleware.requirePermission(PERMISSIONS.USERS_MANAGE),
+  validationMiddleware.validateUserId,
+  adminController.unlockUser
+);
+
+// Get a single user
+router.get(
+  "/users/:userId",
+  authMiddleware.requirePermission(PERMISSIONS.USERS_READ),
+  validationMiddleware.validateUserId,
+  adminController.getUser
+);
+
+// Change the role of a user
+router.patch(
+  "/users/:userId/role",
+  authMiddleware.requirePermission(PERMISSIONS.USERS_MANAGE),
+  validationMiddleware.validateUserId,
+  validationMiddleware.validateRoleChange,
+  adminController.changeUserRole
+);
+
+// Suspend a user
+router.post(
+  "/users/:userId/suspend",
+  authMiddleware.requirePermission(PERMISSIONS.USERS_MANAGE),
+  validationMiddleware.validateUserId,
+  validationMiddleware.validateSuspension,
+  adminController.suspendUser
+);
+
+// Reactivate a suspended user
+router.post(
+  "/users/:userId/reactivate",
+  authMiddleware.requirePermission(PERMISSIONS.USERS_MANAGE),
+  validationMiddleware.validateUserId,
+  adminController.reactivateUser
+);
+
+// List the orders of a user
+router.get(
+  "/users/:userId/orders",
+  authMiddleware.requirePermission(PERMISSIONS.ORDERS_READ_ANY),
+  validationMiddleware.validateUserId,
+  validationMiddleware.validatePagination,
+  adminController.getUserOrders
+);
+
+// List the payments of a user
+router.get(
+  "/users/:userId/payments",
+  authMiddleware.requirePermission(PERMISSIONS.PAYMENTS_READ_ANY),
+  validationMiddleware.validateUserId,
+  validationMiddleware.validatePagination,
+  adminController.getUserPayments
+);
+
+// List audit log entries
+router.get(
+  "/audit-logs",
+  authMiddleware.requirePermission(PERMISSIONS.AUDIT_READ),
+  validationMiddleware.validateAuditLogQuery,
+  adminController.getAuditLogs
+);
+
+// List orders across all customers
+router.get(
+  "/orders",
+  authMiddleware.requirePermission(PERMISSIONS.ORDERS_READ_ANY),
+  validationMiddleware.validateAdminOrderQuery,
+  orderController.getAllOrders
+);
+
+// Export orders as CSV
+router.get(
+  "/orders/export",
+  authMiddleware.requirePermission(PERMISSIONS.ORDERS_EXPORT),
+  adminController.exportOrders
+);
+
+// Ship some or all items of an order
+router.post(
+  "/orders/:orderId/shipments",
+  authMiddleware.requirePermission(PERMISSIONS.SHIPMENTS_MANAGE),
+  validationMiddleware.validateOrderId,
+  validationMiddleware.validateShipmentCreation,
+  shipmentController.createShipment
+);
+
+// Record cash collected on delivery of a COD order
+router.post(
+  "/orders/:orderId/cod-collection",
+  authMiddleware.requirePermission(PERMISSIONS.COD_COLLECT),
+  validationMiddleware.validateOrderId,
+  validationMiddleware.validateCodCollection,
+  paymentController.collectCodPayment
+);
+
+// List shipments
+router.get(
+  "/shipments",
+  authMiddleware.requirePermission(PERMISSIONS.SHIPMENTS_MANAGE),
+  validationMiddleware.validateShipmentQuery,
+  shipmentController.getShipments
+);
+
+// Update a shipment's tracking details or status
+router.patch(
+  "/shipments/:shipmentId",
+  authMiddleware.requirePermission(PERMISSIONS.SHIPMENTS_MANAGE),
+  validationMiddleware.validateShipmentId,
+  validationMiddleware.validateShipmentUpdate,
+  shipmentController.updateShipment
+);
+
+// List products, including archived ones
+router.get(
+  "/products",
+  authMiddleware.requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
+  validationMiddleware.validateProductQuery,
+  productController.getAllProducts
+);
+
+// Create a product
+router.post(
+  "/products",
+  authMiddleware.requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
+  validationMiddleware.validateProductCreation,
+  productController.createProduct
+);
+
+// Update a product
+router.patch(
+  "/products/:productId",
+  authMiddleware.requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
+  validationMiddleware.validateProductId,
+  validationMiddleware.validateProductUpdate,
+  productController.updateProduct
+);
+
+// Products running out of stock
+router.get(
+  "/products/low-stock",
+  authMiddleware.requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
+  validationMiddleware.validatePagination,
+  productController.getLowStockProducts
+);
+
+// Add or remove stock
+router.post(
+  "/products/:productId/stock",
+  authMiddleware.requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
+  validationMiddleware.validateProductId,
+  validationMiddleware.validateStockAdjustment,
+  productController.adjustStock
+);
+
+// Archive a product
+router.delete(
+  "/products/:productId",
+  authMiddleware.requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
+  validationMiddleware.validateProductId,
+  productController.archiveProduct
+);
+
+// List coupons
+router.get(
+  "/coupons",
+  authMiddleware.requirePermission(PERMISSIONS.COUPONS_MANAGE),
+  validationMiddleware.validateCouponQuery,
+  couponController.getCoupons
+);
+
+// Create a coupon
+router.post(
+  "/coupons",
+  authMiddleware.requirePermission(PERMISSIONS.COUPONS_MANAGE),
+  validationMiddleware.validateCouponCreation,
+  couponController.createCoupon
+);
+
+// Update a coupon
+router.patch(
+  "/coupons/:couponId",
+  authMiddleware.requirePermission(PERMISSIONS.COUPONS_MANAGE),
+  validationMiddleware.validateCouponId,
+  validationMiddleware.validateCouponUpdate,
+  couponController.updateCoupon
+);
+
+// Deactivate a coupon
+router.delete(
+  "/coupons/:couponId",
+  authMiddleware.requirePermission(PERMISSIONS.COUPONS_MANAGE),
+  validationMiddleware.validateCouponId,
+  couponController.deactivateCoupon
+);
+
+// Usage report for a coupon
+router.get(
+  "/coupons/:couponId/usage",
+  authMiddleware.requirePermission(PERMISSIONS.COUPONS_MANAGE),
+  validationMiddleware.validateCouponId,
+  couponController.getCouponUsage
+);
+
+// List shipping rules
+router.get(
+  "/shipping-rules",
+  authMiddleware.requirePermission(PERMISSIONS.SHIPPING_MANAGE),
+  shippingController.getShippingRules
+);
+
+// Create a shipping rule
+router.post(
+  "/shipping-rules",
+  authMiddleware.requirePermission(PERMISSIONS.SHIPPING_MANAGE),
+  validationMiddleware.validateShippingRuleCreation,
+  shippingController.createShippingRule
+);
+
+// Update a shipping rule
+router.patch(
+  "/shipping-rules/:ruleId",
+  authMiddleware.requirePermission(PERMISSIONS.SHIPPING_MANAGE),
+  validationMiddleware.validateShippingRuleId,
+  validationMiddleware.validateShippingRuleUpdate,
+  shippingController.updateShippingRule
+);
+
+// Delete a shipping rule
+router.delete(
+  "/shipping-rules/:ruleId",
+  authMiddleware.requirePermission(PERMISSIONS.SHIPPING_MANAGE),
+  validationMiddleware.validateShippingRuleId,
+  shippingController.deleteShippingRule
+);
+
+// List return requests
+router.get(
+  "/returns",
+  authMiddleware.requirePermission(PERMISSIONS.RETURNS_MANAGE),
+  validationMiddleware.validateAdminReturnQuery,
+  returnController.getAllReturns
+);
+
+// Approve a return request
+router.post(
+  "/returns/:returnId/approve",
+  authMiddleware.requirePermission(PERMISSIONS.RETURNS_MANAGE),
+  validationMiddleware.validateReturnId,
+  validationMiddleware.validateReturnApproval,
+  returnController.approveReturn
+);
+
+// Reject a return request
+router.post(
+  "/returns/:returnId/reject",
+  authMiddleware.requirePermission(PERMISSIONS.RETURNS_MANAGE),
+  validationMiddleware.validateReturnId,
+  validationMiddleware.validateReturnRejection,
+  returnController.rejectReturn
+);
+
+// Receive a return: restock it and refund it
+router.post(
+  "/returns/:returnId/receive",
+  authMiddleware.requirePermission(PERMISSIONS.RETURNS_MANAGE),
+  validationMiddleware.validateReturnId,
+  validationMiddleware.validateReturnReceipt,
+  returnController.receiveReturn
+);
+
+// Retry a failed return refund
+router.post(
+  "/returns/:returnId/refund",
+  authMiddleware.requirePermission(PERMISSIONS.RETURNS_MANAGE),
+  validationMiddleware.validateReturnId,
+  returnController.retryReturnRefund
+);
+
+// Record the refund of a cash-on-delivery return paid back by staff
+router.post(
+  "/returns/:returnId/manual-refund",
+  authMiddleware.requirePermission(PERMISSIONS.RETURNS_MANAGE),
+  validationMiddleware.validateReturnId,
+  validationMiddleware.validateManualReturnRefund,
+  returnController.settleManualReturnRefund
+);
+
+// List available permissions
+router.get(
+  "/permissions",
+  authMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  roleController.getPermissions
+);
+
+// List roles
+router.get(
+  "/roles",
+  authMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  roleController.getRoles
+);
+
+// Create a role
+router.post(
+  "/roles",
+  authMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  validationMiddleware.validateRoleCreation,
+  roleController.createRole
+);
+
+// Update a role
+router.put(
+  "/roles/:roleName",
+  authMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  validationMiddleware.validateRoleUpdate,
+  roleController.updateRole
+);
+
+// Delete a role
+router.delete(
+  "/roles/:roleName",
+  authMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  roleController.deleteRole
+);
+
+module.exports = router;
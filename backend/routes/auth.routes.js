@@ -3,6 +3,7 @@ const router = express.Router();
 const authController = require("../controllers/auth.controller");
 const authMiddleware = require("../middleware/auth.middleware");
 const validationMiddleware = require("../middleware/validation.middleware");
+const { authLimiter } = require("../middleware/rateLimit.middleware");
 
 // console.log("authController:", authController);
 // console.log("authMiddleware:", authMiddleware);
@@ -10,31 +11,113 @@ const validationMiddleware = require("../middleware/validation.middleware");
 // User registration
 router.post(
   "/register",
+  authLimiter,
   validationMiddleware.validateRegistration,
   authController.register
 );
 
 // User login
-router.post("/login", validationMiddleware.validateLogin, authController.login);
+router.post(
+  "/login",
+  authLimiter,
+  validationMiddleware.validateLogin,
+  authController.login
+);
+
+// Complete login with a two-factor code
+router.post(
+  "/login/2fa",
+  authLimiter,
+  validationMiddleware.validateTwoFactorLogin,
+  authController.verifyTwoFactorLogin
+);
+
+// Start two-factor enrolment
+router.post("/2fa/setup", authMiddleware.protect, authController.setupTwoFactor);
+
+// Confirm two-factor enrolment
+router.post(
+  "/2fa/enable",
+  authMiddleware.protect,
+  validationMiddleware.validateTwoFactorCode,
+  authController.enableTwoFactor
+);
+
+// Disable two-factor authentication
+router.post(
+  "/2fa/disable",
+  authMiddleware.protect,
+  validationMiddleware.validateTwoFactorDisable,
+  authController.disableTwoFactor
+);
+
+// Regenerate recovery codes
+router.post(
+  "/2fa/recovery-codes",
+  authMiddleware.protect,
+  validationMiddleware.validateTwoFactorCode,
+  authController.regenerateRecoveryCodes
+);
 
 // Get current user profile
 router.get("/profile", authMiddleware.protect, authController.getMe);
 
+// Update current user profile
+router.patch(
+  "/profile",
+  authMiddleware.protect,
+  validationMiddleware.validateProfileUpdate,
+  authController.updateProfile
+);
+
+// Change password
+router.post(
+  "/change-password",
+  authMiddleware.protect,
+  validationMiddleware.validatePasswordChange,
+  authController.changePassword
+);
+
 // Logout
 router.post("/logout", authMiddleware.protect, authController.logout);
 
+// Exchange a refresh token for a new token pair
+router.post("/refresh", authController.refreshToken);
+
+// List active sessions
+router.get("/sessions", authMiddleware.protect, authController.getSessions);
+
+// Revoke a session
+router.delete(
+  "/sessions/:id",
+  authMiddleware.protect,
+  authController.revokeSession
+);
+
+// Verify email from the link sent at registration
+router.get("/verify-email/:token", authController.verifyEmail);
+
+// Resend the verification email
+router.post(
+  "/resend-verification",
+  authMiddleware.protect,
+  authController.resendVerification
+);
+
 // Password reset request
-// router.post(
-//   "/forgot-password",
-//   validationMiddleware.validateEmail,
-//   authController.forgotPassword
-// );
-
-// // Reset password with token
-// router.post(
-//   "/reset-password/:token",
-//   validationMiddleware.validatePasswordReset,
-//   authController.resetPassword
-// );
+router.post(
+  "/forgot-password",
+  authLimiter,
+  validationMiddleware.validateEmail,
+  authController.forgotPassword
+);
+
+// Reset password with token
+router.post(
+  "/reset-password/:token",
+  authLimiter,
+  validationMiddleware.validatePasswordReset,
+  authController.resetPassword
+);
 
 module.exports = router;
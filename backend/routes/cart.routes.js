@@ -0,0 +1,62 @@
+const express = require("express");
+const router = express.Router();
+const cartController = require("../controllers/cart.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const validationMiddleware = require("../middleware/validation.middleware");
+
+/**
+ * Cart Routes
+ * Guests get a cart tied to a cookie; logged-in users get their own cart
+ */
+
+// Get the cart
+router.get("/", authMiddleware.optionalAuth, cartController.getCart);
+
+// Add a product
+router.post(
+  "/items",
+  authMiddleware.optionalAuth,
+  validationMiddleware.validateCartItem,
+  cartController.addItem
+);
+
+// Change the quantity of a product
+router.patch(
+  "/items/:productId",
+  authMiddleware.optionalAuth,
+  validationMiddleware.validateProductId,
+  validationMiddleware.validateCartItemUpdate,
+  cartController.updateItem
+);
+
+// Remove a product
+router.delete(
+  "/items/:productId",
+  authMiddleware.optionalAuth,
+  validationMiddleware.validateProductId,
+  cartController.removeItem
+);
+
+// Empty the cart
+router.delete("/", authMiddleware.optionalAuth, cartController.clearCart);
+
+// Apply a coupon code
+router.post(
+  "/coupon",
+  authMiddleware.optionalAuth,
+  validationMiddleware.validateCouponCode,
+  cartController.applyCoupon
+);
+
+// Remove the coupon
+router.delete("/coupon", authMiddleware.optionalAuth, cartController.removeCoupon);
+
+// Turn the cart into an order
+router.post(
+  "/checkout",
+  authMiddleware.protectVerified,
+  validationMiddleware.validateCheckout,
+  cartController.checkout
+);
+
+module.exports = router;
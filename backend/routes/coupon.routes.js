@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const couponController = require("../controllers/coupon.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const validationMiddleware = require("../middleware/validation.middleware");
+
+/**
+ * Coupon Routes
+ * Coupons are managed through /api/admin/coupons
+ */
+
+// Check a coupon code against items or the cart
+router.post(
+  "/validate",
+  authMiddleware.protect,
+  validationMiddleware.validateCouponCheck,
+  couponController.validateCoupon
+);
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const orderController = require("../controllers/order.Controller");
+const shipmentController = require("../controllers/shipment.controller");
 const authMiddleware = require("../middleware/auth.middleware");
 const validationMiddleware = require("../middleware/validation.middleware");
+const { PERMISSIONS } = require("../config/permissions");
 
 // Create a new order
 router.post(
@@ -14,7 +16,12 @@ router.post(
 );
 
 // Get all orders for the logged-in user
-router.get("/", authMiddleware.protect, orderController.getOrders);
+router.get(
+  "/",
+  authMiddleware.protect,
+  validationMiddleware.validateOrderQuery,
+  orderController.getOrders
+);
 
 // // Get a specific order by ID
 router.get(
@@ -24,11 +31,27 @@ router.get(
   orderController.getOrderById
 );
 
-// // Update an order status (Admin only)
+// Get the status history of an order
+router.get(
+  "/:orderId/history",
+  authMiddleware.protect,
+  validationMiddleware.validateOrderId,
+  orderController.getOrderHistory
+);
+
+// Get the shipments of an order
+router.get(
+  "/:orderId/shipments",
+  authMiddleware.protect,
+  validationMiddleware.validateOrderId,
+  shipmentController.getOrderShipments
+);
+
+// // Update an order status (orders:update:any)
 router.put(
   "/:orderId/status",
   authMiddleware.protect,
-  authMiddleware.authorizeAdmin,
+  authMiddleware.requirePermission(PERMISSIONS.ORDERS_UPDATE_ANY),
   validationMiddleware.validateOrderId,
   validationMiddleware.validateOrderStatusUpdate,
   orderController.updateOrderStatus
@@ -39,6 +62,7 @@ router.patch(
   "/:orderId/cancel",
   authMiddleware.protect,
   validationMiddleware.validateOrderId,
+  validationMiddleware.validateOrderCancel,
   orderController.cancelOrder
 );
 
@@ -4,6 +4,7 @@ const router = express.Router();
 const paymentController = require("../controllers/payment.Controller");
 const authMiddleware = require("../middleware/auth.middleware");
 const validationMiddleware = require("../middleware/validation.middleware");
+const { PERMISSIONS } = require("../config/permissions");
 
 /**
  * Payment Routes for Razorpay Integration
@@ -12,7 +13,7 @@ const validationMiddleware = require("../middleware/validation.middleware");
 // Create a Razorpay order
 router.post(
   "/create-order",
-  authMiddleware.protect,
+  authMiddleware.protectVerified,
   validationMiddleware.validatePaymentOrder,
   paymentController.createOrder
 );
@@ -20,7 +21,7 @@ router.post(
 // Verify payment after successful transaction (secured with auth)
 router.post(
   "/verify",
-  authMiddleware.protect,
+  authMiddleware.protectVerified,
   validationMiddleware.validatePaymentVerification,
   paymentController.verifyPayment
 );
@@ -39,20 +40,30 @@ router.get(
   paymentController.generateReceipt
 );
 
-// Process refund
-// router.post(
-//   "/:paymentId/refund",
-//   authMiddleware.protect,
-//   validationMiddleware.validateRefundRequest,
-//   paymentController.processRefund
-// );
-
-// // Get refund status
-// router.get(
-//   "/refund/:refundId",
-//   authMiddleware.protect,
-//   paymentController.getRefundStatus
-// );
+// Capture an authorized payment (manual-capture orders)
+router.post(
+  "/:paymentId/capture",
+  authMiddleware.protect,
+  authMiddleware.requirePermission(PERMISSIONS.PAYMENTS_CAPTURE),
+  validationMiddleware.validatePaymentCapture,
+  paymentController.capturePayment
+);
+
+// Refund a payment in full or in part
+router.post(
+  "/:paymentId/refund",
+  authMiddleware.protect,
+  authMiddleware.requirePermission(PERMISSIONS.REFUNDS_CREATE),
+  validationMiddleware.validateRefundRequest,
+  paymentController.processRefund
+);
+
+// Get refund status (own payments, or payments:read:any)
+router.get(
+  "/refund/:refundId",
+  authMiddleware.protect,
+  paymentController.getRefundStatus
+);
 
 // Get all payments
 router.get("/", authMiddleware.protect, paymentController.getUserPayments);
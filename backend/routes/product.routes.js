@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const productController = require("../controllers/product.controller");
+const validationMiddleware = require("../middleware/validation.middleware");
+
+/**
+ * Product Routes
+ * Public catalog; products are managed through /api/admin/products
+ */
+
+// List products on sale
+router.get(
+  "/",
+  validationMiddleware.validateProductQuery,
+  productController.getProducts
+);
+
+// Get a product
+router.get(
+  "/:productId",
+  validationMiddleware.validateProductId,
+  productController.getProduct
+);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require("express");
+const router = express.Router();
+const returnController = require("../controllers/return.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const validationMiddleware = require("../middleware/validation.middleware");
+
+/**
+ * Return Routes
+ * Customers request returns of delivered orders here; staff review and
+ * receive them through /api/admin/returns
+ */
+router.use(authMiddleware.protect);
+
+// Request a return
+router.post(
+  "/",
+  validationMiddleware.validateReturnCreation,
+  returnController.createReturn
+);
+
+// List the logged-in user's returns
+router.get(
+  "/",
+  validationMiddleware.validateReturnQuery,
+  returnController.getReturns
+);
+
+// Get a return
+router.get(
+  "/:returnId",
+  validationMiddleware.validateReturnId,
+  returnController.getReturn
+);
+
+// Record the carrier and tracking number of an approved return
+router.patch(
+  "/:returnId/shipment",
+  validationMiddleware.validateReturnId,
+  validationMiddleware.validateReturnShipment,
+  returnController.addReturnShipment
+);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const shipmentController = require("../controllers/shipment.controller");
+
+/**
+ * Shipment Routes
+ * Shipments are managed through /api/admin/shipments and
+ * /api/admin/orders/:orderId/shipments; customers see theirs at
+ * /api/orders/:orderId/shipments
+ */
+
+// Tracking updates from a carrier (verified by the carrier adapter)
+router.post("/webhook/:carrier", shipmentController.handleCarrierWebhook);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const shippingController = require("../controllers/shipping.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const validationMiddleware = require("../middleware/validation.middleware");
+
+/**
+ * Shipping Routes
+ * Shipping rules are managed through /api/admin/shipping-rules
+ */
+
+// Quote shipping for items or the cart
+router.post(
+  "/quote",
+  authMiddleware.optionalAuth,
+  validationMiddleware.validateShippingQuote,
+  shippingController.quoteShipping
+);
+
+module.exports = router;
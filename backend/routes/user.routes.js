@@ -0,0 +1,62 @@
+const express = require("express");
+const router = express.Router();
+const userController = require("../controllers/user.controller");
+const authMiddleware = require("../middleware/auth.middleware");
+const validationMiddleware = require("../middleware/validation.middleware");
+
+/**
+ * User Routes
+ * Self-service endpoints for the logged-in user
+ */
+router.use(authMiddleware.protect);
+
+// List addresses
+router.get("/me/addresses", userController.getAddresses);
+
+// Add an address
+router.post(
+  "/me/addresses",
+  validationMiddleware.validateAddress,
+  userController.addAddress
+);
+
+// Update an address
+router.patch(
+  "/me/addresses/:addressId",
+  validationMiddleware.validateAddressId,
+  validationMiddleware.validateAddressUpdate,
+  userController.updateAddress
+);
+
+// Make an address the default
+router.patch(
+  "/me/addresses/:addressId/default",
+  validationMiddleware.validateAddressId,
+  userController.setDefaultAddress
+);
+
+// Delete an address
+router.delete(
+  "/me/addresses/:addressId",
+  validationMiddleware.validateAddressId,
+  userController.deleteAddress
+);
+
+// List saved payment methods
+router.get("/me/payment-methods", userController.getPaymentMethods);
+
+// Make a saved payment method the default
+router.patch(
+  "/me/payment-methods/:methodId/default",
+  validationMiddleware.validatePaymentMethodId,
+  userController.setDefaultPaymentMethod
+);
+
+// Delete a saved payment method
+router.delete(
+  "/me/payment-methods/:methodId",
+  validationMiddleware.validatePaymentMethodId,
+  userController.deletePaymentMethod
+);
+
+module.exports = router;
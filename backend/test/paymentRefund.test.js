@@ -0,0 +1,123 @@
+// Refunds recorded in a payment's ledger while another refund is being
+// saved. The payments collection is an in-memory document instead of MongoDB.
+process.env.RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || 'rzp_test_key';
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'rzp_test_secret';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const Payment = require('../models/payment.model');
+const AuditLog = require('../models/auditLog.model');
+const { processRefund } = require('../controllers/payment.Controller');
+const { razorpayInstance } = require('../config/razorpay');
+
+const mockResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+describe('refund ledger', () => {
+  let stored;
+
+  const load = async () => Payment.hydrate(JSON.parse(JSON.stringify(stored)));
+
+  const refundRequest = (body) => ({
+    params: { paymentId: stored._id.toString() },
+    body,
+    user: { id: new mongoose.Types.ObjectId().toString() },
+  });
+
+  beforeEach(() => {
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      user: new mongoose.Types.ObjectId(),
+      order: new mongoose.Types.ObjectId(),
+      amount: 100,
+      currency: 'INR',
+      status: 'captured',
+      method: 'cod',
+      refunds: [],
+      __v: 0,
+    };
+
+    mock.method(Payment, 'findOne', load);
+    mock.method(Payment, 'findById', load);
+    // Enough of updateOne for the $push and $set of a ledger addition
+    mock.method(Payment.collection, 'updateOne', async (filter, update) => {
+      if (filter.refunds && stored.refunds.length !== filter.refunds.$size) {
+        return { matchedCount: 0, modifiedCount: 0 };
+      }
+      if (update.$push) stored.refunds.push(...update.$push.refunds.$each);
+      Object.assign(stored, update.$set);
+      return { matchedCount: 1, modifiedCount: 1 };
+    });
+    mock.method(Order, 'findById', async () => null);
+    mock.method(AuditLog, 'record', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lets only one of two concurrent cash refunds take the balance', async () => {
+    const responses = [mockResponse(), mockResponse()];
+
+    await Promise.all(
+      responses.map((res, i) =>
+        processRefund(refundRequest({ amount: 60, reference: `UTR${i}` }), res)
+      )
+    );
+
+    assert.deepEqual(
+      responses.map(({ statusCode }) => statusCode).sort(),
+      [201, 400]
+    );
+    assert.equal(
+      responses.find(({ statusCode }) => statusCode === 400).body.error.code,
+      'REFUND_AMOUNT_EXCEEDED'
+    );
+    assert.equal(stored.refunds.length, 1);
+    assert.equal(stored.status, 'partially_refunded');
+  });
+
+  it('records concurrent cash refunds that fit the balance', async () => {
+    await Promise.all([
+      processRefund(refundRequest({ amount: 60, reference: 'UTR1' }), mockResponse()),
+      processRefund(refundRequest({ amount: 40, reference: 'UTR2' }), mockResponse()),
+    ]);
+
+    assert.deepEqual(stored.refunds.map(({ amount }) => amount).sort(), [40, 60]);
+    assert.equal(stored.status, 'refunded');
+  });
+
+  it('keeps a Razorpay refund that lost the race with a webhook', async () => {
+    Object.assign(stored, { method: 'card', razorpayPaymentId: 'pay_1', razorpayOrderId: 'order_1' });
+    const refund = { id: 'rfnd_1', amount: 3000, status: 'pending' };
+    mock.method(razorpayInstance.payments, 'refund', async () => {
+      // refund.created for a dashboard refund is recorded first
+      const other = await load();
+      other.recordRefund({ id: 'rfnd_0', amount: 2000, status: 'processed' });
+      await other.save();
+      return refund;
+    });
+
+    const res = mockResponse();
+    await processRefund(refundRequest({ amount: 30 }), res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.data.refundedAmount, 50);
+    assert.deepEqual(
+      stored.refunds.map(({ razorpayRefundId }) => razorpayRefundId),
+      ['rfnd_0', 'rfnd_1']
+    );
+  });
+});
@@ -0,0 +1,136 @@
+// Pro rata refunds of returned units (ReturnRequest.requestReturn and
+// Order#linePaidAmount). Return requests are kept in an in-memory array
+// instead of MongoDB.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const ReturnRequest = require('../models/returnRequest.model');
+const errorCodes = require('../config/errorCodes');
+const { RETURN } = require('../utils/constants');
+
+describe('return refunds', () => {
+  let returns;
+
+  const createOrder = (items) =>
+    new Order({
+      user: new mongoose.Types.ObjectId(),
+      items: items.map((item) => ({ product: new mongoose.Types.ObjectId(), ...item })),
+      totalAmount: items.reduce((total, { price, quantity }) => total + price * quantity, 0),
+    });
+
+  const requestReturn = (order, ...lines) =>
+    ReturnRequest.requestReturn(order, {
+      items: lines.map(([line, quantity]) => ({ orderItem: line._id, quantity })),
+    });
+
+  beforeEach(() => {
+    returns = [];
+
+    mock.method(ReturnRequest, 'find', async ({ order, status }) =>
+      returns.filter(
+        (returnRequest) => returnRequest.order.equals(order) && returnRequest.status !== status.$ne
+      )
+    );
+    mock.method(ReturnRequest, 'create', async (fields) => {
+      const returnRequest = new ReturnRequest(fields);
+      returns.push(returnRequest);
+      return returnRequest;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('adds GST charged on top of the price to the line', () => {
+    const order = createOrder([
+      { name: 'Kettle', price: 100, quantity: 3, tax: { rate: 18, inclusive: false, amount: 54 } },
+      { name: 'Mug', price: 118, quantity: 1, tax: { rate: 18, inclusive: true, amount: 18 } },
+    ]);
+
+    assert.equal(order.linePaidAmount(order.items[0]), 354);
+    assert.equal(order.linePaidAmount(order.items[1]), 118);
+  });
+
+  it('refunds the share of a partly returned line', async () => {
+    const order = createOrder([
+      { name: 'Kettle', price: 100, quantity: 3, tax: { rate: 18, inclusive: false, amount: 54 } },
+    ]);
+
+    const returnRequest = await requestReturn(order, [order.items[0], 1]);
+
+    assert.equal(returnRequest.items[0].refundAmount, 118);
+    assert.equal(returnRequest.refundAmount, 118);
+  });
+
+  it('gives the rounding leftover to the last units returned', async () => {
+    const order = createOrder([{ name: 'Pen', price: 10, quantity: 3, discount: 1 }]);
+    const [line] = order.items;
+
+    const first = await requestReturn(order, [line, 1]);
+    const second = await requestReturn(order, [line, 1]);
+    const last = await requestReturn(order, [line, 1]);
+
+    assert.deepEqual(
+      [first, second, last].map(({ refundAmount }) => refundAmount),
+      [9.67, 9.67, 9.66]
+    );
+  });
+
+  it('refunds the rest of the line on a second return', async () => {
+    const order = createOrder([
+      { name: 'Kettle', price: 100, quantity: 3, tax: { rate: 18, inclusive: false, amount: 54 } },
+      { name: 'Mug', price: 50, quantity: 2 },
+    ]);
+    const [kettle, mug] = order.items;
+
+    await requestReturn(order, [kettle, 1]);
+    const rest = await requestReturn(order, [kettle, 2], [mug, 2]);
+
+    assert.deepEqual(
+      rest.items.map(({ refundAmount }) => refundAmount),
+      [236, 100]
+    );
+    assert.equal(rest.refundAmount, 336);
+  });
+
+  it('takes the allocated discount off a discounted line', async () => {
+    const order = createOrder([
+      {
+        name: 'Mug',
+        price: 118,
+        quantity: 2,
+        discount: 20,
+        tax: { rate: 18, inclusive: true, amount: 32.95 },
+      },
+    ]);
+
+    const returnRequest = await requestReturn(order, [order.items[0], 1]);
+
+    assert.equal(returnRequest.refundAmount, 108);
+  });
+
+  it('does not count rejected returns against the line', async () => {
+    const order = createOrder([{ name: 'Mug', price: 50, quantity: 2 }]);
+    const [line] = order.items;
+
+    const rejected = await requestReturn(order, [line, 2]);
+    rejected.status = RETURN.STATUS.REJECTED;
+
+    const returnRequest = await requestReturn(order, [line, 2]);
+    assert.equal(returnRequest.refundAmount, 100);
+  });
+
+  it('rejects more units than are left to return', async () => {
+    const order = createOrder([{ name: 'Mug', price: 50, quantity: 2 }]);
+    const [line] = order.items;
+
+    await requestReturn(order, [line, 1]);
+
+    await assert.rejects(requestReturn(order, [line, 2]), {
+      errorCode: errorCodes.RETURN_QUANTITY_EXCEEDED,
+      details: { orderItem: line._id, remaining: 1 },
+    });
+  });
+});
@@ -0,0 +1,276 @@
+// Carrier webhook -> Shipment#applyEvent -> Shipment.syncOrder, using the
+// fake carrier. Models are backed by in-memory arrays instead of MongoDB.
+process.env.RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || 'rzp_test_key';
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'rzp_test_secret';
+process.env.FAKE_CARRIER_WEBHOOK_SECRET = 'carrier-secret';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const Shipment = require('../models/shipment.model');
+const { handleCarrierWebhook } = require('../controllers/shipment.controller');
+const { getCarrier } = require('../utils/carriers');
+const { ORDER, SHIPMENT } = require('../utils/constants');
+
+const sign = (body) =>
+  crypto.createHmac('sha256', 'carrier-secret').update(JSON.stringify(body)).digest('hex');
+
+const webhookRequest = (body, signature = sign(body)) => ({
+  params: { carrier: 'fake' },
+  headers: { 'x-carrier-signature': signature },
+  body,
+});
+
+const mockResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Enough of a MongoDB filter for the queries the shipment model makes
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    const value = doc[key];
+    if (condition && condition.$in) return condition.$in.includes(value);
+    if (condition && condition.$ne !== undefined) return value !== condition.$ne;
+    if (value && value.equals) return value.equals(condition);
+    return value === condition;
+  });
+
+describe('fake carrier webhook', () => {
+  let shipments;
+  let order;
+
+  const createShipment = (trackingNumber, lines) => {
+    const shipment = new Shipment({
+      order: order._id,
+      carrier: 'fake',
+      trackingNumber,
+      items: lines.map(({ line, quantity }) => ({
+        orderItem: line._id,
+        product: line.product,
+        name: line.name,
+        quantity,
+      })),
+    });
+    shipments.push(shipment);
+    return shipment;
+  };
+
+  beforeEach(() => {
+    order = new Order({
+      user: new mongoose.Types.ObjectId(),
+      items: [
+        { product: new mongoose.Types.ObjectId(), name: 'Kettle', price: 100, quantity: 1 },
+        { product: new mongoose.Types.ObjectId(), name: 'Mug', price: 50, quantity: 2 },
+      ],
+      totalAmount: 200,
+      status: ORDER.STATUS.PAID,
+    });
+    shipments = [];
+
+    mock.method(Order, 'findById', async (id) => (order._id.equals(id) ? order : null));
+    mock.method(Order.prototype, 'save', async function () {
+      return this;
+    });
+    mock.method(Shipment, 'findOne', async (filter) =>
+      shipments.find((shipment) => matches(shipment, filter)) || null
+    );
+    mock.method(Shipment, 'find', async (filter) =>
+      shipments.filter((shipment) => matches(shipment, filter))
+    );
+    mock.method(Shipment, 'exists', async (filter) =>
+      shipments.some((shipment) => matches(shipment, filter))
+    );
+    mock.method(Shipment.prototype, 'save', async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects events without a valid signature', async () => {
+    const shipment = createShipment('AWB1', [
+      { line: order.items[0], quantity: 1 },
+      { line: order.items[1], quantity: 2 },
+    ]);
+    const body = { trackingNumber: 'AWB1', status: SHIPMENT.STATUS.IN_TRANSIT };
+
+    const res = mockResponse();
+    await handleCarrierWebhook(webhookRequest(body, 'not-the-signature'), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(shipment.status, SHIPMENT.STATUS.CREATED);
+    assert.equal(order.status, ORDER.STATUS.PAID);
+  });
+
+  it('is disabled when no secret is configured', () => {
+    const carrier = getCarrier('fake');
+    const body = { trackingNumber: 'AWB1', status: SHIPMENT.STATUS.IN_TRANSIT };
+    const { shipping } = require('../config/app');
+    const secret = shipping.carriers.fake.webhookSecret;
+
+    shipping.carriers.fake.webhookSecret = '';
+    try {
+      assert.equal(carrier.verifyWebhook(webhookRequest(body)), false);
+    } finally {
+      shipping.carriers.fake.webhookSecret = secret;
+    }
+  });
+
+  it('ships the order when every line is in transit', async () => {
+    const shipment = createShipment('AWB1', [
+      { line: order.items[0], quantity: 1 },
+      { line: order.items[1], quantity: 2 },
+    ]);
+    const body = {
+      trackingNumber: 'AWB1',
+      status: SHIPMENT.STATUS.IN_TRANSIT,
+      location: 'Bengaluru hub',
+      at: '2026-01-10T08:00:00.000Z',
+    };
+
+    const res = mockResponse();
+    await handleCarrierWebhook(webhookRequest(body), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(shipment.status, SHIPMENT.STATUS.IN_TRANSIT);
+    assert.deepEqual(shipment.shippedAt, new Date(body.at));
+    assert.equal(order.status, ORDER.STATUS.SHIPPED);
+    assert.deepEqual(
+      order.statusHistory.slice(-2).map(({ to, source }) => [to, source]),
+      [
+        [ORDER.STATUS.PROCESSING, ORDER.STATUS_SOURCES.CARRIER],
+        [ORDER.STATUS.SHIPPED, ORDER.STATUS_SOURCES.CARRIER],
+      ]
+    );
+  });
+
+  it('keeps a partly shipped order processing', async () => {
+    createShipment('AWB1', [{ line: order.items[0], quantity: 1 }]);
+    createShipment('AWB2', [{ line: order.items[1], quantity: 2 }]);
+    const body = { trackingNumber: 'AWB1', status: SHIPMENT.STATUS.IN_TRANSIT };
+
+    await handleCarrierWebhook(webhookRequest(body), mockResponse());
+
+    assert.equal(order.status, ORDER.STATUS.PROCESSING);
+  });
+
+  it('delivers the order once every shipment is delivered', async () => {
+    createShipment('AWB1', [{ line: order.items[0], quantity: 1 }]);
+    createShipment('AWB2', [{ line: order.items[1], quantity: 2 }]);
+    const body = {
+      events: [
+        { trackingNumber: 'AWB1', status: SHIPMENT.STATUS.DELIVERED },
+        { trackingNumber: 'AWB2', status: SHIPMENT.STATUS.IN_TRANSIT },
+        { trackingNumber: 'AWB2', status: SHIPMENT.STATUS.DELIVERED },
+      ],
+    };
+
+    await handleCarrierWebhook(webhookRequest(body), mockResponse());
+
+    assert.deepEqual(
+      shipments.map(({ status }) => status),
+      [SHIPMENT.STATUS.DELIVERED, SHIPMENT.STATUS.DELIVERED]
+    );
+    assert.equal(order.status, ORDER.STATUS.DELIVERED);
+  });
+
+  it('records a repeated event only once', async () => {
+    const shipment = createShipment('AWB1', [
+      { line: order.items[0], quantity: 1 },
+      { line: order.items[1], quantity: 2 },
+    ]);
+    const body = {
+      trackingNumber: 'AWB1',
+      status: SHIPMENT.STATUS.IN_TRANSIT,
+      at: '2026-01-10T08:00:00.000Z',
+    };
+
+    await handleCarrierWebhook(webhookRequest(body), mockResponse());
+    await handleCarrierWebhook(webhookRequest(body), mockResponse());
+
+    assert.equal(shipment.events.length, 1);
+  });
+
+  it('does not move a shipment backwards on a late event', async () => {
+    const shipment = createShipment('AWB1', [
+      { line: order.items[0], quantity: 1 },
+      { line: order.items[1], quantity: 2 },
+    ]);
+    const body = {
+      events: [
+        { trackingNumber: 'AWB1', status: SHIPMENT.STATUS.DELIVERED },
+        { trackingNumber: 'AWB1', status: SHIPMENT.STATUS.IN_TRANSIT },
+      ],
+    };
+
+    await handleCarrierWebhook(webhookRequest(body), mockResponse());
+
+    assert.equal(shipment.status, SHIPMENT.STATUS.DELIVERED);
+    assert.equal(shipment.events.length, 2);
+    assert.equal(order.status, ORDER.STATUS.DELIVERED);
+  });
+
+  it('flags the order for review when a shipment is returned', async () => {
+    createShipment('AWB1', [
+      { line: order.items[0], quantity: 1 },
+      { line: order.items[1], quantity: 2 },
+    ]);
+    const shipped = { trackingNumber: 'AWB1', status: SHIPMENT.STATUS.IN_TRANSIT };
+    const returned = { trackingNumber: 'AWB1', status: SHIPMENT.STATUS.RETURNED };
+
+    await handleCarrierWebhook(webhookRequest(shipped), mockResponse());
+    await handleCarrierWebhook(webhookRequest(returned), mockResponse());
+
+    assert.equal(order.needsReview, true);
+    assert.equal(order.status, ORDER.STATUS.SHIPPED);
+  });
+
+  it('ignores scans of shipments cancelled with their order', async () => {
+    const shipment = createShipment('AWB1', [
+      { line: order.items[0], quantity: 1 },
+      { line: order.items[1], quantity: 2 },
+    ]);
+    order.transitionTo(ORDER.STATUS.CANCELLED, { source: ORDER.STATUS_SOURCES.CUSTOMER });
+    await Shipment.cancelForOrder(order._id, { source: ORDER.STATUS_SOURCES.CUSTOMER });
+
+    const body = { trackingNumber: 'AWB1', status: SHIPMENT.STATUS.IN_TRANSIT };
+    await handleCarrierWebhook(webhookRequest(body), mockResponse());
+
+    assert.equal(shipment.status, SHIPMENT.STATUS.CANCELLED);
+    assert.equal(order.status, ORDER.STATUS.CANCELLED);
+  });
+
+  it('acknowledges events for unknown tracking numbers and skips unknown statuses', async () => {
+    const shipment = createShipment('AWB1', [
+      { line: order.items[0], quantity: 1 },
+      { line: order.items[1], quantity: 2 },
+    ]);
+    const body = {
+      events: [
+        { trackingNumber: 'NOPE', status: SHIPMENT.STATUS.IN_TRANSIT },
+        { trackingNumber: 'AWB1', status: 'teleported' },
+      ],
+    };
+
+    const res = mockResponse();
+    await handleCarrierWebhook(webhookRequest(body), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(shipment.status, SHIPMENT.STATUS.CREATED);
+    assert.equal(shipment.events.length, 0);
+    assert.equal(order.status, ORDER.STATUS.PAID);
+  });
+});
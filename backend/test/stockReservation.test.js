@@ -0,0 +1,177 @@
+// Stock held, committed and released for orders. Products and reservations
+// are in-memory documents instead of MongoDB.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Product = require('../models/product.model');
+const StockReservation = require('../models/stockReservation.model');
+const errorCodes = require('../config/errorCodes');
+const { INVENTORY } = require('../utils/constants');
+
+const { RESERVED, COMMITTED, RELEASED } = INVENTORY.RESERVATION_STATUS;
+
+describe('stock reservations', () => {
+  let products;
+  let reservations;
+
+  const addProduct = (name, stock, trackInventory = true) => {
+    const product = new Product({ name, price: 100, stock, reserved: 0, trackInventory });
+    products.set(String(product._id), product);
+    return product;
+  };
+
+  const placeOrder = (...lines) => ({
+    _id: new mongoose.Types.ObjectId(),
+    items: lines.map(([product, quantity]) => ({ product: product._id, quantity })),
+  });
+
+  const applyInc = (product, $inc) => {
+    for (const [field, by] of Object.entries($inc)) product[field] += by;
+  };
+
+  const matchesStatus = (reservation, status) =>
+    status.$in ? status.$in.includes(reservation.status) : reservation.status === status;
+
+  beforeEach(() => {
+    products = new Map();
+    reservations = [];
+
+    mock.method(Product, 'find', ({ _id }) => ({
+      distinct: async () =>
+        _id.$in.filter((id) => {
+          const product = products.get(String(id));
+          return product && product.trackInventory;
+        }),
+    }));
+    mock.method(Product, 'findById', async (id) => products.get(String(id)) || null);
+    // The conditional hold: only if stock - reserved covers the quantity
+    mock.method(Product, 'findOneAndUpdate', async ({ _id, $expr }, { $inc }) => {
+      const product = products.get(String(_id));
+      const quantity = $expr.$gte[1];
+      if (!product || !product.trackInventory || product.stock - product.reserved < quantity) {
+        return null;
+      }
+      applyInc(product, $inc);
+      return product;
+    });
+    mock.method(Product, 'updateOne', async ({ _id, reserved }, { $inc }) => {
+      const product = products.get(String(_id));
+      if (!product || (reserved && product.reserved < reserved.$gte)) {
+        return { matchedCount: 0 };
+      }
+      applyInc(product, $inc);
+      return { matchedCount: 1 };
+    });
+
+    mock.method(StockReservation, 'create', async (fields) => {
+      const reservation = { ...fields, status: RESERVED };
+      reservations.push(reservation);
+      return reservation;
+    });
+    mock.method(StockReservation, 'findOneAndUpdate', async (filter, update, options = {}) => {
+      const reservation = reservations.find(
+        (candidate) =>
+          candidate.order.equals(filter.order) && matchesStatus(candidate, filter.status)
+      );
+      if (!reservation) return null;
+
+      const previous = { ...reservation };
+      Object.assign(reservation, update.$set);
+      for (const field of Object.keys(update.$unset || {})) delete reservation[field];
+      return options.new ? reservation : previous;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lets only one of two concurrent orders hold the last units', async () => {
+    const kettle = addProduct('Kettle', 3);
+
+    const results = await Promise.allSettled([
+      StockReservation.reserve(placeOrder([kettle, 2])),
+      StockReservation.reserve(placeOrder([kettle, 2])),
+    ]);
+
+    assert.deepEqual(results.map(({ status }) => status).sort(), ['fulfilled', 'rejected']);
+    const { reason } = results.find(({ status }) => status === 'rejected');
+    assert.equal(reason.errorCode, errorCodes.OUT_OF_STOCK);
+    assert.equal(reason.details.available, 1);
+    assert.equal(kettle.reserved, 2);
+    assert.equal(reservations.length, 1);
+  });
+
+  it('gives back lines already held when a later line is short', async () => {
+    const kettle = addProduct('Kettle', 5);
+    const mug = addProduct('Mug', 1);
+
+    await assert.rejects(
+      StockReservation.reserve(placeOrder([kettle, 2], [mug, 2])),
+      { errorCode: errorCodes.OUT_OF_STOCK }
+    );
+
+    assert.equal(kettle.reserved, 0);
+    assert.equal(mug.reserved, 0);
+    assert.equal(reservations.length, 0);
+  });
+
+  it('reserves nothing for products without inventory tracking', async () => {
+    const ebook = addProduct('E-book', 0, false);
+
+    assert.equal(await StockReservation.reserve(placeOrder([ebook, 1])), null);
+    assert.equal(reservations.length, 0);
+  });
+
+  it('takes committed units off the stock', async () => {
+    const kettle = addProduct('Kettle', 5);
+    const order = placeOrder([kettle, 2]);
+
+    await StockReservation.reserve(order);
+    await StockReservation.commit(order);
+
+    assert.equal(reservations[0].status, COMMITTED);
+    assert.equal(kettle.stock, 3);
+    assert.equal(kettle.reserved, 0);
+  });
+
+  it('puts committed units back on the shelf once when released', async () => {
+    const kettle = addProduct('Kettle', 5);
+    const order = placeOrder([kettle, 2]);
+
+    await StockReservation.reserve(order);
+    await StockReservation.commit(order);
+    await StockReservation.release(order, 'cancelled');
+    assert.equal(await StockReservation.release(order, 'cancelled'), null);
+
+    assert.equal(reservations[0].status, RELEASED);
+    assert.equal(reservations[0].releasedReason, 'cancelled');
+    assert.equal(kettle.stock, 5);
+    assert.equal(kettle.reserved, 0);
+  });
+
+  it('makes released units available again', async () => {
+    const kettle = addProduct('Kettle', 5);
+    const order = placeOrder([kettle, 2]);
+
+    await StockReservation.reserve(order);
+    await StockReservation.release(order, 'payment_failed');
+
+    assert.equal(kettle.stock, 5);
+    assert.equal(kettle.reserved, 0);
+  });
+
+  it('takes the stock again when a released order is paid after all', async () => {
+    const kettle = addProduct('Kettle', 5);
+    const order = placeOrder([kettle, 2]);
+
+    await StockReservation.reserve(order);
+    await StockReservation.release(order, 'expired');
+    await StockReservation.commit(order);
+
+    assert.equal(reservations[0].status, COMMITTED);
+    assert.equal(reservations[0].releasedAt, undefined);
+    assert.equal(kettle.stock, 3);
+    assert.equal(kettle.reserved, 0);
+  });
+});
@@ -0,0 +1,35 @@
+// server/utils/appError.js
+
+/**
+ * Error tied to one of the entries in config/errorCodes
+ * Thrown from models and utilities so controllers can answer with the right
+ * status code instead of a generic 500.
+ */
+class AppError extends Error {
+  /**
+   * @param {Object} errorCode - Entry from config/errorCodes
+   * @param {String} message - Overrides the default message of the code
+   * @param {Object} details - Extra data returned to the client
+   */
+  constructor(errorCode, message, details) {
+    super(message || errorCode.message);
+    this.name = 'AppError';
+    this.errorCode = errorCode;
+    this.statusCode = errorCode.statusCode;
+    this.details = details;
+  }
+
+  /**
+   * Response body in the shape every controller uses
+   */
+  toResponse() {
+    return {
+      success: false,
+      error: this.errorCode,
+      message: this.message,
+      ...(this.details && { details: this.details }),
+    };
+  }
+}
+
+module.exports = AppError;
@@ -0,0 +1,73 @@
+// server/utils/carriers.js
+const crypto = require('crypto');
+const appConfig = require('../config/app');
+const { SHIPMENT } = require('./constants');
+
+/**
+ * Carrier adapters
+ * Each adapter turns a carrier's tracking webhook into shipment events:
+ *   verifyWebhook(req) -> Boolean
+ *   parseWebhook(req) -> [{ trackingNumber, status, description, location, at }]
+ * where status is one of SHIPMENT.STATUS. Add real carriers with
+ * registerCarrier(); webhooks are received at /api/shipments/webhook/:carrier.
+ */
+const carriers = {
+  // Local stand-in for a carrier, used in development and tests. Events are
+  // posted in our own format, as { events: [...] } or a single event, and
+  // signed with an HMAC-SHA256 of the JSON body in x-carrier-signature.
+  fake: {
+    verifyWebhook: (req) => {
+      const secret = appConfig.shipping.carriers.fake.webhookSecret;
+      const signature = req.headers['x-carrier-signature'];
+      if (!secret || !signature) return false;
+
+      const expected = crypto
+        .createHmac('sha256', secret)
+        .update(JSON.stringify(req.body))
+        .digest('hex');
+
+      return (
+        expected.length === signature.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+      );
+    },
+
+    parseWebhook: (req) => {
+      const events = Array.isArray(req.body.events) ? req.body.events : [req.body];
+
+      return events
+        .filter((event) => Object.values(SHIPMENT.STATUS).includes(event.status))
+        .map((event) => ({
+          trackingNumber: String(event.trackingNumber),
+          status: event.status,
+          description: event.description,
+          location: event.location,
+          at: event.at ? new Date(event.at) : new Date(),
+        }));
+    },
+  },
+};
+
+/**
+ * Register a carrier adapter
+ * @param {String} name - Carrier name stored on shipments and used in the webhook URL
+ * @param {Object} adapter - { verifyWebhook(req), parseWebhook(req) }
+ */
+const registerCarrier = (name, adapter) => {
+  carriers[name.toLowerCase()] = adapter;
+};
+
+/**
+ * Get a registered carrier adapter
+ * @param {String} name - Carrier name
+ * @returns {Object|null} Adapter, or null for unknown carriers
+ */
+const getCarrier = (name) => {
+  const key = String(name).toLowerCase();
+  return Object.prototype.hasOwnProperty.call(carriers, key) ? carriers[key] : null;
+};
+
+module.exports = {
+  registerCarrier,
+  getCarrier,
+};
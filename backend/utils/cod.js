@@ -0,0 +1,72 @@
+/**
+ * Cash-on-delivery utility
+ * Decides whether an order can be paid in cash on delivery
+ */
+const Order = require('../models/order.model');
+const Shipment = require('../models/shipment.model');
+const appConfig = require('../config/app');
+const errorCodes = require('../config/errorCodes');
+const AppError = require('./appError');
+const { ORDER, SHIPMENT } = require('./constants');
+
+/**
+ * COD parcels of a user that came back undelivered
+ * @param {String} userId - Customer
+ * @returns {Promise<Number>} Number of refused parcels
+ */
+const countRefusals = async (userId) => {
+  const codOrders = await Order.find({
+    user: userId,
+    paymentMethod: ORDER.PAYMENT_METHODS.COD,
+  }).distinct('_id');
+
+  if (!codOrders.length) return 0;
+
+  return Shipment.countDocuments({
+    order: { $in: codOrders },
+    status: SHIPMENT.STATUS.RETURNED,
+  });
+};
+
+/**
+ * Check the COD rules for a quoted order: the customer's email must be
+ * verified (as for prepaid checkout), COD must be on, the total under the
+ * limit, the delivery region must take COD and the customer must not have
+ * refused too many COD parcels
+ * @param {Object} quote - Result of quoteOrder
+ * @param {Object} user - Customer (req.user)
+ * @throws {AppError} EMAIL_NOT_VERIFIED, COD_NOT_AVAILABLE with details.reason
+ */
+exports.assertCodEligible = async (quote, user) => {
+  const { enabled, maxOrderValue, maxRefusals } = appConfig.cod;
+
+  if (!user.verified) {
+    throw new AppError(errorCodes.EMAIL_NOT_VERIFIED);
+  }
+
+  const reject = (reason, message) => {
+    throw new AppError(errorCodes.COD_NOT_AVAILABLE, message, { reason });
+  };
+
+  if (!enabled) {
+    reject('disabled', 'Cash on delivery is not available');
+  }
+
+  if (quote.finalAmount > maxOrderValue) {
+    reject(
+      'order_value',
+      `Cash on delivery is only available for orders up to ${maxOrderValue}`
+    );
+  }
+
+  if (quote.shipping && quote.shipping.codAvailable === false) {
+    reject('pin_code', 'Cash on delivery is not available at this address');
+  }
+
+  if ((await countRefusals(user.id)) >= maxRefusals) {
+    reject(
+      'customer_history',
+      'Cash on delivery is not available because earlier COD orders were not accepted'
+    );
+  }
+};
@@ -73,24 +73,61 @@ exports.HTTP_STATUS = {
       CAPTURED: 'captured',
       FAILED: 'failed',
       REFUNDED: 'refunded',
+      PARTIALLY_REFUNDED: 'partially_refunded',
     },
     REFUND_STATUS: {
       PENDING: 'pending',
       PROCESSED: 'processed',
       FAILED: 'failed',
     },
+    // Refund speeds offered by the API and what Razorpay calls them
+    REFUND_SPEEDS: {
+      normal: 'normal',
+      instant: 'optimum',
+    },
   };
   
   // Order related constants
   exports.ORDER = {
     STATUS: {
       PENDING: 'pending',
+      PAYMENT_FAILED: 'payment_failed',
+      // Cash-on-delivery order accepted without payment
+      CONFIRMED: 'confirmed',
+      PAID: 'paid',
       PROCESSING: 'processing',
       SHIPPED: 'shipped',
       DELIVERED: 'delivered',
       CANCELLED: 'cancelled',
+      EXPIRED: 'expired',
       REFUNDED: 'refunded',
     },
+    // Allowed next statuses for each status; every status change goes
+    // through this table (see Order#transitionTo)
+    STATUS_TRANSITIONS: {
+      pending: ['paid', 'confirmed', 'payment_failed', 'cancelled', 'expired'],
+      // The customer can retry, and a late capture still counts
+      payment_failed: ['pending', 'paid', 'cancelled', 'expired'],
+      // Paid when the cash is collected, which doesn't change the status
+      confirmed: ['processing', 'shipped', 'cancelled'],
+      paid: ['processing', 'shipped', 'cancelled', 'refunded'],
+      processing: ['shipped', 'cancelled', 'refunded'],
+      shipped: ['delivered'],
+      delivered: ['refunded'],
+      // A cancelled order that was paid ends up refunded
+      cancelled: ['refunded'],
+      // Payments arriving after expiry are refunded or flagged, not accepted
+      expired: [],
+      refunded: [],
+    },
+    // Who changed the status
+    STATUS_SOURCES: {
+      CUSTOMER: 'customer',
+      ADMIN: 'admin',
+      PAYMENT: 'payment',
+      CARRIER: 'carrier',
+      SYSTEM: 'system',
+    },
     PAYMENT_STATUS: {
       PENDING: 'pending',
       INITIATED: 'initiated',
@@ -100,6 +137,154 @@ exports.HTTP_STATUS = {
       REFUNDED: 'refunded',
       PARTIALLY_REFUNDED: 'partially_refunded',
     },
+    // State of the refund started when a paid order is cancelled
+    REFUND_STATUS: {
+      PENDING: 'pending',
+      PROCESSED: 'processed',
+      FAILED: 'failed',
+      // The payment was only authorized and won't be captured; the customer's
+      // bank keeps the money on hold until Razorpay auto-refunds it
+      AUTHORIZATION_RELEASED: 'authorization_released',
+    },
+    // How the customer pays: online through Razorpay or cash on delivery
+    PAYMENT_METHODS: {
+      ONLINE: 'online',
+      COD: 'cod',
+    },
+  };
+  
+  // Product related constants
+  exports.PRODUCT = {
+    // GST slab a product is taxed under
+    TAX_CLASSES: {
+      GST_0: 'gst_0',
+      GST_5: 'gst_5',
+      GST_12: 'gst_12',
+      GST_18: 'gst_18',
+      GST_28: 'gst_28',
+    },
+  };
+  
+  // Inventory related constants
+  exports.INVENTORY = {
+    // Products at or below this many available units show up as low stock
+    DEFAULT_LOW_STOCK_THRESHOLD: 5,
+    // Stock is reserved when the order is placed, committed (taken off the
+    // shelf) when it is paid and released when it won't be paid after all
+    RESERVATION_STATUS: {
+      RESERVED: 'reserved',
+      COMMITTED: 'committed',
+      RELEASED: 'released',
+    },
+  };
+  
+  // Return related constants
+  exports.RETURN = {
+    STATUS: {
+      REQUESTED: 'requested',
+      APPROVED: 'approved',
+      REJECTED: 'rejected',
+      // The customer has sent the items back
+      SHIPPED: 'shipped',
+      RECEIVED: 'received',
+      REFUNDED: 'refunded',
+    },
+    // Allowed next statuses for each status (see ReturnRequest#transitionTo)
+    STATUS_TRANSITIONS: {
+      requested: ['approved', 'rejected'],
+      approved: ['shipped', 'received'],
+      shipped: ['received'],
+      received: ['refunded'],
+      rejected: [],
+      refunded: [],
+    },
+    REASONS: {
+      DAMAGED: 'damaged',
+      DEFECTIVE: 'defective',
+      WRONG_ITEM: 'wrong_item',
+      NOT_AS_DESCRIBED: 'not_as_described',
+      NO_LONGER_NEEDED: 'no_longer_needed',
+      OTHER: 'other',
+    },
+    MAX_PHOTOS: 5,
+  };
+  
+  // GST related constants
+  exports.TAX = {
+    // Rate in percent for each product tax class
+    RATES: {
+      gst_0: 0,
+      gst_5: 5,
+      gst_12: 12,
+      gst_18: 18,
+      gst_28: 28,
+    },
+    SUPPLY_TYPES: {
+      // Seller and buyer in the same state: CGST + SGST
+      INTRA_STATE: 'intra_state',
+      // Different states: IGST
+      INTER_STATE: 'inter_state',
+    },
+  };
+  
+  // Shipping related constants
+  exports.SHIPPING = {
+    RATE_TYPES: {
+      FLAT: 'flat',
+      WEIGHT: 'weight',
+      VALUE: 'value',
+    },
+  };
+  
+  // Shipment related constants
+  exports.SHIPMENT = {
+    STATUS: {
+      // Booked with the carrier, not picked up yet
+      CREATED: 'created',
+      IN_TRANSIT: 'in_transit',
+      OUT_FOR_DELIVERY: 'out_for_delivery',
+      DELIVERED: 'delivered',
+      // Delivery attempt failed; the carrier will retry or send it back
+      FAILED: 'failed',
+      // Returned to us by the carrier (RTO)
+      RETURNED: 'returned',
+      CANCELLED: 'cancelled',
+    },
+    // Carrier events can arrive out of order; moves not listed here are
+    // recorded as events but don't change the shipment status
+    STATUS_TRANSITIONS: {
+      created: ['in_transit', 'out_for_delivery', 'delivered', 'cancelled'],
+      in_transit: ['out_for_delivery', 'delivered', 'failed', 'returned'],
+      out_for_delivery: ['in_transit', 'delivered', 'failed', 'returned'],
+      failed: ['in_transit', 'out_for_delivery', 'delivered', 'returned'],
+      delivered: [],
+      returned: [],
+      cancelled: [],
+    },
+  };
+  
+  // Coupon related constants
+  exports.COUPON = {
+    TYPES: {
+      PERCENTAGE: 'percentage',
+      FLAT: 'flat',
+      FREE_SHIPPING: 'free_shipping',
+    },
+    // A use is reserved when the order is placed and redeemed once it is paid
+    REDEMPTION_STATUS: {
+      RESERVED: 'reserved',
+      REDEEMED: 'redeemed',
+      RELEASED: 'released',
+    },
+  };
+  
+  // Cart related constants
+  exports.CART = {
+    // Cookie holding the token of an anonymous cart
+    COOKIE_NAME: 'cartId',
+    ANONYMOUS_TTL_DAYS: 30,
+    MAX_LINES: 50,
+    MAX_QUANTITY: 100,
   };
   
   // User related constants
@@ -108,6 +293,10 @@ exports.HTTP_STATUS = {
       USER: 'user',
       ADMIN: 'admin',
     },
+    STATUS: {
+      ACTIVE: 'active',
+      SUSPENDED: 'suspended',
+    },
     ADDRESS_TYPES: {
       HOME: 'home',
       WORK: 'work',
@@ -130,6 +319,39 @@ exports.HTTP_STATUS = {
   exports.JWT = {
     EXPIRES_IN: '7d',
     COOKIE_EXPIRES_IN: 7, // days
+    ACCESS_EXPIRES_IN: '15m',
+    ACCESS_COOKIE_MAX_AGE: 15 * 60 * 1000, // ms
+    REFRESH_EXPIRES_IN_DAYS: 7,
+  };
+  
+  // Password reset related constants
+  exports.PASSWORD_RESET = {
+    TOKEN_BYTES: 32,
+    EXPIRES_IN_MINUTES: 15,
+  };
+  
+  // Login brute-force protection
+  exports.LOGIN_SECURITY = {
+    MAX_FAILED_ATTEMPTS: 5, // failures before the account is locked
+    BASE_LOCK_MINUTES: 1, // first lockout, doubled on every further lockout
+    MAX_LOCK_MINUTES: 24 * 60,
+  };
+  
+  // TOTP two-factor authentication
+  exports.TWO_FACTOR = {
+    SECRET_BYTES: 20,
+    DIGITS: 6,
+    PERIOD: 30, // seconds
+    WINDOW: 1, // accepted time steps either side of now
+    RECOVERY_CODE_COUNT: 10,
+    CHALLENGE_PURPOSE: '2fa-challenge',
+    CHALLENGE_EXPIRES_IN: '5m',
+  };
+  
+  // Email verification related constants
+  exports.EMAIL_VERIFICATION = {
+    TOKEN_PURPOSE: 'email-verification',
+    EXPIRES_IN: '24h',
   };
   
   // Email templates
@@ -142,4 +364,37 @@ exports.HTTP_STATUS = {
     SHIPPING_CONFIRMATION: 'shipping-confirmation',
     DELIVERY_CONFIRMATION: 'delivery-confirmation',
     REFUND_CONFIRMATION: 'refund-confirmation',
-  };
\ No newline at end of file
+  };
+  
+  // Audit log actions
+  exports.AUDIT_ACTIONS = {
+    USER_ROLE_CHANGED: 'user.role_changed',
+    USER_SUSPENDED: 'user.suspended',
+    USER_REACTIVATED: 'user.reactivated',
+    USER_UNLOCKED: 'user.unlocked',
+    ROLE_CREATED: 'role.created',
+    ROLE_UPDATED: 'role.updated',
+    ROLE_DELETED: 'role.deleted',
+    PRODUCT_CREATED: 'product.created',
+    PRODUCT_UPDATED: 'product.updated',
+    PRODUCT_ARCHIVED: 'product.archived',
+    PRODUCT_STOCK_ADJUSTED: 'product.stock_adjusted',
+    COUPON_CREATED: 'coupon.created',
+    COUPON_UPDATED: 'coupon.updated',
+    COUPON_DEACTIVATED: 'coupon.deactivated',
+    SHIPPING_RULE_CREATED: 'shipping_rule.created',
+    SHIPPING_RULE_UPDATED: 'shipping_rule.updated',
+    SHIPPING_RULE_DELETED: 'shipping_rule.deleted',
+    ORDER_STATUS_UPDATED: 'order.status_updated',
+    RETURN_APPROVED: 'return.approved',
+    RETURN_REJECTED: 'return.rejected',
+    RETURN_RECEIVED: 'return.received',
+    RETURN_REFUND_RETRIED: 'return.refund_retried',
+    RETURN_REFUND_SETTLED: 'return.refund_settled',
+    SHIPMENT_CREATED: 'shipment.created',
+    SHIPMENT_UPDATED: 'shipment.updated',
+    COD_COLLECTED: 'payment.cod_collected',
+    PAYMENT_CAPTURED: 'payment.captured',
+    REFUND_CREATED: 'payment.refund_created',
+    ORDERS_EXPORTED: 'orders.exported',
+  };
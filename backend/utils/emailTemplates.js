@@ -0,0 +1,47 @@
+/**
+ * Email templates
+ * Keyed by EMAIL_TEMPLATES; each returns the subject, text and html body
+ */
+const appConfig = require('../config/app');
+const { EMAIL_TEMPLATES } = require('./constants');
+
+const escapeHtml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+module.exports = {
+  [EMAIL_TEMPLATES.WELCOME]: ({ name, verifyUrl }) => ({
+    subject: `Welcome to ${appConfig.name} - please verify your email`,
+    text: [
+      `Hi ${name},`,
+      '',
+      'Thanks for signing up. Please confirm your email address by opening the link below:',
+      verifyUrl,
+      '',
+      "If you didn't create this account you can ignore this email.",
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Thanks for signing up. Please confirm your email address:</p>
+<p><a href="${escapeHtml(verifyUrl)}">Verify my email</a></p>
+<p>If you didn't create this account you can ignore this email.</p>`,
+  }),
+
+  [EMAIL_TEMPLATES.PASSWORD_RESET]: ({ name, resetUrl, expiresInMinutes }) => ({
+    subject: 'Reset your password',
+    text: [
+      `Hi ${name},`,
+      '',
+      `Use the link below to reset your password. It expires in ${expiresInMinutes} minutes and can only be used once:`,
+      resetUrl,
+      '',
+      "If you didn't request a password reset you can ignore this email.",
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Use the link below to reset your password. It expires in ${expiresInMinutes} minutes and can only be used once.</p>
+<p><a href="${escapeHtml(resetUrl)}">Reset my password</a></p>
+<p>If you didn't request a password reset you can ignore this email.</p>`,
+  }),
+};
@@ -155,13 +155,12 @@ exports.calculateItemsTotal = (items) => {
 };
 
 /**
- * Calculate tax amount based on subtotal
- * @param {Number} subtotal - Subtotal amount
- * @param {Number} taxRate - Tax rate as percentage (default: 18)
- * @returns {Number} Tax amount
+ * Round an amount in rupees to whole paise
+ * @param {Number} amount - Amount in rupees
+ * @returns {Number} Amount rounded to 2 decimals
  */
-exports.calculateTax = (subtotal, taxRate = 18) => {
-  return (subtotal * taxRate) / 100;
+exports.roundAmount = (amount) => {
+  return Math.round(amount * 100) / 100;
 };
 
 /**
@@ -173,6 +172,89 @@ exports.generateRandomString = (length = 10) => {
   return crypto.randomBytes(length).toString('hex');
 };
 
+/**
+ * Escape a string for use inside a regular expression
+ * @param {String} text - Raw user input
+ * @returns {String} Escaped string
+ */
+exports.escapeRegex = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Hash a token with SHA-256 so it can be stored and looked up safely
+ * @param {String} token - Plain token
+ * @returns {String} Hex encoded hash
+ */
+exports.hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Derive the key used to encrypt secrets at rest
+ * @returns {Buffer} 32 byte key
+ */
+const getEncryptionKey = () => {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+};
+
+/**
+ * Encrypt a value with AES-256-GCM
+ * @param {String} text - Plain text
+ * @returns {String} iv:authTag:cipherText (hex)
+ */
+exports.encrypt = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString('hex'))
+    .join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {String} payload - iv:authTag:cipherText (hex)
+ * @returns {String} Plain text
+ */
+exports.decrypt = (payload) => {
+  const [iv, authTag, encrypted] = payload
+    .split(':')
+    .map((part) => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Extract client details used to label sessions
+ * @param {Object} req - Express request
+ * @returns {Object} ip, userAgent and a coarse device type
+ */
+exports.getClientInfo = (req) => {
+  const userAgent = req.get('user-agent') || '';
+
+  let device = 'desktop';
+  if (/tablet|ipad/i.test(userAgent)) {
+    device = 'tablet';
+  } else if (/mobi|android|iphone/i.test(userAgent)) {
+    device = 'mobile';
+  } else if (!userAgent) {
+    device = 'unknown';
+  }
+
+  return {
+    ip: req.ip,
+    userAgent,
+    device,
+  };
+};
+
 /**
  * Parse webhook event data from Razorpay
  * @param {Object} webhookData - Raw webhook data
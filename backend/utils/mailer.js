@@ -0,0 +1,131 @@
+// server/utils/mailer.js
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const appConfig = require('../config/app');
+const logger = require('./logger');
+const emailTemplates = require('./emailTemplates');
+
+/**
+ * Mail transports
+ * Each factory receives the mail config and returns an object with a
+ * `send(message)` method. Pick one with MAIL_TRANSPORT or add your own
+ * with registerTransport().
+ */
+const transports = {
+  // Logs the message instead of sending it (development default). Refuses
+  // to run in production, where the logs would hold live reset and
+  // verification links.
+  console: () => ({
+    send: async (message) => {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('The console mail transport is disabled in production; set MAIL_TRANSPORT');
+      }
+
+      logger.info(
+        `Email to ${message.to} | ${message.subject}\n${message.text}`
+      );
+      return { messageId: `console-${Date.now()}` };
+    },
+  }),
+
+  // Writes each message as an .eml file so it can be opened in a mail client
+  file: (config) => {
+    const streamTransport = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: 'unix',
+    });
+
+    return {
+      send: async (message) => {
+        const info = await streamTransport.sendMail(message);
+        const dir = path.resolve(config.fileDir);
+        await fs.promises.mkdir(dir, { recursive: true });
+
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+        await fs.promises.writeFile(path.join(dir, fileName), info.message);
+
+        return { messageId: info.messageId, file: fileName };
+      },
+    };
+  },
+
+  // Sends through an SMTP server (e.g. a local MailHog/Mailpit instance)
+  smtp: (config) => {
+    const smtpTransport = nodemailer.createTransport(config.smtp);
+
+    return {
+      send: async (message) => {
+        const info = await smtpTransport.sendMail(message);
+        return { messageId: info.messageId };
+      },
+    };
+  },
+};
+
+let activeTransport = null;
+
+/**
+ * Register a custom transport factory
+ * @param {String} name - Transport name used in MAIL_TRANSPORT
+ * @param {Function} factory - (config) => ({ send(message) })
+ */
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  if (appConfig.mail.transport === name) {
+    activeTransport = null;
+  }
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const factory = transports[appConfig.mail.transport];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${appConfig.mail.transport}`);
+    }
+    activeTransport = factory(appConfig.mail);
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - to, subject, text and optional html
+ * @returns {Promise} Resolves to transport info
+ */
+const sendMail = async (message) => {
+  try {
+    const info = await getTransport().send({
+      from: appConfig.mail.from,
+      ...message,
+    });
+    logger.info(`Email sent to ${message.to}: ${message.subject}`);
+    return info;
+  } catch (error) {
+    logger.error(`Error sending email to ${message.to}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Render one of the EMAIL_TEMPLATES and send it
+ * @param {String} template - Template key from EMAIL_TEMPLATES
+ * @param {String} to - Recipient email
+ * @param {Object} data - Template variables
+ * @returns {Promise} Resolves to transport info
+ */
+const sendTemplate = async (template, to, data = {}) => {
+  const render = emailTemplates[template];
+  if (!render) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  return sendMail({ to, ...render(data) });
+};
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  sendTemplate,
+};
@@ -0,0 +1,126 @@
+/**
+ * Order lifecycle hooks
+ * Every flow that places, pays, fails or cancels an order calls these so the
+ * resources held for an order (stock, coupon uses and booked shipments) are
+ * claimed and given back in one place.
+ */
+const CouponRedemption = require('../models/couponRedemption.model');
+const Coupon = require('../models/coupon.model');
+const StockReservation = require('../models/stockReservation.model');
+const Shipment = require('../models/shipment.model');
+const appConfig = require('../config/app');
+const errorCodes = require('../config/errorCodes');
+const AppError = require('./appError');
+const logger = require('./logger');
+
+/**
+ * Claim what an order needs before it is saved
+ * Throws if anything can't be claimed; nothing stays claimed in that case.
+ * @param {Object} order - Unsaved order
+ */
+exports.onOrderPlaced = async (order) => {
+  // Held for as long as the order can still be paid
+  const expiresAt = new Date(
+    Date.now() + appConfig.orders.pendingTtlMinutes * 60 * 1000
+  );
+  await StockReservation.reserve(order, expiresAt);
+
+  try {
+    if (order.coupon && order.coupon.couponId) {
+      // The coupon may have been deleted since the order was quoted
+      const coupon = await Coupon.findById(order.coupon.couponId);
+      if (!coupon) {
+        throw new AppError(errorCodes.COUPON_NOT_FOUND);
+      }
+      await CouponRedemption.reserve(coupon, order);
+    }
+  } catch (error) {
+    await StockReservation.release(order, 'order_not_created');
+    throw error;
+  }
+};
+
+/**
+ * Give back what was claimed for an order that will never be paid
+ * Errors are logged only so they never mask the failure being handled.
+ * @param {Object} order - Order
+ * @param {String} reason - e.g. payment_failed, cancelled, expired
+ */
+const releaseOrder = async (order, reason) => {
+  try {
+    await Promise.all([
+      StockReservation.release(order, reason),
+      CouponRedemption.release(order, reason),
+    ]);
+  } catch (error) {
+    logger.error(`Failed to release resources of order ${order._id}: ${error.message}`);
+  }
+};
+
+/**
+ * The order could not be saved after onOrderPlaced succeeded
+ * @param {Object} order - Order
+ */
+exports.onOrderAborted = (order) => releaseOrder(order, 'order_not_created');
+
+/**
+ * Make what was claimed for an order permanent
+ * @param {Object} order - Order
+ */
+const confirmOrder = async (order) => {
+  try {
+    await Promise.all([
+      StockReservation.commit(order),
+      CouponRedemption.confirm(order),
+    ]);
+  } catch (error) {
+    logger.error(`Failed to confirm resources of order ${order._id}: ${error.message}`);
+  }
+};
+
+/**
+ * The order has been paid: claimed resources become permanent
+ * @param {Object} order - Paid order
+ */
+exports.onOrderPaid = (order) => confirmOrder(order);
+
+/**
+ * A cash-on-delivery order was accepted; it is paid later, on delivery
+ * @param {Object} order - Confirmed order
+ */
+exports.onOrderConfirmed = (order) => confirmOrder(order);
+
+/**
+ * A payment attempt failed
+ * Ignored once the order has a successful payment, since webhooks for
+ * earlier failed attempts can arrive after the capture.
+ * @param {Object} order - Order
+ */
+exports.onPaymentFailed = async (order) => {
+  if (order.payment) return;
+  await releaseOrder(order, 'payment_failed');
+};
+
+/**
+ * The order was cancelled: shipments not picked up yet are cancelled too
+ * @param {Object} order - Cancelled order
+ */
+exports.onOrderCancelled = async (order) => {
+  await releaseOrder(order, 'cancelled');
+
+  try {
+    const { source, reason } = order.statusHistory[order.statusHistory.length - 1] || {};
+    await Shipment.cancelForOrder(order._id, {
+      description: reason || 'Order cancelled',
+      source,
+    });
+  } catch (error) {
+    logger.error(`Failed to cancel shipments of order ${order._id}: ${error.message}`);
+  }
+};
+
+/**
+ * The order expired before it was paid
+ * @param {Object} order - Order
+ */
+exports.onOrderExpired = (order) => releaseOrder(order, 'expired');
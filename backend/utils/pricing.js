@@ -0,0 +1,224 @@
+/**
+ * Pricing utility
+ * Builds order lines and totals from the product catalog so amounts sent by
+ * the client are never trusted
+ */
+const Product = require('../models/product.model');
+const Coupon = require('../models/coupon.model');
+const errorCodes = require('../config/errorCodes');
+const AppError = require('./appError');
+const { calculateItemsTotal, roundAmount } = require('./helper');
+const { calculateOrderTax } = require('./tax');
+const { quoteShipping } = require('./shipping');
+const { ERROR_MESSAGES, COUPON } = require('./constants');
+
+/**
+ * Price requested items against the catalog
+ * Repeated products are merged into a single line.
+ * @param {Array} items - [{ productId, quantity }]
+ * @returns {Promise<Object>} { items: order lines, totalAmount }
+ * @throws {AppError} PRODUCT_NOT_FOUND / PRODUCT_UNAVAILABLE / OUT_OF_STOCK
+ */
+exports.priceItems = async (items) => {
+  const quantities = new Map();
+  for (const { productId, quantity } of items) {
+    const id = String(productId);
+    quantities.set(id, (quantities.get(id) || 0) + quantity);
+  }
+
+  const products = await Product.find({ _id: { $in: [...quantities.keys()] } });
+  const productsById = new Map(products.map((product) => [String(product._id), product]));
+
+  const lines = [...quantities].map(([productId, quantity]) => {
+    const product = productsById.get(productId);
+
+    if (!product) {
+      throw new AppError(
+        errorCodes.PRODUCT_NOT_FOUND,
+        `Product ${productId} not found`,
+        { productId }
+      );
+    }
+
+    if (!product.active) {
+      throw new AppError(
+        errorCodes.PRODUCT_UNAVAILABLE,
+        `${product.name} is no longer available`,
+        { productId }
+      );
+    }
+
+    // Early answer for the customer; the reservation at order time decides
+    if (product.trackInventory && product.available < quantity) {
+      throw new AppError(
+        errorCodes.OUT_OF_STOCK,
+        `Only ${product.available} left of ${product.name}`,
+        { productId, available: product.available }
+      );
+    }
+
+    return {
+      product: product._id,
+      sku: product.sku,
+      name: product.name,
+      price: product.price,
+      quantity,
+      hsnCode: product.hsnCode,
+      taxClass: product.taxClass,
+      priceIncludesTax: product.priceIncludesTax,
+      weight: product.weight,
+    };
+  });
+
+  return {
+    items: lines,
+    totalAmount: roundAmount(calculateItemsTotal(lines)),
+  };
+};
+
+/**
+ * Work out the discount of a coupon for priced lines
+ * @param {String} code - Coupon code
+ * @param {Object} quote - items, shippingFee and the customer's userId
+ * @returns {Promise<Object>} { coupon, discount }
+ * @throws {AppError} COUPON_INVALID / COUPON_NOT_APPLICABLE / COUPON_LIMIT_REACHED
+ */
+exports.applyCoupon = async (code, { items, shippingFee = 0, userId }) => {
+  const coupon = await Coupon.findUsable(code, userId);
+  const discount = coupon.computeDiscount({ items, shippingFee });
+
+  return { coupon, discount };
+};
+
+/**
+ * Spread a discount over lines in proportion to their value
+ * GST is charged on the discounted value, so each line needs its share.
+ * The last line absorbs the rounding remainder.
+ * @param {Array} lines - Lines the discount applies to (mutated)
+ * @param {Number} discount - Discount in rupees
+ */
+const allocateDiscount = (lines, discount) => {
+  const total = calculateItemsTotal(lines);
+  let remaining = discount;
+
+  lines.forEach((line, index) => {
+    const share =
+      index === lines.length - 1
+        ? remaining
+        : roundAmount((discount * line.price * line.quantity) / total);
+    line.discount = roundAmount((line.discount || 0) + share);
+    remaining = roundAmount(remaining - share);
+  });
+};
+
+/**
+ * Build the full quote for an order
+ * Order of steps: catalog prices, shipping, coupon discount, then GST on
+ * the discounted line values. Shipping is priced on the undiscounted
+ * subtotal so a free-shipping coupon knows the fee it waives.
+ * @param {Object} request - items ([{ productId, quantity }]), couponCode,
+ *   userId, shippingAddress (picks the shipping rule; its state decides
+ *   CGST+SGST vs IGST) and paymentMethod (COD adds a surcharge)
+ * @returns {Promise<Object>} Fields to store on the order, plus finalAmount
+ */
+exports.quoteOrder = async ({
+  items,
+  couponCode,
+  userId,
+  shippingAddress,
+  paymentMethod,
+}) => {
+  const priced = await exports.priceItems(items);
+  const shipping = await quoteShipping({
+    items: priced.items,
+    subtotal: priced.totalAmount,
+    shippingAddress,
+    paymentMethod,
+  });
+
+  const quote = {
+    items: priced.items,
+    totalAmount: priced.totalAmount,
+    tax: 0,
+    includedTax: 0,
+    taxBreakdown: undefined,
+    shippingFee: shipping.shippingFee,
+    shipping: shipping.details,
+    discount: 0,
+    coupon: undefined,
+  };
+
+  if (couponCode) {
+    // The COD surcharge isn't shipping, so free shipping doesn't waive it
+    const { coupon, discount } = await exports.applyCoupon(couponCode, {
+      items: quote.items,
+      shippingFee: shipping.details.baseFee,
+      userId,
+    });
+
+    quote.discount = discount;
+    quote.coupon = {
+      couponId: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      discount,
+    };
+
+    // Free shipping comes off the shipping fee, not the goods
+    if (coupon.type !== COUPON.TYPES.FREE_SHIPPING && discount > 0) {
+      allocateDiscount(coupon.eligibleItems(quote.items), discount);
+    }
+  }
+
+  const taxed = calculateOrderTax({ items: quote.items, shippingAddress });
+  quote.items = taxed.items;
+  quote.tax = taxed.tax;
+  quote.includedTax = taxed.includedTax;
+  quote.taxBreakdown = taxed.breakdown;
+
+  quote.finalAmount = roundAmount(
+    quote.totalAmount +
+      quote.tax -
+      quote.includedTax +
+      quote.shippingFee -
+      quote.discount
+  );
+
+  return quote;
+};
+
+/**
+ * Fields of a quote that are stored on the Order
+ * @param {Object} quote - Result of quoteOrder
+ * @returns {Object} Order fields
+ */
+exports.toOrderFields = (quote) => ({
+  items: quote.items,
+  totalAmount: quote.totalAmount,
+  tax: quote.tax,
+  includedTax: quote.includedTax,
+  taxBreakdown: quote.taxBreakdown,
+  shippingFee: quote.shippingFee,
+  shipping: quote.shipping,
+  discount: quote.discount,
+  coupon: quote.coupon,
+});
+
+/**
+ * Reject a client-side total that differs from the server-side one
+ * Clients may omit the total; when they send one it must match to the paisa.
+ * @param {Number} clientAmount - Amount the client expects to pay
+ * @param {Number} amount - Amount computed on the server
+ * @throws {AppError} AMOUNT_MISMATCH
+ */
+exports.assertClientAmount = (clientAmount, amount) => {
+  if (clientAmount === undefined || clientAmount === null) return;
+
+  if (Math.round(clientAmount * 100) !== Math.round(amount * 100)) {
+    throw new AppError(
+      errorCodes.AMOUNT_MISMATCH,
+      ERROR_MESSAGES.INSUFFICIENT_PAYMENT,
+      { expectedAmount: amount }
+    );
+  }
+};
@@ -1,12 +1,6 @@
-const Razorpay = require('razorpay');
 const crypto = require('crypto');
 const logger = require('./logger');
-
-// Initialize Razorpay with your key_id and key_secret
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
+const { razorpayInstance: razorpay } = require('../config/razorpay');
 
 /**
  * Create a new Razorpay order
@@ -74,11 +68,12 @@ const getPayment = async (paymentId) => {
  * Capture an authorized payment
  * @param {String} paymentId Razorpay payment ID
  * @param {Number} amount Amount to capture (in paise)
+ * @param {String} currency Currency of the payment
  * @returns {Promise} Promise that resolves to captured payment
  */
-const capturePayment = async (paymentId, amount) => {
+const capturePayment = async (paymentId, amount, currency = 'INR') => {
   try {
-    const payment = await razorpay.payments.capture(paymentId, amount);
+    const payment = await razorpay.payments.capture(paymentId, amount, currency);
     logger.info(`Payment captured successfully: ${paymentId}`);
     return payment;
   } catch (error) {
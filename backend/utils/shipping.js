@@ -0,0 +1,84 @@
+/**
+ * Shipping utility
+ * Prices an order's shipping from the configured ShippingRule documents
+ */
+const ShippingRule = require('../models/shippingRule.model');
+const appConfig = require('../config/app');
+const errorCodes = require('../config/errorCodes');
+const AppError = require('./appError');
+const { roundAmount } = require('./helper');
+const { ORDER } = require('./constants');
+
+/**
+ * Total weight of priced lines in kg
+ * @param {Array} items - Lines with weight and quantity
+ * @returns {Number} Weight in kg
+ */
+const calculateWeight = (items) =>
+  roundAmount(
+    items.reduce((total, item) => total + (item.weight || 0) * item.quantity, 0)
+  );
+
+/**
+ * First active rule that covers an address
+ * @param {Object} shippingAddress - state and zipCode
+ * @returns {Promise<Object|null>} ShippingRule or null
+ */
+const findRule = async (shippingAddress) => {
+  const rules = await ShippingRule.find({ active: true }).sort({
+    priority: 1,
+    createdAt: 1,
+  });
+
+  return rules.find((rule) => rule.matches(shippingAddress)) || null;
+};
+
+/**
+ * Quote shipping for priced lines
+ * Without an address nothing can be matched yet, so the fee is 0.
+ * @param {Object} order - items (priced lines), subtotal, shippingAddress and
+ *   paymentMethod
+ * @returns {Promise<Object>} { shippingFee, details }; shippingFee includes the
+ *   COD surcharge and details.codAvailable says whether the region takes COD
+ * @throws {AppError} SHIPPING_UNAVAILABLE
+ */
+exports.quoteShipping = async ({
+  items,
+  subtotal,
+  shippingAddress,
+  paymentMethod,
+}) => {
+  const weight = calculateWeight(items);
+
+  if (!shippingAddress) {
+    return { shippingFee: 0, details: { weight, baseFee: 0, codSurcharge: 0 } };
+  }
+
+  const rule = await findRule(shippingAddress);
+
+  if (rule && !rule.serviceable) {
+    throw new AppError(
+      errorCodes.SHIPPING_UNAVAILABLE,
+      errorCodes.SHIPPING_UNAVAILABLE.message,
+      { state: shippingAddress.state, zipCode: shippingAddress.zipCode }
+    );
+  }
+
+  const baseFee = roundAmount(
+    rule ? rule.calculateFee({ weight, value: subtotal }) : appConfig.shipping.defaultFee
+  );
+  const codSurcharge =
+    rule && paymentMethod === ORDER.PAYMENT_METHODS.COD ? rule.codSurcharge : 0;
+
+  return {
+    shippingFee: roundAmount(baseFee + codSurcharge),
+    details: {
+      rule: rule ? rule._id : undefined,
+      ruleName: rule ? rule.name : undefined,
+      weight,
+      baseFee,
+      codSurcharge,
+      codAvailable: rule ? rule.codAvailable : true,
+    },
+  };
+};
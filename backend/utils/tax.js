@@ -0,0 +1,132 @@
+/**
+ * GST utility
+ * Works out per-line GST for an order: CGST+SGST when the goods stay in the
+ * seller's state, IGST when they cross state lines. Catalog prices can be
+ * tax-exclusive (GST added on top) or tax-inclusive (GST backed out).
+ */
+const appConfig = require('../config/app');
+const { TAX } = require('./constants');
+const { roundAmount } = require('./helper');
+
+const normalizeState = (state) =>
+  String(state || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+
+/**
+ * GST rate for a product tax class
+ * @param {String} taxClass - One of PRODUCT.TAX_CLASSES
+ * @returns {Number} Rate in percent
+ */
+exports.getRate = (taxClass) => {
+  const rate = TAX.RATES[taxClass];
+  if (rate === undefined) {
+    throw new Error(`Unknown tax class: ${taxClass}`);
+  }
+  return rate;
+};
+
+/**
+ * Decide between intra-state and inter-state supply
+ * An unknown destination is treated as inter-state.
+ * @param {String} destinationState - State of the shipping address
+ * @param {String} sellerState - Defaults to the configured seller state
+ * @returns {String} One of TAX.SUPPLY_TYPES
+ */
+exports.getSupplyType = (destinationState, sellerState = appConfig.tax.sellerState) => {
+  return destinationState && normalizeState(destinationState) === normalizeState(sellerState)
+    ? TAX.SUPPLY_TYPES.INTRA_STATE
+    : TAX.SUPPLY_TYPES.INTER_STATE;
+};
+
+/**
+ * GST on one amount
+ * @param {Object} params - amount (after discount), rate, inclusive, supplyType
+ * @returns {Object} { rate, inclusive, taxableValue, cgst, sgst, igst, amount }
+ */
+exports.calculateLineTax = ({ amount, rate, inclusive, supplyType }) => {
+  const taxableValue = inclusive
+    ? roundAmount((amount * 100) / (100 + rate))
+    : roundAmount(amount);
+  const taxAmount = inclusive
+    ? roundAmount(amount - taxableValue)
+    : roundAmount((taxableValue * rate) / 100);
+
+  const tax = {
+    rate,
+    inclusive,
+    taxableValue,
+    cgst: 0,
+    sgst: 0,
+    igst: 0,
+    amount: taxAmount,
+  };
+
+  if (supplyType === TAX.SUPPLY_TYPES.INTRA_STATE) {
+    // Split evenly; any odd paisa goes to SGST so the parts add up
+    tax.cgst = roundAmount(Math.floor(taxAmount * 100 / 2) / 100);
+    tax.sgst = roundAmount(taxAmount - tax.cgst);
+  } else {
+    tax.igst = taxAmount;
+  }
+
+  return tax;
+};
+
+/**
+ * Fill in GST for every line of an order
+ * Lines need price, quantity, taxClass, optional priceIncludesTax and the
+ * share of the discount allocated to them.
+ * @param {Object} params - items and shippingAddress
+ * @returns {Object} { items, tax, includedTax, breakdown }
+ *   tax is the total GST; includedTax is the part already inside the prices.
+ */
+exports.calculateOrderTax = ({ items, shippingAddress }) => {
+  const placeOfSupply = shippingAddress ? shippingAddress.state : undefined;
+  const supplyType = exports.getSupplyType(placeOfSupply);
+
+  const breakdown = {
+    supplyType,
+    sellerState: appConfig.tax.sellerState,
+    placeOfSupply,
+    cgst: 0,
+    sgst: 0,
+    igst: 0,
+  };
+  let totalTax = 0;
+  let includedTax = 0;
+
+  const taxedItems = items.map((item) => {
+    const inclusive =
+      item.priceIncludesTax === undefined || item.priceIncludesTax === null
+        ? appConfig.tax.pricesIncludeTax
+        : item.priceIncludesTax;
+
+    const tax = exports.calculateLineTax({
+      amount: item.price * item.quantity - (item.discount || 0),
+      rate: exports.getRate(item.taxClass),
+      inclusive,
+      supplyType,
+    });
+
+    breakdown.cgst += tax.cgst;
+    breakdown.sgst += tax.sgst;
+    breakdown.igst += tax.igst;
+    totalTax += tax.amount;
+    if (inclusive) includedTax += tax.amount;
+
+    return { ...item, tax };
+  });
+
+  breakdown.cgst = roundAmount(breakdown.cgst);
+  breakdown.sgst = roundAmount(breakdown.sgst);
+  breakdown.igst = roundAmount(breakdown.igst);
+
+  return {
+    items: taxedItems,
+    tax: roundAmount(totalTax),
+    includedTax: roundAmount(includedTax),
+    breakdown,
+  };
+};
@@ -0,0 +1,182 @@
+/**
+ * TOTP utility (RFC 6238)
+ * Time-based one-time passwords compatible with Google Authenticator, Authy etc.
+ */
+const crypto = require('crypto');
+const { TWO_FACTOR } = require('./constants');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string
+ * @param {String} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @returns {String} Base32 encoded secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(TWO_FACTOR.SECRET_BYTES));
+};
+
+/**
+ * Get the time step for a timestamp
+ * @param {Number} timestamp - Milliseconds since epoch
+ * @returns {Number} Time step counter
+ */
+const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TWO_FACTOR.PERIOD);
+};
+
+/**
+ * Generate the HOTP code for a counter (RFC 4226)
+ * @param {String} secret - Base32 secret
+ * @param {Number} counter - Counter / time step
+ * @returns {String} Zero padded code
+ */
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(buffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TWO_FACTOR.DIGITS).padStart(TWO_FACTOR.DIGITS, '0');
+};
+
+/**
+ * Generate the current TOTP code
+ * @param {String} secret - Base32 secret
+ * @param {Number} timestamp - Milliseconds since epoch
+ * @returns {String} TOTP code
+ */
+const generateTotp = (secret, timestamp = Date.now()) => {
+  return generateHotp(secret, getTimeStep(timestamp));
+};
+
+/**
+ * Verify a TOTP code allowing for clock drift
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @returns {Number|null} Matching time step, or null if invalid
+ */
+const verifyTotp = (secret, code) => {
+  if (!/^\d+$/.test(String(code))) return null;
+
+  const currentStep = getTimeStep();
+  const expected = Buffer.from(String(code));
+
+  for (let drift = -TWO_FACTOR.WINDOW; drift <= TWO_FACTOR.WINDOW; drift++) {
+    const step = currentStep + drift;
+    const candidate = Buffer.from(generateHotp(secret, step));
+
+    if (
+      candidate.length === expected.length &&
+      crypto.timingSafeEqual(candidate, expected)
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI used to enrol an authenticator app
+ * @param {Object} options - secret, accountName, issuer
+ * @returns {String} otpauth URI
+ */
+const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TWO_FACTOR.DIGITS),
+    period: String(TWO_FACTOR.PERIOD),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes
+ * @returns {Array} Plain recovery codes (formatted xxxxx-xxxxx)
+ */
+const generateRecoveryCodes = () => {
+  return Array.from({ length: TWO_FACTOR.RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+};
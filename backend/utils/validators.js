@@ -3,7 +3,7 @@
  * Contains validation functions used by Zod schemas and other validation logic
  */
 const { z } = require('zod');
-const { ERROR_MESSAGES } = require('./constants');
+const { ERROR_MESSAGES, ORDER } = require('./constants');
 
 // Email validation schema
 exports.emailSchema = z
@@ -95,7 +95,7 @@ exports.orderCreationSchema = z.object({
 
 // Order status update schema
 exports.orderStatusUpdateSchema = z.object({
-  status: z.enum(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded']),
+  status: z.enum(Object.values(ORDER.STATUS)),
   notes: z.string().optional(),
 });
 